@@ -6,8 +6,17 @@
  * Commands:
  * - new <name>      Create new project from template
  * - build <project> Build project to monolithic output
+ * - trace <project> <line> Map a monolith line to its source file
+ * - verify <project> <monolith> Check a deployed monolith against the sources
+ * - diff <project>  Show what changed in the monolith since an earlier build
  * - sim <project>   Run project in simulation
+ * - test <project>  Run call flow scenarios from tests/
+ * - graph <project> Analyze and export the segment call flow
+ * - lint <project>  Check globals across the project files
+ * - intents <project> Try intent recognition on utterances
  * - debug <project> Run project with interactive debugging
+ * - storage <project> [action] Inspect simulation disk storage
+ * - config <action> <project> Validate or edit project.json
  * - clean [project] Clean build artifacts
  * - list           List all projects
  * - switch <project> Switch active project for legacy compatibility
@@ -36,7 +45,16 @@ import { createNewProject } from '../src/commands/new.js';
 import { buildProject } from '../src/commands/build.js';
 import { simulateProject } from '../src/commands/simulate.js';
 import { debugProject } from '../src/commands/debug.js';
+import { graphProject } from '../src/commands/graph.js';
+import { lintProject } from '../src/commands/lint.js';
+import { detectIntents } from '../src/commands/intents.js';
 import { cleanProjects } from '../src/commands/clean.js';
+import { traceLine } from '../src/commands/trace.js';
+import { verifyMonolith } from '../src/commands/verify.js';
+import { diffProject } from '../src/commands/diff.js';
+import { testProject } from '../src/commands/test.js';
+import { manageStorage } from '../src/commands/storage.js';
+import { configProject } from '../src/commands/config.js';
 import { listProjects, switchProject } from '../src/commands/project.js';
 
 program
@@ -50,20 +68,114 @@ program
   .command('build')
   .description('Build project to monolithic output')
   .argument('<project>', 'project name')
-  .option('--prod', 'production build (optimized)')
+  .option('--prod', 'production build (validated and minified)')
+  .option('--no-minify', 'keep names, comments and unused functions in --prod builds')
+  .option('--transpile', 'lower modern syntax in src/ to ES5.1 (also "transpile": true in project.json)')
   .option('--clean', 'clean before build')
+  .option('--env <env>', 'build for one environment from project.json')
+  .option('--all-envs', 'build one monolith per environment in project.json')
+  .option('--watch', 'rebuild when src/ or project.json changes')
+  .option('--reproducible', 'stable Built timestamp (SOURCE_DATE_EPOCH or the epoch) for identical output')
   .action(buildProject);
 
+program
+  .command('trace')
+  .description('Map a monolith line number back to its source file')
+  .argument('<project>', 'project name')
+  .argument('<line>', 'line number in the monolith')
+  .option('--map <file>', 'source map to use (default: dist/<name>.monolith.js.map)')
+  .option('--env <env>', 'trace the monolith built with --env')
+  .action(traceLine);
+
+program
+  .command('verify')
+  .description('Check whether a deployed monolith matches the current sources')
+  .argument('<project>', 'project name')
+  .argument('<monolith>', 'monolith file, e.g. copied from the Vocalls script editor')
+  .action(verifyMonolith);
+
+program
+  .command('diff')
+  .description('Show what changed in the monolith since the previous build or a deployed monolith')
+  .argument('<project>', 'project name')
+  .option('--env <env>', 'compare the monolith built with --env')
+  .option('--against <file>', 'monolith to compare with (default: newest build in dist/history/)')
+  .option('--summary', 'list changed sections and registry entries without the changed lines')
+  .action(diffProject);
+
 program
   .command('sim')
   .description('Run project in simulation environment')
   .argument('<project>', 'project name')
   .option('--script <script>', 'specific script to run', 'main')
   .option('--env <env>', 'environment (acc|prd|dvp)', 'acc')
-  .option('--mode <mode>', 'HTTP mode (real|stub)', 'stub')
+  .option('--mode <mode>', 'HTTP mode (stub|real|record|replay)', 'stub')
   .option('--storage <storage>', 'storage mode (disk|memory)', 'memory')
+  .option('--storage-dir <dir>', 'disk storage directory in the project', 'workfiles/storage')
+  .option('--cassette <name>', 'cassette for record/replay modes (name or .json path)', 'default')
+  .option('--fixtures <dir>', 'HTTP fixtures directory in the project', 'fixtures/http')
+  .option('--http-unmatched <mode>', 'unmatched stub requests (default|error)', 'default')
+  .option('--conversation <file>', 'conversation file with caller turns')
+  .option('--segments', 'run the segmentDic actions and transitions after the call script')
+  .option('--actions <file>', 'JSON file with action mocks for --segments')
+  .option('--llm <adapter>', 'answer LLM intent requests offline (standin|http://localhost:<port>/...)')
+  .option('--llm-endpoint <pattern>', 'URL pattern of LLM intent requests', '*/llm/intent*')
+  .option('--strict', 'run like Vocalls: ES5.1 checked at load time, only Vocalls built-ins (also "runtime": { "strict": true })')
+  .option('--context <file>', 'JSON call context: line, ani, dnis, language, direction, moduleName, variables')
+  .option('--line <identificator>', 'line identificator, or "all" to simulate every line in lineMap')
+  .option('--ani <number>', 'caller number (context.callInfo.ani)')
+  .option('--dnis <number>', 'called number (context.callInfo.dnis)')
+  .option('--language <language>', 'caller language (default: nl-NL)')
+  .option('--direction <direction>', 'call direction (inbound|outbound)')
+  .option('--module-name <name>', 'context.settings.moduleName (default: sim-<env>)')
+  .option('--var <name=value>', 'initial session variable, repeatable', (value, list) => [...list, value], [])
+  .option('--time <timestamp>', 'simulated start time, ISO 8601 (e.g. 2025-12-24T16:55:00+01:00)')
+  .option('--freeze', 'keep the simulated time still, except between conversation turns')
+  .option('--timezone <zone>', 'IANA timezone of local time in scripts (e.g. Europe/Amsterdam)')
+  .option('--advance <duration>', 'time between conversation turns (e.g. 30s, 2m)')
+  .option('--seed <seed>', 'seed for callId and Math.random')
+  .option('--watch', 'rerun when src/ or project.json changes')
   .action(simulateProject);
 
+program
+  .command('test')
+  .description('Run call flow scenarios from the project tests/ directory')
+  .argument('<project>', 'project name')
+  .option('--env <env>', 'default environment for scenarios (acc|prd|dvp)', 'acc')
+  .option('--filter <text>', 'only run scenarios whose name or file contains text')
+  .option('--junit <file>', 'JUnit XML report path (default: dist/test-results.xml)')
+  .action(testProject);
+
+program
+  .command('graph')
+  .description('Check the segment call flow and export it as Mermaid, DOT and HTML')
+  .argument('<project>', 'project name')
+  .option('--script <script>', 'call script to load', 'main')
+  .option('--env <env>', 'environment (acc|prd|dvp)', 'acc')
+  .option('--entry <segment>', 'segment calls start in (default: first segment defined)')
+  .option('--format <format>', 'mermaid|dot|html|all', 'all')
+  .option('--output <file>', 'output file for a single format (default: dist/<name>.segments.<ext>)')
+  .action(graphProject);
+
+program
+  .command('lint')
+  .description('Check undefined, implicit, shadowed and duplicate globals across the project files')
+  .argument('<project>', 'project name')
+  .option('--script <script>', 'only check with this call script (default: every call script)')
+  .action(lintProject);
+
+program
+  .command('intents')
+  .description('Recognize intents with the project intentDefinitions')
+  .argument('<project>', 'project name')
+  .option('--utterance <text>', 'caller utterance to recognize')
+  .option('--csv <file>', 'CSV of labelled utterances (utterance,intent[,language]) to score')
+  .option('--language <language>', 'caller language (default: context.language of the simulator)')
+  .option('--threshold <score>', 'minimum score for a match', '0.5')
+  .option('--script <script>', 'call script to load', 'main')
+  .option('--env <env>', 'environment (acc|prd|dvp)', 'acc')
+  .action(detectIntents);
+
 program
   .command('debug')
   .description('Run project with interactive debugging')
@@ -73,6 +185,24 @@ program
   .option('--breakpoints <file>', 'breakpoints file')
   .action(debugProject);
 
+program
+  .command('storage')
+  .description('List, show or reset files written by simulations with --storage disk')
+  .argument('<project>', 'project name')
+  .argument('[action]', 'list|show|reset', 'list')
+  .argument('[file]', 'stored file for show')
+  .option('--dir <dir>', 'storage directory in the project', 'workfiles/storage')
+  .action(manageStorage);
+
+program
+  .command('config')
+  .description('Validate project.json against its schema, or get and set values')
+  .argument('<action>', 'validate|get|set')
+  .argument('<project>', 'project name')
+  .argument('[key]', 'value path, e.g. environments.acc.apiBase or libraryOrder[0]')
+  .argument('[value]', 'new value for set (JSON, or text)')
+  .action(configProject);
+
 program
   .command('clean')
   .description('Clean build artifacts')
@@ -2,6 +2,7 @@
  * Build Command - Creates monolithic Vocalls-compatible output
  * 
  * Follows Vocalls loading order:
+ * 0. Environment configuration (generated from project.json)
  * 1. globalCode.js
  * 2. globalVariables.js  
  * 3. globalLibraries/active/* (in dependency order)
@@ -9,10 +10,21 @@
  */
 
 import { promises as fs } from 'fs';
-import { join, resolve, dirname } from 'path';
+import { join, resolve, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
-import { findWorkspaceRoot, findProject, log, error } from '../utils/workspace.js';
+import { findWorkspaceRoot, findProject, log, error, warn } from '../utils/workspace.js';
 import { validateES51Compliance } from '../utils/validation.js';
+import { createSourceMap } from '../utils/sourcemap.js';
+import { watchProject } from '../utils/watch.js';
+import { generateEnvironmentSection, getEnvironmentConfig, getEnvironmentNames } from '../utils/environment.js';
+import { loadProjectConfig } from '../utils/config.js';
+import { resolveLibraryOrder } from '../utils/dependencies.js';
+import { minifySections } from '../utils/minify.js';
+import { transpileToES5 } from '../utils/transpile.js';
+import { getProjectRuntimeProfile, getContextPaths } from '../utils/runtime-profile.js';
+import { sectionBanner } from '../utils/monolith.js';
+import { archiveBuild, HISTORY_DIR } from '../utils/history.js';
+import { CORE_VERSION, MANIFEST_FILE, hashContent, reproducibleTimestamp, updateManifest } from '../utils/manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,21 +36,27 @@ export async function buildProject(projectName, options = {}) {
     
     log(`🔨 Building project: ${projectName}`);
     
+    // Invalid configuration fails before anything in dist/ is touched
+    const config = await loadProjectConfig(projectPath);
+    
     if (options.clean) {
       await cleanBuildDirectory(projectPath);
     }
     
-    const config = await loadProjectConfig(projectPath);
-    const builder = new VocallsProjectBuilder(projectPath, config, options);
+    const builders = createBuilders(projectPath, config, options);
     
-    const result = await builder.build();
+    if (options.watch) {
+      return watchBuild(projectPath, builders, options);
+    }
     
-    log(`✅ Build completed successfully!`);
-    log(`   Monolith: ${result.monolithPath}`);
-    log(`   Size: ${Math.round(result.size / 1024)}KB`);
-    log(`   Files processed: ${result.filesProcessed}`);
+    const results = [];
+    for (const builder of builders) {
+      const result = await builder.build();
+      reportBuild(result);
+      results.push(result);
+    }
     
-    return result;
+    return options.allEnvs ? results : results[0];
     
   } catch (err) {
     error(`Build failed: ${err.message}`);
@@ -46,43 +64,215 @@ export async function buildProject(projectName, options = {}) {
   }
 }
 
-class VocallsProjectBuilder {
+/**
+ * One builder per target environment: every environment in project.json
+ * with --all-envs, the --env one, or a single build that selects its
+ * environment at runtime
+ */
+function createBuilders(projectPath, config, options) {
+  const environments = options.allEnvs ? getEnvironmentNames(config) : [options.env || null];
+  
+  if (environments.length === 0) {
+    throw new Error('project.json does not define any environments');
+  }
+  
+  // Fail on unknown environments and runtime profiles before anything is written
+  environments.filter(Boolean).forEach(env => getEnvironmentConfig(config, env));
+  getProjectRuntimeProfile(config);
+  
+  return environments.map(env => new VocallsProjectBuilder(projectPath, config, { ...options, env }));
+}
+
+function reportBuild(result) {
+  log(`✅ Build completed successfully!${result.environment ? ` (${result.environment})` : ''}`);
+  log(`   Monolith: ${result.monolithPath}`);
+  log(`   Source map: ${result.sourceMapPath}`);
+  log(`   Manifest: ${result.manifestPath}`);
+  if (result.archivedPath) {
+    log(`   Previous build kept: ${result.archivedPath}`);
+  }
+  log(`   Size: ${Math.round(result.size / 1024)}KB`);
+  log(`   Files processed: ${result.filesProcessed}`);
+  if (result.sectionsReused > 0) {
+    log(`   Unchanged sections reused: ${result.sectionsReused}`);
+  }
+  if (result.minification) {
+    reportMinification(result.minification);
+  }
+  result.dependencyIssues.forEach(issue => warn(`Library order: ${issue.message}`));
+}
+
+function reportMinification(report) {
+  const width = Math.max(...report.sections.map(section => section.name.length), 'Total'.length);
+  const row = (name, before, after) => {
+    const saved = before > 0 ? Math.round((1 - after / before) * 100) : 0;
+    return `     ${name.padEnd(width)}  ${formatSize(before).padStart(8)} → ${formatSize(after).padStart(8)}  (-${saved}%)`;
+  };
+  
+  log(`   Minified:`);
+  report.sections.forEach(section => log(row(section.name, section.before, section.after)));
+  log(row('Total', report.before, report.after));
+  
+  report.dropped.forEach(entry => {
+    log(`   Dropped unused function ${entry.name}()${entry.file ? ` (${entry.file}:${entry.line})` : ''}`);
+  });
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes}B` : `${(bytes / 1024).toFixed(1)}KB`;
+}
+
+/**
+ * Build once, then rebuild whenever src/ or project.json changes. The
+ * builder is kept between runs so only changed sections are cleaned and
+ * validated again; a project.json change starts from fresh builders.
+ * Build errors are reported without stopping the watcher.
+ */
+async function watchBuild(projectPath, builders, options) {
+  const run = async () => {
+    for (const builder of builders) {
+      try {
+        reportBuild(await builder.build());
+      } catch (err) {
+        error(`Build failed: ${err.message}`);
+      }
+    }
+  };
+  
+  await run();
+  
+  const watcher = watchProject(projectPath, async files => {
+    log();
+    log(`🔁 Changed: ${files.join(', ')}`);
+    
+    if (files.includes('project.json')) {
+      try {
+        builders = createBuilders(projectPath, await loadProjectConfig(projectPath), options);
+      } catch (err) {
+        error(`Build failed: ${err.message}`);
+        return;
+      }
+    }
+    
+    await run();
+    log(`👀 Watching for changes... (Ctrl+C to stop)`);
+  });
+  
+  log(`👀 Watching for changes... (Ctrl+C to stop)`);
+  return watcher;
+}
+
+export class VocallsProjectBuilder {
   constructor(projectPath, config, options = {}) {
     this.projectPath = projectPath;
     this.config = config;
     this.options = options;
     this.sections = [];
     this.filesProcessed = 0;
+    this.sectionsReused = 0;
+    this.libraryOrder = [];
+    this.dependencyIssues = [];
+    
+    // Cleaned sections by file path, reused while the source is unchanged
+    this.sectionCache = new Map();
   }
   
   async build() {
+    const { code: monolith, mappings, ranges, minification } = await this.assemble();
+    
     // Create build directory
     const buildDir = join(this.projectPath, 'dist');
     await fs.mkdir(buildDir, { recursive: true });
     
+    // Write output, keeping the previous monolith for voc diff
+    const monolithName = this.getMonolithName();
+    const monolithPath = join(buildDir, monolithName);
+    const archivedPath = await archiveBuild(buildDir, monolithName, monolith);
+    await fs.writeFile(monolithPath, monolith, 'utf8');
+    
+    // Write source map next to the monolith
+    const sourceMapPath = `${monolithPath}.map`;
+    const sourceMap = this.generateSourceMap(monolithName, buildDir, mappings);
+    await fs.writeFile(sourceMapPath, JSON.stringify(sourceMap), 'utf8');
+    
+    // Record what went into it
+    await updateManifest(buildDir, this.config.name, monolithName, this.generateManifestEntry(monolith, ranges));
+    
+    return {
+      monolithPath,
+      sourceMapPath,
+      manifestPath: join(buildDir, MANIFEST_FILE),
+      archivedPath,
+      size: Buffer.byteLength(monolith, 'utf8'),
+      filesProcessed: this.filesProcessed,
+      sectionsReused: this.sectionsReused,
+      libraryOrder: this.libraryOrder,
+      dependencyIssues: this.dependencyIssues,
+      minification,
+      environment: this.options.env || null
+    };
+  }
+  
+  /**
+   * Process the sources and generate the monolith without writing anything
+   * 
+   * @returns {Promise<{code: string, mappings: Array, ranges: Array, minification: object|null}>}
+   */
+  async assemble() {
+    this.sections = [];
+    this.filesProcessed = 0;
+    this.sectionsReused = 0;
+    this.libraryOrder = [];
+    this.dependencyIssues = [];
+    this.timestamp = this.options.reproducible ? reproducibleTimestamp() : new Date().toISOString();
+    
     // Process files in Vocalls loading order
+    this.processEnvironmentConfig();
     await this.processGlobalCode();
     await this.processGlobalVariables();
     await this.processGlobalLibraries();
     await this.processMainScript();
     
-    // Generate monolithic output
-    const monolith = this.generateMonolith();
-    
-    // Validate ES5.1 compliance
-    if (this.options.prod) {
-      await this.validateCompliance(monolith);
+    // Validate ES5.1 compliance of each source file (of its output when transpiled)
+    if (this.options.prod || this.options.watch || this.isTranspiling()) {
+      await this.validateCompliance();
     }
     
-    // Write output
-    const monolithPath = join(buildDir, `${this.config.name}.monolith.js`);
-    await fs.writeFile(monolithPath, monolith, 'utf8');
+    // Minify production builds once the sources are known to be ES5.1
+    const minification = this.options.prod && this.options.minify !== false ? this.minify() : null;
     
-    return {
-      monolithPath,
-      size: Buffer.byteLength(monolith, 'utf8'),
-      filesProcessed: this.filesProcessed
-    };
+    // Generate monolithic output
+    return { ...this.generateMonolith(), minification };
+  }
+  
+  getMonolithName() {
+    return this.options.env
+      ? `${this.config.name}.${this.options.env}.monolith.js`
+      : `${this.config.name}.monolith.js`;
+  }
+  
+  getMode() {
+    const details = [
+      ...(this.options.prod && this.options.minify !== false ? ['minified'] : []),
+      ...(this.isTranspiling() ? ['transpiled'] : [])
+    ];
+    const mode = this.options.prod ? 'production' : 'development';
+    return details.length > 0 ? `${mode} (${details.join(', ')})` : mode;
+  }
+  
+  /**
+   * Modern syntax in src/ is lowered to ES5.1 with --transpile or
+   * "transpile": true in project.json
+   */
+  isTranspiling() {
+    return this.options.transpile ?? this.config.transpile === true;
+  }
+  
+  processEnvironmentConfig() {
+    const code = generateEnvironmentSection(this.config, this.options.env);
+    if (code) {
+      this.addGeneratedSection(`Environment Configuration (${this.options.env || 'runtime'})`, code);
+    }
   }
   
   async processGlobalCode() {
@@ -105,10 +295,12 @@ class VocallsProjectBuilder {
     const libsDir = join(this.projectPath, 'src', 'globalLibraries', 'active');
     
     if (await this.fileExists(libsDir)) {
-      // Get dependency order from config or use alphabetical
-      const files = this.config.libraryOrder || await this.getLibraryFiles(libsDir);
+      // libraryOrder from project.json, or the order of their dependencies
+      const { libraries, issues } = await resolveLibraryOrder(this.projectPath, this.config);
+      this.libraryOrder = libraries;
+      this.dependencyIssues = issues;
       
-      for (const file of files) {
+      for (const file of libraries) {
         const filePath = join(libsDir, file);
         if (await this.fileExists(filePath)) {
           const content = await fs.readFile(filePath, 'utf8');
@@ -129,20 +321,91 @@ class VocallsProjectBuilder {
   }
   
   generateMonolith() {
-    const header = this.generateHeader();
-    const body = this.sections.map(section => section.content).join('\n\n');
+    const code = [];
+    const mappings = [];
+    const ranges = [];
+    
+    const addGenerated = text => {
+      for (const line of text.split('\n')) {
+        code.push(line);
+        mappings.push(null);
+      }
+    };
     
-    return `${header}\n\n${body}`;
+    addGenerated(this.generateHeader());
+    
+    for (const section of this.sections) {
+      addGenerated('');
+      addGenerated(section.header);
+      
+      const start = code.length + 1;
+      for (const line of section.lines) {
+        code.push(line.text);
+        mappings.push(section.filePath ? { filePath: section.filePath, line: line.line } : null);
+      }
+      ranges.push({ section, lines: [start, code.length] });
+    }
+    
+    return { code: code.join('\n'), mappings, ranges };
+  }
+  
+  generateSourceMap(monolithName, buildDir, mappings) {
+    const sourcePaths = new Map();
+    const sourcesContent = {};
+    
+    for (const section of this.sections.filter(section => section.filePath)) {
+      const source = relative(buildDir, section.filePath).replace(/\\/g, '/');
+      sourcePaths.set(section.filePath, source);
+      sourcesContent[source] = section.source;
+    }
+    
+    const lines = mappings.map(mapping => mapping && {
+      source: sourcePaths.get(mapping.filePath),
+      line: mapping.line
+    });
+    
+    return createSourceMap(monolithName, lines, sourcesContent);
+  }
+  
+  /**
+   * Manifest entry of the monolith: hashes of the output, the configuration
+   * and every source file, with the monolith lines each file occupies
+   */
+  generateManifestEntry(monolith, ranges) {
+    return {
+      environment: this.options.env || null,
+      mode: this.getMode(),
+      built: this.timestamp,
+      coreVersion: CORE_VERSION,
+      hash: hashContent(monolith),
+      configHash: hashContent(JSON.stringify(this.config)),
+      files: ranges
+        .filter(range => range.section.filePath)
+        .map(range => ({
+          path: this.relativePath(range.section.filePath),
+          hash: hashContent(range.section.source),
+          lines: range.lines
+        }))
+    };
+  }
+  
+  relativePath(filePath) {
+    return relative(this.projectPath, filePath).replace(/\\/g, '/');
   }
   
   generateHeader() {
-    const timestamp = new Date().toISOString();
+    const profile = getProjectRuntimeProfile(this.config);
+    
     return `// ========================================
 // VOCALLS COMPATIBLE MONOLITHIC IVR
 // Project: ${this.config.name}
 // Customer: ${this.config.customer || 'Unknown'}
-// Built: ${timestamp}
-// Target: Vocalls ES5.1 Runtime
+// Environment: ${this.options.env || 'selected at runtime (VOCALLS_ENV)'}
+// Mode: ${this.getMode()}
+// Built: ${this.timestamp}
+// Core: ${CORE_VERSION}
+// Target: ${profile.target}
+// Runtime: ${profile.id}
 // Files: ${this.filesProcessed}
 // ========================================
 
@@ -150,67 +413,153 @@ class VocallsProjectBuilder {
  * This file was automatically generated by the Vocalls Development Environment
  * It contains all dependencies in the correct order for the Vocalls runtime
  * 
- * Available globals in Vocalls runtime:
- * - context.callInfo, context.session.variables
- * - jsonHttpRequest, httpRequest, Storage
- * - logInfo, logWarn, logError, log_debug
- * - nowUTC and other utility functions
+ * Available globals in Vocalls runtime (${profile.id}):
+${describeRuntimeGlobals(profile)}
  */`;
   }
   
   addSection(name, content, filePath) {
-    const cleanContent = this.cleanContent(content);
-    const sectionHeader = `// ========================================\n// ${name}\n// Source: ${filePath}\n// ========================================`;
+    this.filesProcessed++;
     
-    this.sections.push({
+    const cached = this.sectionCache.get(filePath);
+    if (cached && cached.source === content && cached.name === name) {
+      this.sections.push(cached);
+      this.sectionsReused++;
+      return;
+    }
+    
+    // Transpiled output keeps the lines of the source, so the map stays exact
+    const transpiled = this.isTranspiling()
+      ? transpileToES5(content, { filename: this.relativePath(filePath) })
+      : null;
+    
+    const lines = this.cleanContent(transpiled ? transpiled.code : content);
+    const section = {
       name,
-      content: `${sectionHeader}\n${cleanContent}`,
+      header: sectionBanner(name, this.relativePath(filePath)),
+      lines,
+      source: content,
+      output: transpiled ? transpiled.code : content,
+      transpileIssues: transpiled ? transpiled.issues : [],
       filePath
-    });
+    };
     
-    this.filesProcessed++;
+    this.sections.push(section);
+    this.sectionCache.set(filePath, section);
     log(`  📝 ${name}`);
   }
   
+  /**
+   * Add a section generated by the builder; it has no source file, so its
+   * lines stay unmapped in the source map
+   */
+  addGeneratedSection(name, code) {
+    this.sections.push({
+      name,
+      header: sectionBanner(name, null),
+      lines: code.split('\n').map(text => ({ text, line: null })),
+      source: code,
+      filePath: null
+    });
+    
+    log(`  ⚙️  ${name}`);
+  }
+  
+  /**
+   * Clean section content, keeping track of the original line of every
+   * output line so the source map stays exact once blank lines are dropped
+   * 
+   * @returns {Array<{text: string, line: number}>} Output lines with their
+   *   1-based line number in the source file
+   */
   cleanContent(content) {
-    // Remove excessive comments and whitespace for production builds
+    const text = content.replace(/\r\n/g, '\n');
+    
+    // Comments are left to the minifier, which knows strings from comments
+    let lines = text.split('\n').map((line, index) => ({ text: line, line: index + 1 }));
+    const isBlank = line => line.text.trim() === '';
+    
     if (this.options.prod) {
-      return content
-        .replace(/\/\*[\s\S]*?\*\//g, '') // Remove block comments
-        .replace(/\/\/.*$/gm, '') // Remove line comments
-        .replace(/\n\s*\n\s*\n/g, '\n\n') // Reduce multiple empty lines
-        .trim();
+      // Reduce multiple empty lines
+      lines = lines.filter((line, index) => !isBlank(line) || index === 0 || !isBlank(lines[index - 1]));
+      lines.forEach(line => {
+        if (isBlank(line)) {
+          line.text = '';
+        }
+      });
     }
-    return content.trim();
+    
+    // Trim leading and trailing blank lines
+    while (lines.length > 0 && isBlank(lines[0])) {
+      lines.shift();
+    }
+    while (lines.length > 0 && isBlank(lines[lines.length - 1])) {
+      lines.pop();
+    }
+    
+    if (lines.length > 0) {
+      lines[0].text = lines[0].text.trimStart();
+      lines[lines.length - 1].text = lines[lines.length - 1].text.trimEnd();
+    }
+    
+    return lines;
+  }
+  
+  /**
+   * Replace the sections of this build by their minified form; the cached
+   * sections keep their cleaned lines for the next build
+   * 
+   * @returns {object} Size report of the minifier
+   */
+  minify() {
+    const { sections, report } = minifySections(this.sections);
+    this.sections = sections;
+    
+    report.dropped.forEach(entry => {
+      entry.file = entry.file ? this.relativePath(entry.file) : null;
+    });
+    
+    return report;
   }
   
-  async validateCompliance(content) {
-    const violations = validateES51Compliance(content);
+  async validateCompliance() {
+    const violations = [];
+    
+    for (const section of this.sections.filter(section => section.filePath)) {
+      // Cached sections keep their result until their source changes
+      if (!section.violations) {
+        const filename = this.relativePath(section.filePath);
+        section.violations = mergeViolations(
+          section.transpileIssues,
+          validateES51Compliance(section.output, { filename })
+        );
+      }
+      violations.push(...section.violations);
+    }
     
     if (violations.length > 0) {
-      error(`\n❌ ES5.1 compliance violations found:`);
+      // Development watch builds still write the monolith
+      const report = this.options.prod ? error : warn;
+      
+      report(this.options.prod ? `\n❌ ES5.1 compliance violations found:` : 'ES5.1 compliance violations found:');
       violations.slice(0, 10).forEach(v => {
-        error(`   Line ${v.line}: ${v.message}`);
-        error(`   Code: ${v.snippet}`);
+        report(`   ${v.file}:${v.line}:${v.column} ${v.message} [${v.rule}]`);
+        report(`   Code: ${v.snippet}`);
       });
       
       if (violations.length > 10) {
-        error(`   ... and ${violations.length - 10} more violations`);
+        report(`   ... and ${violations.length - 10} more violations`);
       }
       
-      throw new Error('Build failed due to compliance violations');
+      if (this.options.prod) {
+        throw new Error('Build failed due to compliance violations');
+      }
+      return;
     }
     
     log(`✅ ES5.1 compliance validated`);
   }
   
-  async getLibraryFiles(libsDir) {
-    const files = await fs.readdir(libsDir);
-    return files
-      .filter(file => file.endsWith('.js'))
-      .sort(); // Alphabetical order as fallback
-  }
-  
   async fileExists(path) {
     try {
       await fs.access(path);
@@ -221,27 +570,55 @@ class VocallsProjectBuilder {
   }
 }
 
-async function loadProjectConfig(projectPath) {
-  const configPath = join(projectPath, 'project.json');
+/**
+ * Constructs the transpiler could not lower, with the violations of its
+ * output that do not report the same construct again
+ */
+function mergeViolations(issues, violations) {
+  const reported = new Set(issues.map(issue => `${issue.line}:${issue.rule}`));
+  return [...issues, ...violations.filter(violation => !reported.has(`${violation.line}:${violation.rule}`))]
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Header comment lines for the globals of a runtime profile: the context,
+ * then one item per API group, wrapped at 72 characters
+ */
+function describeRuntimeGlobals(profile) {
+  const groups = new Map([['context', getContextPaths(profile)]]);
+  for (const api of profile.globals) {
+    groups.set(api.group, [...(groups.get(api.group) || []), api.signature]);
+  }
   
-  try {
-    const content = await fs.readFile(configPath, 'utf8');
-    return JSON.parse(content);
-  } catch (err) {
-    // Return default config if file doesn't exist
-    return {
-      name: projectPath.split(/[\\\\/]/).pop(),
-      customer: 'Unknown',
-      libraryOrder: []
-    };
+  const lines = [];
+  for (const items of groups.values()) {
+    let line = ' * -';
+    items.forEach((item, index) => {
+      const text = index < items.length - 1 ? `${item},` : item;
+      if (index > 0 && line.length + text.length + 1 > 72) {
+        lines.push(line);
+        line = ' *  ';
+      }
+      line = `${line} ${text}`;
+    });
+    lines.push(line);
   }
+  
+  return lines.join('\n');
 }
 
+/**
+ * Empty dist/, except the build history voc diff compares against
+ */
 async function cleanBuildDirectory(projectPath) {
   const buildDir = join(projectPath, 'dist');
   
   try {
-    await fs.rm(buildDir, { recursive: true, force: true });
+    for (const entry of await fs.readdir(buildDir)) {
+      if (entry !== HISTORY_DIR) {
+        await fs.rm(join(buildDir, entry), { recursive: true, force: true });
+      }
+    }
     log(`🧹 Cleaned build directory`);
   } catch (err) {
     // Ignore if directory doesn't exist
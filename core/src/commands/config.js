@@ -0,0 +1,111 @@
+/**
+ * Config Command - Validate and edit project.json
+ * 
+ * validate checks project.json against core/schema/project.schema.json and
+ * the project's library files; get prints a value; set changes one and only
+ * writes the file when the result is still valid. Keys are paths such as
+ * "environments.acc.apiBase" or "libraryOrder[0]".
+ */
+
+import { findProject, log, error, success, warn } from '../utils/workspace.js';
+import {
+  CONFIG_FILE,
+  ProjectConfigError,
+  readProjectConfig,
+  writeProjectConfig,
+  validateProjectConfig,
+  getConfigValue,
+  setConfigValue
+} from '../utils/config.js';
+
+export async function configProject(action, projectName, key, value) {
+  try {
+    const projectPath = await findProject(projectName);
+    
+    switch (action) {
+      case 'validate':
+        return await validateConfig(projectPath);
+      
+      case 'get': {
+        const config = await requireConfig(projectPath);
+        const result = key ? getConfigValue(config, key) : config;
+        
+        if (result === undefined) {
+          throw new Error(`Key not found in ${CONFIG_FILE}: ${key}`);
+        }
+        
+        log(typeof result === 'object' && result !== null ? JSON.stringify(result, null, 2) : String(result));
+        return result;
+      }
+      
+      case 'set': {
+        if (!key || value === undefined) {
+          throw new Error('Missing key or value: voc config set <project> <key> <value>');
+        }
+        
+        const config = setConfigValue(await requireConfig(projectPath), key, parseValue(value));
+        const errors = await validateProjectConfig(config, projectPath);
+        if (errors.length > 0) {
+          throw new ProjectConfigError(CONFIG_FILE, errors);
+        }
+        
+        await writeProjectConfig(projectPath, config);
+        success(`${key} = ${JSON.stringify(getConfigValue(config, key))}`);
+        return config;
+      }
+      
+      default:
+        throw new Error(`Unknown config action: ${action} (use validate|get|set)`);
+    }
+  
+  } catch (err) {
+    error(`Config command failed: ${err.message}`);
+    throw err;
+  }
+}
+
+async function validateConfig(projectPath) {
+  let errors;
+  
+  try {
+    const config = await readProjectConfig(projectPath);
+    if (config === null) {
+      warn(`No ${CONFIG_FILE}: the project uses the default configuration`);
+      return { valid: true, errors: [] };
+    }
+    errors = await validateProjectConfig(config, projectPath);
+  } catch (err) {
+    if (!(err instanceof ProjectConfigError)) {
+      throw err;
+    }
+    errors = err.errors;
+  }
+  
+  if (errors.length === 0) {
+    success(`${CONFIG_FILE} is valid`);
+  } else {
+    error(`${CONFIG_FILE} has ${errors.length} error(s):`);
+    errors.forEach(err => log(`   ${err.path || '(root)'}: ${err.message}`));
+    process.exitCode = 1;
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+async function requireConfig(projectPath) {
+  const config = await readProjectConfig(projectPath);
+  if (config === null) {
+    throw new Error(`${CONFIG_FILE} not found in ${projectPath}`);
+  }
+  return config;
+}
+
+// JSON values (42, true, null, ["a.js"]) are stored as such, anything else
+// as a string
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
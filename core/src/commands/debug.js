@@ -1,19 +1,114 @@
 /**
  * Debug Command - Interactive debugging for Vocalls projects
  * 
- * Provides step-through debugging with breakpoints and variable inspection
+ * Runs the project in the simulator sandbox with breakpoints on src/ files,
+ * stepping, stack and variable inspection and an evaluate prompt
  */
 
+import fs from 'fs';
+import { resolve } from 'path';
+import { findProject, log, error, success } from '../utils/workspace.js';
+import { VocallsDebugger } from '../debugger/index.js';
+
 export async function debugProject(projectName, options = {}) {
-  console.log(`🐛 Debug mode not fully implemented yet`);
-  console.log(`   Project: ${projectName}`);
-  console.log(`   This would provide:`);
-  console.log(`   • Step-through debugging`);
-  console.log(`   • Breakpoint support`);
-  console.log(`   • Variable inspection`);
-  console.log(`   • REPL interface`);
+  try {
+    const projectPath = await findProject(projectName);
+    const breakpoints = options.breakpoints ? loadBreakpoints(options.breakpoints) : [];
+    
+    log(`🐛 Debugging project: ${projectName}`);
+    log(`   Script: ${options.script}`);
+    log(`   Environment: ${options.env}`);
+    log(`   Breakpoints: ${breakpoints.length > 0 ? breakpoints.map(formatBreakpoint).join(', ') : 'none (stopping on entry)'}`);
+    log(`   Type "help" at the prompt for commands`);
+    log();
+    
+    const debugSession = new VocallsDebugger({
+      projectPath,
+      environment: options.env,
+      httpMode: 'stub',
+      storageMode: 'memory',
+      verbose: global.VERBOSE,
+      breakpoints,
+      stopOnEntry: breakpoints.length === 0,
+      input: () => prompt('(voc-debug) '),
+      output: text => log(text)
+    });
+    
+    const result = await debugSession.run(options.script);
+    
+    if (result) {
+      const segmentState = result.sessionState.variables.segmentState || {};
+      success('Debug session completed');
+      log(`   Current segment: ${segmentState.currentSegment || 'Unknown'}`);
+      log(`   Segment result: ${segmentState.segmentResult || 'Unknown'}`);
+    }
+    
+    return result;
+    
+  } catch (err) {
+    error(`Debug session failed: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Read breakpoints from a JSON file (an array or { "breakpoints": [...] }
+ * of "file:line" strings or { file, line } objects) or a text file with
+ * one file:line per line
+ */
+function loadBreakpoints(file) {
+  const content = fs.readFileSync(resolve(file), 'utf8');
+  
+  try {
+    const parsed = JSON.parse(content);
+    return Array.isArray(parsed) ? parsed : parsed.breakpoints || [];
+  } catch {
+    return content
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+}
+
+function formatBreakpoint(breakpoint) {
+  return typeof breakpoint === 'string' ? breakpoint : `${breakpoint.file}:${breakpoint.line}`;
+}
+
+/**
+ * Read a line from stdin synchronously; the debugger pauses inside the
+ * running script, so the prompt cannot use the asynchronous readline API
+ * 
+ * @returns {string|null} The line, or null at end of input
+ */
+function prompt(text) {
+  fs.writeSync(process.stdout.fd, text);
+  
+  const bytes = [];
+  const buffer = Buffer.alloc(1);
   
-  // For now, fall back to simulation with verbose logging
-  const { simulateProject } = await import('./simulate.js');
-  return simulateProject(projectName, { ...options, verbose: true });
-}
\ No newline at end of file
+  for (;;) {
+    let bytesRead;
+    try {
+      bytesRead = fs.readSync(0, buffer, 0, 1, null);
+    } catch (err) {
+      if (err.code === 'EAGAIN') {
+        // Non-blocking stdin: wait briefly for input
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 20);
+        continue;
+      }
+      if (err.code === 'EOF') {
+        bytesRead = 0;
+      } else {
+        throw err;
+      }
+    }
+    
+    if (bytesRead === 0) {
+      return bytes.length > 0 ? Buffer.from(bytes).toString('utf8') : null;
+    }
+    if (buffer[0] === 0x0a) {
+      return Buffer.from(bytes).toString('utf8').replace(/\r$/, '');
+    }
+    bytes.push(buffer[0]);
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Diff Command - What changed in the monolith since an earlier build
+ * 
+ * Compares dist/<name>.monolith.js with the newest build kept in
+ * dist/history/ or with a monolith pulled from Vocalls (--against), per
+ * section of the build, and summarizes the segmentDic, lineMap and
+ * apiConfigMap entries that were added, removed or changed.
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, relative } from 'path';
+import { findProject, getProjectInfo, log, error, success, warn } from '../utils/workspace.js';
+import { listHistory } from '../utils/history.js';
+import { diffMonoliths, REGISTRIES } from '../utils/monolith-diff.js';
+
+const REGISTRY_TITLES = {
+  segmentDic: 'Segments (segmentDic)',
+  lineMap: 'Lines (lineMap)',
+  apiConfigMap: 'Endpoints (apiConfigMap)'
+};
+
+export async function diffProject(projectName, options = {}) {
+  try {
+    const projectPath = await findProject(projectName);
+    const projectInfo = await getProjectInfo(projectName);
+    const buildDir = join(projectPath, 'dist');
+    
+    const monolithName = options.env
+      ? `${projectInfo.name}.${options.env}.monolith.js`
+      : `${projectInfo.name}.monolith.js`;
+    const currentPath = join(buildDir, monolithName);
+    const current = await readMonolith(currentPath, `run voc build ${projectName}${options.env ? ` --env ${options.env}` : ''} first`);
+    
+    let baselinePath;
+    if (options.against) {
+      baselinePath = resolve(options.against);
+    } else {
+      const history = await listHistory(buildDir, monolithName);
+      if (history.length === 0) {
+        throw new Error(`No earlier build of ${monolithName} in dist/history/ (it is kept when a build changes the monolith); use --against <file> to compare with a deployed monolith`);
+      }
+      baselinePath = history[history.length - 1].path;
+    }
+    const baseline = await readMonolith(baselinePath, 'check the --against path');
+    
+    const result = diffMonoliths(baseline, current);
+    const name = path => relative(projectPath, path).replace(/\\/g, '/') || path;
+    
+    log(`🔀 ${name(baselinePath)} → ${name(currentPath)}`);
+    result.header.forEach(change => log(`   ${capitalize(change.field)}: ${change.before || '(none)'} → ${change.after || '(none)'}`));
+    
+    if (result.sections.length === 0) {
+      success('No changes in the code');
+    }
+    
+    for (const section of result.sections) {
+      log();
+      log(`${statusIcon(section.status)} ${section.name}${section.source ? ` (${section.source})` : ''}  +${section.added} -${section.removed}`);
+      
+      if (!options.summary) {
+        for (const hunk of section.hunks) {
+          log(`   @@ ${hunk.before === null ? '' : `-${hunk.before} `}${hunk.after === null ? '' : `+${hunk.after} `}@@`);
+          hunk.lines.forEach(line => log(`   ${line.type} ${line.text}`));
+        }
+      }
+    }
+    
+    log();
+    if (result.registries) {
+      for (const registry of REGISTRIES) {
+        const changes = result.registries[registry];
+        log(`${REGISTRY_TITLES[registry]}:${changes.length === 0 ? ' no changes' : ''}`);
+        changes.forEach(change => log(`   ${formatRegistryChange(change)}`));
+      }
+    } else {
+      warn('Could not parse both monoliths; segmentDic, lineMap and apiConfigMap are not summarized');
+    }
+    
+    return result;
+  
+  } catch (err) {
+    error(`Diff failed: ${err.message}`);
+    throw err;
+  }
+}
+
+async function readMonolith(path, hint) {
+  try {
+    return await fs.readFile(path, 'utf8');
+  } catch {
+    throw new Error(`Monolith not found: ${path} (${hint})`);
+  }
+}
+
+function formatRegistryChange(change) {
+  switch (change.type) {
+    case 'added':
+      return `+ ${change.key}`;
+    case 'removed':
+      return `- ${change.key}`;
+    default:
+      return `~ ${change.key}${change.properties.length > 0 ? ` (${change.properties.join(', ')})` : ''}`;
+  }
+}
+
+function statusIcon(status) {
+  return { added: '➕', removed: '➖', changed: '✏️ ' }[status];
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
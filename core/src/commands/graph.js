@@ -0,0 +1,106 @@
+/**
+ * Graph Command - Analyze and visualize the segment call flow
+ * 
+ * Loads the project in the simulator, reads the populated segmentDic and
+ * reports dangling targets, unreachable segments, dead ends without endCall
+ * and cycles without exit. The flow is exported as Mermaid, Graphviz DOT
+ * and a standalone HTML page.
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, relative, dirname } from 'path';
+import { findProject, getProjectInfo, log, error, success, warn } from '../utils/workspace.js';
+import { VocallsSimulator } from '../simulator/engine.js';
+import { buildSegmentGraph } from '../graph/segment-graph.js';
+import { toMermaid, toDot, toHtml } from '../graph/render.js';
+
+const FORMATS = {
+  mermaid: { extension: 'mmd', render: toMermaid },
+  dot: { extension: 'dot', render: toDot },
+  html: { extension: 'html', render: toHtml }
+};
+
+const ISSUE_TITLES = {
+  dangling: 'Dangling targets',
+  unreachable: 'Unreachable segments',
+  'dead-end': 'Dead ends without endCall',
+  cycle: 'Cycles without exit'
+};
+
+export async function graphProject(projectName, options = {}) {
+  try {
+    const projectPath = await findProject(projectName);
+    const projectInfo = await getProjectInfo(projectName);
+    const formats = options.format === 'all' || !options.format ? Object.keys(FORMATS) : [options.format];
+    
+    for (const format of formats) {
+      if (!FORMATS[format]) {
+        throw new Error(`Unknown format: ${format} (use mermaid, dot, html or all)`);
+      }
+    }
+    if (options.output && formats.length > 1) {
+      throw new Error('--output needs a single --format');
+    }
+    
+    log(`🧭 Analyzing segment graph: ${projectName}`);
+    
+    const simulator = new VocallsSimulator({
+      projectPath,
+      environment: options.env,
+      silent: !global.VERBOSE
+    });
+    const result = await simulator.execute(options.script);
+    const segmentDic = result.sandbox.segmentDic;
+    
+    if (!segmentDic) {
+      throw new Error('segmentDic is not defined after loading the project');
+    }
+    
+    const graph = buildSegmentGraph(segmentDic, { entry: options.entry });
+    if (graph.segments.length === 0) {
+      throw new Error('segmentDic is empty after loading the project');
+    }
+    const definedCount = graph.segments.filter(segment => segment.defined).length;
+    
+    log(`   Segments: ${definedCount}`);
+    log(`   Transitions: ${graph.transitions.length}`);
+    log(`   Entry: ${graph.entry}`);
+    log();
+    
+    for (const [type, title] of Object.entries(ISSUE_TITLES)) {
+      const issues = graph.issues.filter(issue => issue.type === type);
+      if (issues.length > 0) {
+        warn(`${title} (${issues.length}):`);
+        issues.forEach(issue => log(`   ${issue.message}`));
+      }
+    }
+    
+    if (graph.issues.length === 0) {
+      success('No call flow issues found');
+    } else {
+      process.exitCode = 1;
+    }
+    
+    const files = [];
+    for (const format of formats) {
+      const { extension, render } = FORMATS[format];
+      const file = options.output
+        ? resolve(options.output)
+        : join(projectPath, 'dist', `${projectInfo.name}.segments.${extension}`);
+      
+      await fs.mkdir(dirname(file), { recursive: true });
+      await fs.writeFile(file, render(graph, projectInfo.name), 'utf8');
+      files.push(file);
+    }
+    
+    log();
+    log('📄 Exported:');
+    files.forEach(file => log(`   ${relative(process.cwd(), file) || file}`));
+    
+    return { graph, files };
+    
+  } catch (err) {
+    error(`Graph analysis failed: ${err.message}`);
+    throw err;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Intents Command - Try the project's intent definitions on utterances
+ * 
+ * Loads the project in the simulator and runs the simulated intent
+ * recognition on one utterance (--utterance) or on a CSV file of labelled
+ * utterances (--csv), reporting precision, recall and a confusion matrix
+ */
+
+import { promises as fs } from 'fs';
+import { resolve } from 'path';
+import { findProject, log, error, warn } from '../utils/workspace.js';
+import { VocallsSimulator } from '../simulator/engine.js';
+import { recognizeIntent, scoreIntentResults, DEFAULT_THRESHOLD } from '../simulator/intents.js';
+import { parseCsv } from '../utils/csv.js';
+
+const NO_INTENT = '(none)';
+const MAX_MISSES = 10;
+
+export async function detectIntents(projectName, options = {}) {
+  try {
+    if (!options.utterance && !options.csv) {
+      throw new Error('Pass --utterance "<text>" or --csv <file>');
+    }
+    
+    const threshold = parseThreshold(options.threshold);
+    const projectPath = await findProject(projectName);
+    
+    const simulator = new VocallsSimulator({
+      projectPath,
+      environment: options.env,
+      silent: !global.VERBOSE
+    });
+    const { sandbox } = await simulator.execute(options.script);
+    const intentDefinitions = sandbox.intentDefinitions;
+    
+    if (!intentDefinitions || Object.keys(intentDefinitions).length === 0) {
+      throw new Error('intentDefinitions is empty or not defined after loading the project');
+    }
+    
+    const settings = {
+      language: options.language || sandbox.context.language,
+      threshold
+    };
+    
+    if (options.csv) {
+      return await scoreCsv(intentDefinitions, options.csv, settings);
+    }
+    
+    const result = recognizeIntent(intentDefinitions, options.utterance, settings);
+    reportRecognition(options.utterance, result, settings);
+    
+    return result;
+  
+  } catch (err) {
+    error(`Intent detection failed: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * --threshold as a score from 0 to 1
+ */
+function parseThreshold(value) {
+  if (value === undefined) {
+    return DEFAULT_THRESHOLD;
+  }
+  
+  const threshold = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`Invalid --threshold ${value} (use a number from 0 to 1)`);
+  }
+  return threshold;
+}
+
+function reportRecognition(utterance, result, settings) {
+  if (result.intent) {
+    log(`🎯 "${utterance}" → ${result.intent} (${result.confidence.toFixed(2)}, ${result.match} match on "${result.pattern}")`);
+  } else {
+    log(`🎯 "${utterance}" → no intent (best score ${result.confidence.toFixed(2)}, threshold ${settings.threshold})`);
+  }
+  log(`   Language: ${settings.language}`);
+  
+  if (result.candidates.length > 0) {
+    log('   Candidates:');
+    result.candidates.forEach(candidate => {
+      log(`     ${candidate.intent.padEnd(20)} ${candidate.confidence.toFixed(3)}  ${candidate.match.padEnd(10)} "${candidate.pattern}"`);
+    });
+  }
+}
+
+/**
+ * Score a CSV of labelled utterances: utterance,intent[,language]. An
+ * empty intent or "none" means no intent should match; a header row
+ * starting with "utterance" is skipped.
+ */
+async function scoreCsv(intentDefinitions, file, settings) {
+  const rows = parseCsv(await fs.readFile(resolve(file), 'utf8'));
+  if (rows.length > 0 && rows[0][0].trim().toLowerCase() === 'utterance') {
+    rows.shift();
+  }
+  
+  const results = rows.map(([utterance, expected = '', language]) => {
+    const label = expected.trim();
+    const recognition = recognizeIntent(intentDefinitions, utterance, {
+      ...settings,
+      language: language && language.trim() ? language.trim() : settings.language
+    });
+    
+    return {
+      utterance,
+      expected: label === '' || label.toLowerCase() === 'none' ? null : label,
+      predicted: recognition.intent,
+      confidence: recognition.confidence
+    };
+  });
+  
+  const score = scoreIntentResults(results);
+  const percentage = value => `${(value * 100).toFixed(1)}%`;
+  
+  log(`📊 Intent recognition: ${score.total} utterances, accuracy ${percentage(score.accuracy)}`);
+  log();
+  log(`   ${'Intent'.padEnd(20)} ${'Precision'.padEnd(10)} ${'Recall'.padEnd(10)} ${'F1'.padEnd(10)} Support`);
+  for (const [intent, metrics] of Object.entries(score.perIntent)) {
+    log(`   ${intent.padEnd(20)} ${metrics.precision.toFixed(2).padEnd(10)} ${metrics.recall.toFixed(2).padEnd(10)} ${metrics.f1.toFixed(2).padEnd(10)} ${metrics.support}`);
+  }
+  
+  const names = score.confusion.labels.map(label => label || NO_INTENT);
+  const width = Math.max(8, ...names.map(name => name.length)) + 2;
+  log();
+  log('   Confusion matrix (rows: expected, columns: predicted)');
+  log(`   ${''.padEnd(width)}${names.map(name => name.padEnd(width)).join('')}`);
+  score.confusion.matrix.forEach((row, index) => {
+    log(`   ${names[index].padEnd(width)}${row.map(count => String(count).padEnd(width)).join('')}`);
+  });
+  
+  const misses = results.filter(result => result.expected !== result.predicted);
+  if (misses.length > 0) {
+    log();
+    warn(`Misrecognized utterances (${misses.length}):`);
+    misses.slice(0, MAX_MISSES).forEach(miss => {
+      log(`   "${miss.utterance}" expected ${miss.expected || NO_INTENT}, got ${miss.predicted || NO_INTENT} (${miss.confidence.toFixed(2)})`);
+    });
+    if (misses.length > MAX_MISSES) {
+      log(`   ... and ${misses.length - MAX_MISSES} more`);
+    }
+  }
+  
+  return { results, score };
+}
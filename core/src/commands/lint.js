@@ -0,0 +1,57 @@
+/**
+ * Lint Command - Check the globals of a project across its files
+ * 
+ * Builds a symbol table over the files in Vocalls load order and reports
+ * undefined identifiers, implicit globals, globals used before the file
+ * declaring them loads, declarations replacing a Vocalls API or built-in,
+ * and globals declared by more than one file. See utils/symbols.js.
+ */
+
+import { findProject, log, error, success, warn } from '../utils/workspace.js';
+import { loadProjectConfig } from '../utils/config.js';
+import { checkProjectSymbols } from '../utils/symbols.js';
+
+const ISSUE_TITLES = {
+  undefined: 'Undefined identifiers',
+  'implicit-global': 'Implicit globals',
+  'use-before-definition': 'Used before definition',
+  'shadowed-builtin': 'Shadowed Vocalls built-ins',
+  'duplicate-declaration': 'Duplicate declarations',
+  cycle: 'Library dependency cycles',
+  order: 'Library order conflicts',
+  unlisted: 'Libraries not loaded'
+};
+
+export async function lintProject(projectName, options = {}) {
+  try {
+    const projectPath = await findProject(projectName);
+    
+    log(`🔎 Checking symbols: ${projectName}`);
+    
+    const config = await loadProjectConfig(projectPath);
+    const { files, issues } = await checkProjectSymbols(projectPath, config, { script: options.script });
+    
+    log(`   Files: ${files.length}`);
+    log();
+    
+    for (const [type, title] of Object.entries(ISSUE_TITLES)) {
+      const matching = issues.filter(issue => issue.type === type);
+      if (matching.length > 0) {
+        warn(`${title} (${matching.length}):`);
+        matching.forEach(issue => log(`   ${issue.message}`));
+      }
+    }
+    
+    if (issues.length === 0) {
+      success('No symbol issues found');
+    } else {
+      process.exitCode = 1;
+    }
+    
+    return { files, issues };
+  
+  } catch (err) {
+    error(`Lint failed: ${err.message}`);
+    throw err;
+  }
+}
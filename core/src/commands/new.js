@@ -65,6 +65,7 @@ async function createProjectStructure(projectPath) {
     'src/globalLibraries',
     'src/globalLibraries/active',
     'src/callScripts',
+    'tests',
     'dist',
     'workfiles'
   ];
@@ -78,6 +79,7 @@ async function createProjectStructure(projectPath) {
 
 async function createProjectConfig(projectPath, projectName, options) {
   const config = {
+    $schema: '../../core/schema/project.schema.json',
     name: projectName,
     customer: options.customer || 'Unknown Customer',
     description: `Vocalls IVR project for ${projectName}`,
@@ -91,7 +93,7 @@ async function createProjectConfig(projectPath, projectName, options) {
     ],
     environments: {
       acc: {
-        apiBase: 'https://api.example.com',
+        apiBase: 'https://api-acc.example.com',
         schedulerId: null
       },
       prd: {
@@ -120,8 +122,8 @@ async function createTemplateFiles(projectPath, projectName) {
  * Loaded first in the Vocalls runtime
  */
 
-// Vocalls environment detection
-var environment = context.session.variables.VOCALLS_ENV || 'acc';
+// Environment from the generated configuration section (project.json)
+var environment = BUILD_ENVIRONMENT;
 var lineIdentificator = context.settings.lineIdentificator;
 var moduleName = context.settings.moduleName;
 var language = context.language.substring(0, 2).toUpperCase() || 'NL';
@@ -188,9 +190,9 @@ function nowUTC() {
  * Loaded after globalCode.js
  */
 
-// Environment configuration
-var API_BASE_URL = environment === 'prd' ? 'https://api.example.com' : 'https://api-acc.example.com';
-var SCHEDULER_ID = null; // Set based on environment
+// Environment configuration from project.json
+var API_BASE_URL = ENVIRONMENT_CONFIG.apiBase;
+var SCHEDULER_ID = ENVIRONMENT_CONFIG.schedulerId;
 
 // Line configuration maps
 var lineMap = new Map();
@@ -249,8 +251,9 @@ if (isValidObject(lineData)) {
     customerName = lineData.customerName;
     customerProject = lineData.customerProject;
     
-    // Initialize segment state if needed
-    if (!isValidObject(segmentState.currentSegment)) {
+    // Start the flow at WELCOME on a new call, later turns continue
+    // from the segment stored in the session
+    if (!segmentState.currentSegment || segmentState.currentSegment === 'INIT') {
         segmentState.currentSegment = 'WELCOME';
         segmentState.segmentResult = '';
     }
@@ -279,6 +282,22 @@ logInfo('Segment result:', segmentState.segmentResult);`;
   await fs.writeFile(join(projectPath, 'src', 'callScripts', 'main.js'), mainScript, 'utf8');
   log(`  📝 Created src/callScripts/main.js`);
   
+  // Create sample scenario
+  const scenario = {
+    name: 'Main line starts in WELCOME',
+    line: `${projectName.toUpperCase()}_MAIN`,
+    environment: 'acc',
+    turns: [],
+    expect: {
+      currentSegment: 'WELCOME',
+      segmentResult: '',
+      logs: [`Line data found for: ${projectName.toUpperCase()}_MAIN`]
+    }
+  };
+  
+  await fs.writeFile(join(projectPath, 'tests', 'main-line.json'), JSON.stringify(scenario, null, 2), 'utf8');
+  log(`  📝 Created tests/main-line.json`);
+  
   // Create README
   const readme = `# ${projectName}
 
@@ -296,6 +315,7 @@ src/
 │   ├── globalLineConfig.js   # Line configuration
 │   └── globalSegmentConfig.js  # Segment configuration
 └── callScripts/main.js        # Main call script (loaded last)
+tests/                         # Call flow scenarios (voc test)
 \`\`\`
 
 ## Commands
@@ -307,6 +327,9 @@ voc build ${projectName}
 # Run simulation
 voc sim ${projectName}
 
+# Run call flow scenarios
+voc test ${projectName}
+
 # Debug interactively  
 voc debug ${projectName}
 
@@ -357,6 +380,15 @@ apiConfigMap.set('scheduleCallback', {
     }
 });
 
+apiConfigMap.set('llmIntent', {
+    endpoint: API_BASE_URL + '/llm/intent',
+    method: 'POST',
+    timeout: 5000,
+    headers: {
+        'Content-Type': 'application/json'
+    }
+});
+
 logInfo('API configuration loaded, endpoints:', apiConfigMap.size);`;
   
   await fs.writeFile(join(libsPath, 'globalApiDic.js'), apiDic, 'utf8');
@@ -5,9 +5,17 @@
  */
 
 import { promises as fs } from 'fs';
-import { join } from 'path';
-import { findProject, getProjectInfo, log, error, success } from '../utils/workspace.js';
+import { join, resolve } from 'path';
+import { findProject, getProjectInfo, log, error, success, warn } from '../utils/workspace.js';
 import { VocallsSimulator } from '../simulator/engine.js';
+import { validateES51Compliance } from '../utils/validation.js';
+import { watchProject } from '../utils/watch.js';
+import { diffObjects, formatChanges } from '../utils/diff.js';
+
+const MAX_DIFF_LINES = 20;
+
+// Keys of a --context file, see loadCallContext()
+const CONTEXT_FILE_KEYS = ['line', 'ani', 'dnis', 'language', 'direction', 'moduleName', 'variables'];
 
 export async function simulateProject(projectName, options = {}) {
   try {
@@ -18,36 +26,53 @@ export async function simulateProject(projectName, options = {}) {
     log(`   Script: ${options.script}`);
     log(`   Environment: ${options.env}`);
     log(`   HTTP Mode: ${options.mode}`);
+    if (options.mode === 'record' || options.mode === 'replay') {
+      log(`   Cassette: ${options.cassette}`);
+    }
     log(`   Storage Mode: ${options.storage}`);
+    if (options.context) {
+      log(`   Call context: ${options.context}`);
+    }
+    if (options.line) {
+      log(`   Line: ${options.line === 'all' ? 'every line in lineMap' : options.line}`);
+    }
+    if (options.conversation) {
+      log(`   Conversation: ${options.conversation}`);
+    }
+    if (options.segments) {
+      log(`   Segment execution: on${options.actions ? ` (actions: ${options.actions})` : ''}`);
+    }
+    if (options.strict) {
+      log(`   Strict mode: on`);
+    }
+    if (options.time || options.freeze || options.timezone || options.advance) {
+      log(`   Clock: ${options.time || 'now'}${options.freeze ? ', frozen' : ''}${options.timezone ? `, ${options.timezone}` : ''}${options.advance ? `, +${options.advance} per turn` : ''}`);
+    }
+    if (options.seed !== undefined) {
+      log(`   Seed: ${options.seed}`);
+    }
+    if (options.llm) {
+      log(`   LLM intents: ${options.llm}${options.llmEndpoint ? ` (endpoint: ${options.llmEndpoint})` : ''}`);
+    }
     log();
     
-    // Create simulator instance
-    const simulator = new VocallsSimulator({
-      projectPath,
-      httpMode: options.mode,
-      storageMode: options.storage,
-      environment: options.env,
-      verbose: global.VERBOSE
-    });
-    
-    // Load and execute project
-    const result = await simulator.execute(options.script);
-    
-    success('Simulation completed successfully!');
-    log(`   Execution time: ${result.executionTime}ms`);
-    log(`   Files loaded: ${result.filesLoaded}`);
-    log(`   HTTP requests: ${result.httpRequests}`);
-    log(`   Storage operations: ${result.storageOps}`);
-    
-    // Show session state summary
-    if (result.sessionState) {
-      log();
-      log('📊 Session State Summary:');
-      log(`   Variables: ${Object.keys(result.sessionState.variables || {}).length}`);
-      log(`   Current segment: ${result.sessionState.variables?.segmentState?.currentSegment || 'Unknown'}`);
-      log(`   Segment result: ${result.sessionState.variables?.segmentState?.segmentResult || 'Unknown'}`);
+    if (options.line === 'all') {
+      if (options.watch) {
+        throw new Error('--line all cannot be combined with --watch');
+      }
+      
+      const lines = await simulateLines(projectPath, options);
+      reportLines(lines);
+      return lines;
+    }
+    
+    if (options.watch) {
+      return watchSimulation(projectPath, options);
     }
     
+    const result = await runSimulation(projectPath, options);
+    reportSimulation(result);
+    
     return result;
     
   } catch (err) {
@@ -57,4 +82,345 @@ export async function simulateProject(projectName, options = {}) {
     }
     throw err;
   }
-}
\ No newline at end of file
+}
+
+async function runSimulation(projectPath, options, overrides = {}) {
+  const simulator = await createSimulator(projectPath, options, overrides);
+  
+  // Load and execute project, once per turn in conversation mode
+  if (options.conversation) {
+    const turns = await loadConversation(projectPath, options.conversation);
+    return simulator.converse(turns, options.script);
+  }
+  
+  return simulator.execute(options.script);
+}
+
+async function createSimulator(projectPath, options, overrides = {}) {
+  return new VocallsSimulator({
+    projectPath,
+    httpMode: options.mode,
+    storageMode: options.storage,
+    storageDir: options.storageDir,
+    environment: options.env,
+    fixturesDir: options.fixtures,
+    cassette: options.cassette,
+    httpUnmatched: options.httpUnmatched,
+    runSegments: options.segments,
+    actions: options.actions ? await loadJsonFile(projectPath, options.actions, 'Actions file') : {},
+    llm: options.llm,
+    llmEndpoint: options.llmEndpoint,
+    strict: options.strict,
+    clock: {
+      time: options.time,
+      freeze: options.freeze,
+      timezone: options.timezone,
+      advance: options.advance
+    },
+    seed: options.seed,
+    ...await loadCallContext(projectPath, options),
+    verbose: global.VERBOSE,
+    ...overrides
+  });
+}
+
+/**
+ * Simulate once per key of lineMap (--line all), with the lines read from
+ * a first run of the project
+ * 
+ * @returns {Promise<Array<{line: string, result?: object, error?: string}>>}
+ */
+export async function simulateLines(projectPath, options) {
+  const quiet = { silent: !global.VERBOSE };
+  const { sandbox } = await (await createSimulator(projectPath, { ...options, conversation: null }, quiet)).execute(options.script);
+  const lineMap = sandbox.lineMap;
+  
+  if (!lineMap || typeof lineMap !== 'object') {
+    throw new Error('lineMap is not defined after loading the project');
+  }
+  
+  const lines = typeof lineMap.keys === 'function' ? [...lineMap.keys()] : Object.keys(lineMap);
+  if (lines.length === 0) {
+    throw new Error('lineMap is empty after loading the project');
+  }
+  
+  const outcomes = [];
+  for (const line of lines) {
+    try {
+      outcomes.push({ line, result: await runSimulation(projectPath, options, { ...quiet, lineIdentificator: line }) });
+    } catch (err) {
+      outcomes.push({ line, error: err.message });
+    }
+  }
+  
+  return outcomes;
+}
+
+/**
+ * Call context options of the simulator: the --context file, with the
+ * command line options taking precedence
+ * 
+ * {
+ *   "line": "TEST-PROJECT_MAIN",
+ *   "ani": "+31201234567",
+ *   "dnis": "+31881234567",
+ *   "language": "en-GB",
+ *   "direction": "inbound",
+ *   "moduleName": "ivr-main",
+ *   "variables": { "customerType": "premium" }
+ * }
+ */
+async function loadCallContext(projectPath, options) {
+  const file = options.context ? await loadJsonFile(projectPath, options.context, 'Context file') : {};
+  
+  const unknown = Object.keys(file).filter(key => !CONTEXT_FILE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown keys in context file ${options.context}: ${unknown.join(', ')} (use ${CONTEXT_FILE_KEYS.join(', ')})`);
+  }
+  
+  const line = options.line ?? file.line;
+  
+  return {
+    lineIdentificator: line === 'all' ? undefined : line,
+    ani: options.ani ?? file.ani,
+    dnis: options.dnis ?? file.dnis,
+    language: options.language ?? file.language,
+    direction: options.direction ?? file.direction,
+    moduleName: options.moduleName ?? file.moduleName,
+    variables: { ...file.variables, ...parseVariables(options.var || []) }
+  };
+}
+
+/**
+ * --var name=value options as session variables; values that parse as
+ * JSON (numbers, booleans, objects) are used as such, others as strings
+ */
+function parseVariables(assignments) {
+  const variables = {};
+  
+  for (const assignment of assignments) {
+    const separator = assignment.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid --var ${assignment} (use name=value)`);
+    }
+    
+    const value = assignment.slice(separator + 1);
+    try {
+      variables[assignment.slice(0, separator)] = JSON.parse(value);
+    } catch {
+      variables[assignment.slice(0, separator)] = value;
+    }
+  }
+  
+  return variables;
+}
+
+/**
+ * Outcome per line of --line all; a line whose simulation fails sets the
+ * exit code
+ */
+function reportLines(outcomes) {
+  const rows = outcomes.map(({ line, result, error: failure }) => {
+    if (failure) {
+      return [line, 'FAILED', failure, '', ''];
+    }
+    
+    const segmentState = (result.sessionState.variables || {}).segmentState || {};
+    return [
+      line,
+      segmentState.currentSegment || '-',
+      segmentState.segmentResult || '-',
+      String(result.httpRequests),
+      String(result.logs.filter(entry => entry.level === 'ERROR').length)
+    ];
+  });
+  
+  const header = ['Line', 'Segment', 'Result', 'HTTP', 'Errors'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const format = row => `   ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`;
+  
+  const failed = outcomes.filter(outcome => outcome.error).length;
+  
+  log();
+  log(`📋 Outcome per line (${outcomes.length}):`);
+  log(format(header));
+  rows.forEach(row => log(format(row)));
+  log();
+  
+  if (failed > 0) {
+    warn(`${failed} of ${outcomes.length} lines failed`);
+    process.exitCode = 1;
+  } else {
+    success(`Simulated ${outcomes.length} lines`);
+  }
+}
+
+function reportSimulation(result) {
+  success('Simulation completed successfully!');
+  log(`   Execution time: ${result.executionTime}ms`);
+  log(`   Files loaded: ${result.filesLoaded}`);
+  log(`   HTTP requests: ${result.httpRequests}`);
+  if (result.unmatchedHttpRequests > 0) {
+    log(`   Unmatched HTTP requests: ${result.unmatchedHttpRequests}`);
+  }
+  log(`   Storage operations: ${result.storageOps}`);
+  
+  // Show session state summary
+  if (result.sessionState) {
+    log();
+    log('📊 Session State Summary:');
+    log(`   Variables: ${Object.keys(result.sessionState.variables || {}).length}`);
+    log(`   Current segment: ${result.sessionState.variables?.segmentState?.currentSegment || 'Unknown'}`);
+    log(`   Segment result: ${result.sessionState.variables?.segmentState?.segmentResult || 'Unknown'}`);
+  }
+  
+  if (result.segmentRun) {
+    log();
+    log(`🧩 Segment path: ${formatSegmentRun(result.segmentRun)}`);
+  }
+  
+  if (result.turns) {
+    log();
+    log('🗣️  Segment transitions per turn:');
+    result.turns.forEach(turn => log(`   ${formatTurn(turn)}`));
+  }
+}
+
+/**
+ * Simulate once, then again whenever src/ or project.json changes.
+ * Changed source files are checked for ES5.1 compliance first, and each
+ * run is summarized as a diff of the session state against the previous
+ * successful run.
+ */
+async function watchSimulation(projectPath, options) {
+  let previous = null;
+  
+  const run = async () => {
+    try {
+      const result = await runSimulation(projectPath, options);
+      reportSimulation(result);
+      
+      if (previous) {
+        reportSessionChanges(previous.sessionState, result.sessionState);
+      }
+      previous = result;
+    } catch (err) {
+      error(`Simulation failed: ${err.message}`);
+    }
+  };
+  
+  await run();
+  
+  const watcher = watchProject(projectPath, async files => {
+    log();
+    log(`🔁 Changed: ${files.join(', ')}`);
+    await validateChangedFiles(projectPath, files);
+    log();
+    await run();
+    log(`👀 Watching for changes... (Ctrl+C to stop)`);
+  });
+  
+  log(`👀 Watching for changes... (Ctrl+C to stop)`);
+  return watcher;
+}
+
+async function validateChangedFiles(projectPath, files) {
+  for (const file of files.filter(file => file.endsWith('.js'))) {
+    let content;
+    try {
+      content = await fs.readFile(join(projectPath, file), 'utf8');
+    } catch {
+      continue; // Deleted or renamed
+    }
+    
+    for (const v of validateES51Compliance(content, { filename: file })) {
+      warn(`${v.file}:${v.line}:${v.column} ${v.message} [${v.rule}]`);
+    }
+  }
+}
+
+function reportSessionChanges(before, after) {
+  const changes = formatChanges(diffObjects(before, after));
+  
+  log();
+  if (changes.length === 0) {
+    log('🔀 Session state unchanged since last run');
+    return;
+  }
+  
+  log(`🔀 Session state changes since last run (${changes.length}):`);
+  changes.slice(0, MAX_DIFF_LINES).forEach(line => log(`   ${line}`));
+  if (changes.length > MAX_DIFF_LINES) {
+    log(`   ... and ${changes.length - MAX_DIFF_LINES} more`);
+  }
+}
+
+/**
+ * Load a conversation file: either an array of caller turns or an object
+ * with a `turns` array
+ */
+async function loadConversation(projectPath, file) {
+  const conversation = await loadJsonFile(projectPath, file, 'Conversation file');
+  const turns = Array.isArray(conversation) ? conversation : conversation.turns;
+  
+  if (!Array.isArray(turns)) {
+    throw new Error(`Conversation file must contain a list of turns: ${file}`);
+  }
+  
+  return turns;
+}
+
+/**
+ * Read a JSON file given on the command line. Relative paths are resolved
+ * from the current directory first, then from the project directory.
+ */
+async function loadJsonFile(projectPath, file, description) {
+  const candidates = [resolve(file), resolve(projectPath, file)];
+  
+  for (const candidate of candidates) {
+    let content;
+    try {
+      content = await fs.readFile(candidate, 'utf8');
+    } catch {
+      continue;
+    }
+    
+    return JSON.parse(content);
+  }
+  
+  throw new Error(`${description} not found: ${file}`);
+}
+
+function formatSegmentRun(segmentRun) {
+  const stops = {
+    waiting: 'waiting for input',
+    ended: 'call ended',
+    'no-transition': 'no next segment for the result',
+    'unknown-segment': 'segment not defined',
+    'max-transitions': 'stopped, possible loop',
+    'no-segment-state': 'no segment state'
+  };
+  
+  return `${segmentRun.path.join(' → ') || '-'} (${stops[segmentRun.stop] || segmentRun.stop})`;
+}
+
+function formatTurn(turn) {
+  let label = 'call start';
+  if (turn.input) {
+    if (turn.input.type === 'utterance') {
+      label = `"${turn.input.text}"`;
+    } else if (turn.input.type === 'dtmf') {
+      label = `DTMF ${turn.input.dtmf}`;
+    } else {
+      label = turn.input.type;
+    }
+  }
+  
+  const from = turn.before.currentSegment || '-';
+  const to = turn.after.currentSegment || '-';
+  const result = turn.after.segmentResult ? ` (${turn.after.segmentResult})` : '';
+  
+  const path = turn.segmentRun ? `, via ${formatSegmentRun(turn.segmentRun)}` : '';
+  
+  return `Turn ${turn.turn} [${label}]: ${from} → ${to}${result}${path}`;
+}
@@ -0,0 +1,71 @@
+/**
+ * Storage Command - Inspect the disk storage of simulations
+ * 
+ * Lists, shows and resets the files that `voc sim --storage disk` wrote
+ * through the Vocalls Storage API (projects/<name>/workfiles/storage/)
+ */
+
+import { relative } from 'path';
+import { findProject, log, error, success } from '../utils/workspace.js';
+import { DiskStorage, resolveStorageDir } from '../simulator/storage.js';
+
+export async function manageStorage(projectName, action = 'list', file, options = {}) {
+  try {
+    const projectPath = await findProject(projectName);
+    const storage = new DiskStorage(resolveStorageDir(projectPath, options.dir));
+    const rootLabel = relative(projectPath, storage.root).replace(/\\/g, '/');
+    
+    switch (action) {
+      case 'list': {
+        const files = storage.list();
+        
+        if (files.length === 0) {
+          log(`📂 No stored files in ${rootLabel}/`);
+          return files;
+        }
+        
+        log(`📂 ${files.length} stored files in ${rootLabel}/:`);
+        for (const entry of files) {
+          log(`   ${entry.path}  (${entry.size} bytes, ${entry.modified.toISOString()})`);
+        }
+        return files;
+      }
+      
+      case 'show': {
+        if (!file) {
+          throw new Error('Missing file: voc storage <project> show <file>');
+        }
+        if (!storage.exists(file)) {
+          throw new Error(`Stored file not found: ${file}`);
+        }
+        
+        const content = storage.readFile(file);
+        log(formatContent(content));
+        return content;
+      }
+      
+      case 'reset': {
+        const files = storage.list();
+        storage.reset();
+        success(`Removed ${files.length} stored files from ${rootLabel}/`);
+        return files;
+      }
+      
+      default:
+        throw new Error(`Unknown storage action: ${action} (use list|show|reset)`);
+    }
+    
+  } catch (err) {
+    error(`Storage command failed: ${err.message}`);
+    throw err;
+  }
+}
+
+// Pretty-print JSON content, show anything else as is
+function formatContent(content) {
+  try {
+    return JSON.stringify(JSON.parse(content), null, 2);
+  } catch {
+    return content;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Test Command - Run call flow scenarios for a project
+ * 
+ * Discovers scenario files (*.json) under projects/<name>/tests/, runs each
+ * one in the simulator and reports a pass/fail summary plus a JUnit XML
+ * report for CI
+ */
+
+import { promises as fs } from 'fs';
+import { join, relative, resolve, dirname } from 'path';
+import { findProject, log, error, success } from '../utils/workspace.js';
+import { runScenario } from '../simulator/scenario.js';
+import { createJUnitReport } from '../utils/junit.js';
+
+export async function testProject(projectName, options = {}) {
+  try {
+    const projectPath = await findProject(projectName);
+    const testsDir = join(projectPath, 'tests');
+    const files = await findScenarioFiles(testsDir);
+    
+    log(`🧪 Testing project: ${projectName}`);
+    
+    if (files.length === 0) {
+      log(`   No scenario files found in ${relative(projectPath, testsDir)}/`);
+      return { passed: 0, failed: 0, results: [] };
+    }
+    
+    const results = await runProjectScenarios(projectPath, files, options);
+    
+    const failed = results.filter(result => !result.passed).length;
+    const passed = results.length - failed;
+    
+    const junitPath = options.junit
+      ? resolve(options.junit)
+      : join(projectPath, 'dist', 'test-results.xml');
+    await fs.mkdir(dirname(junitPath), { recursive: true });
+    await fs.writeFile(junitPath, createJUnitReport(projectName, results), 'utf8');
+    
+    log();
+    if (failed === 0) {
+      success(`${passed} scenarios passed`);
+    } else {
+      error(`${failed} of ${results.length} scenarios failed`);
+      process.exitCode = 1;
+    }
+    log(`   JUnit report: ${junitPath}`);
+    
+    return { passed, failed, results, junitPath };
+    
+  } catch (err) {
+    error(`Test run failed: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Run the scenarios of each file in turn; a file that cannot be loaded
+ * counts as one failed scenario named after the file
+ * 
+ * @param {string} projectPath
+ * @param {string[]} files - Scenario files under tests/
+ * @param {object} [options] - filter and env, as for testProject
+ * @returns {Promise<Array<{name, file, passed, failures, duration}>>}
+ */
+export async function runProjectScenarios(projectPath, files, options = {}) {
+  const testsDir = join(projectPath, 'tests');
+  const results = [];
+  
+  for (const file of files) {
+    const relativeFile = relative(testsDir, file).replace(/\\/g, '/');
+    let scenarios;
+    
+    try {
+      scenarios = await loadScenarios(file);
+    } catch (err) {
+      if (options.filter && !relativeFile.includes(options.filter)) {
+        continue;
+      }
+      
+      const result = {
+        name: relativeFile,
+        file: relativeFile,
+        passed: false,
+        failures: [`Cannot load ${relativeFile}: ${err.message}`],
+        duration: 0,
+        logs: []
+      };
+      results.push(result);
+      log(`  ❌ ${relativeFile}`);
+      log(`     - ${result.failures[0]}`);
+      continue;
+    }
+    
+    for (const [index, scenario] of scenarios.entries()) {
+      const name = scenario.name || (scenarios.length > 1 ? `${relativeFile} #${index + 1}` : relativeFile);
+      
+      if (options.filter && !name.includes(options.filter) && !relativeFile.includes(options.filter)) {
+        continue;
+      }
+      
+      const result = await runScenario(projectPath, { ...scenario, name }, {
+        environment: options.env,
+        verbose: global.VERBOSE
+      });
+      result.file = relativeFile;
+      results.push(result);
+      
+      log(`  ${result.passed ? '✅' : '❌'} ${name} (${result.duration}ms)`);
+      result.failures.forEach(failure => log(`     - ${failure}`));
+    }
+  }
+  
+  return results;
+}
+
+async function findScenarioFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findScenarioFiles(fullPath));
+    } else if (entry.name.endsWith('.json')) {
+      files.push(fullPath);
+    }
+  }
+  
+  return files.sort();
+}
+
+async function loadScenarios(file) {
+  const content = JSON.parse(await fs.readFile(file, 'utf8'));
+  
+  if (Array.isArray(content)) {
+    return content;
+  }
+  if (!content || typeof content !== 'object') {
+    throw new Error('expected a scenario object, a list of scenarios or { "scenarios": [...] }');
+  }
+  return Array.isArray(content.scenarios) ? content.scenarios : [content];
+}
@@ -0,0 +1,59 @@
+/**
+ * Trace Command - Map a monolith line back to its original source file
+ * 
+ * Reads the <name>.monolith.js.map written by `voc build` and resolves a
+ * line number reported by the Vocalls runtime to src/<file>:<line>
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, dirname, relative } from 'path';
+import { findProject, getProjectInfo, log, error } from '../utils/workspace.js';
+import { lookupSourceLine } from '../utils/sourcemap.js';
+
+export async function traceLine(projectName, lineArg, options = {}) {
+  try {
+    const generatedLine = Number(lineArg);
+    
+    if (!/^\d+$/.test(String(lineArg).trim()) || generatedLine < 1) {
+      throw new Error(`Invalid line number: ${lineArg} (use a positive whole number)`);
+    }
+    
+    const projectPath = await findProject(projectName);
+    const projectInfo = await getProjectInfo(projectName);
+    
+    const monolithName = options.env
+      ? `${projectInfo.name}.${options.env}.monolith.js`
+      : `${projectInfo.name}.monolith.js`;
+    const mapPath = options.map
+      ? resolve(options.map)
+      : join(projectPath, 'dist', `${monolithName}.map`);
+    
+    let map;
+    try {
+      map = JSON.parse(await fs.readFile(mapPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Source map not found: ${mapPath} (run voc build ${projectName} first)`);
+    }
+    
+    const location = lookupSourceLine(map, generatedLine);
+    
+    if (!location) {
+      log(`📍 ${map.file}:${generatedLine} is generated code (build header, section banner or environment configuration)`);
+      return null;
+    }
+    
+    const sourcePath = relative(projectPath, resolve(dirname(mapPath), location.source)).replace(/\\/g, '/');
+    const result = { ...location, source: sourcePath };
+    
+    log(`📍 ${map.file}:${generatedLine} → ${sourcePath}:${location.line}`);
+    if (location.content !== null) {
+      log(`   ${location.content.trim()}`);
+    }
+    
+    return result;
+    
+  } catch (err) {
+    error(`Trace failed: ${err.message}`);
+    throw err;
+  }
+}
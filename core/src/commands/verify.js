@@ -0,0 +1,161 @@
+/**
+ * Verify Command - Check a deployed monolith against the current sources
+ * 
+ * Rebuilds the project in memory for the environment and mode named in the
+ * monolith header and compares the two section by section. Line endings,
+ * trailing whitespace and the Built line are ignored, so a monolith copied
+ * back from the Vocalls script editor matches when nothing else changed.
+ */
+
+import { promises as fs } from 'fs';
+import { join, resolve, basename } from 'path';
+import { findProject, log, error, success, warn } from '../utils/workspace.js';
+import { loadProjectConfig } from '../utils/config.js';
+import { parseMonolith } from '../utils/monolith.js';
+import { CORE_VERSION, hashContent, readManifest } from '../utils/manifest.js';
+import { VocallsProjectBuilder } from './build.js';
+
+export async function verifyMonolith(projectName, monolithFile) {
+  try {
+    const projectPath = await findProject(projectName);
+    const config = await loadProjectConfig(projectPath);
+    
+    let code;
+    try {
+      code = (await fs.readFile(resolve(monolithFile), 'utf8')).replace(/\r\n/g, '\n');
+    } catch {
+      throw new Error(`Monolith not found: ${monolithFile}`);
+    }
+    
+    const deployed = parseMonolith(code);
+    if (deployed.sections.length === 0) {
+      throw new Error(`${monolithFile} has no section banners; was it built by voc build?`);
+    }
+    if (deployed.header.project && deployed.header.project !== config.name) {
+      warn(`${basename(monolithFile)} was built for project ${deployed.header.project}, not ${config.name}`);
+    }
+    
+    const options = getBuildOptions(deployed.header);
+    log(`🔍 Verifying ${basename(monolithFile)} (${options.env || 'runtime environment'}, ${deployed.header.mode || 'development'})`);
+    
+    const builder = new VocallsProjectBuilder(projectPath, config, options);
+    const current = parseMonolith((await builder.assemble()).code);
+    const differences = compareMonoliths(deployed, current);
+    
+    const recorded = await findRecordedBuild(projectPath, code);
+    if (recorded) {
+      log(`   Identical to dist/${recorded.name} (built ${recorded.entry.built})`);
+    }
+    if (deployed.header.core && deployed.header.core !== CORE_VERSION) {
+      warn(`Built with core ${deployed.header.core}, verifying with ${CORE_VERSION}: differences may come from the build tool`);
+    }
+    
+    if (differences.length === 0) {
+      success(`${basename(monolithFile)} matches the current sources`);
+    } else {
+      error(`${basename(monolithFile)} does not match the current sources:`);
+      differences.forEach(difference => log(`   ${difference.message}`));
+      process.exitCode = 1;
+    }
+    
+    return { match: differences.length === 0, differences, header: deployed.header };
+  
+  } catch (err) {
+    error(`Verify failed: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Build options that reproduce a monolith, from its header; monoliths
+ * without a Mode line predate it and were development builds unless
+ * they say otherwise
+ */
+function getBuildOptions(header) {
+  const mode = header.mode || 'development';
+  const environment = header.environment || '';
+  
+  return {
+    env: !environment || environment.startsWith('selected at runtime') ? null : environment,
+    prod: mode.startsWith('production'),
+    minify: mode.includes('minified'),
+    transpile: mode.includes('transpiled')
+  };
+}
+
+/**
+ * Differences between a deployed and a freshly built monolith, per section
+ * in load order, then header fields
+ * 
+ * @returns {Array<{type: string, section: string|null, line: number|null, message: string}>}
+ */
+export function compareMonoliths(deployed, current) {
+  const differences = [];
+  const remaining = [...deployed.sections];
+  
+  for (const section of current.sections) {
+    const index = remaining.findIndex(other => other.name === section.name);
+    if (index === -1) {
+      differences.push({
+        type: 'missing',
+        section: section.name,
+        line: null,
+        message: `${section.name}: not in the deployed monolith`
+      });
+      continue;
+    }
+    
+    const [other] = remaining.splice(index, 1);
+    const offset = firstDifference(other.lines, section.lines);
+    if (offset !== -1) {
+      differences.push({
+        type: 'changed',
+        section: section.name,
+        line: other.line + offset,
+        message: `${section.name}: changed${section.source ? ` (${section.source})` : ''}, first difference at monolith line ${other.line + offset}`
+      });
+    }
+  }
+  
+  for (const section of remaining) {
+    differences.push({
+      type: 'unexpected',
+      section: section.name,
+      line: section.line,
+      message: `${section.name}: only in the deployed monolith`
+    });
+  }
+  
+  for (const field of ['project', 'customer']) {
+    if (deployed.header[field] !== current.header[field]) {
+      differences.push({
+        type: 'header',
+        section: null,
+        line: null,
+        message: `Header ${field}: ${deployed.header[field] || '(none)'} deployed, ${current.header[field]} now`
+      });
+    }
+  }
+  
+  return differences;
+}
+
+function firstDifference(deployedLines, currentLines) {
+  const length = Math.max(deployedLines.length, currentLines.length);
+  
+  for (let i = 0; i < length; i++) {
+    if (i >= deployedLines.length || i >= currentLines.length || deployedLines[i].trimEnd() !== currentLines[i].trimEnd()) {
+      return i;
+    }
+  }
+  
+  return -1;
+}
+
+async function findRecordedBuild(projectPath, code) {
+  const manifest = await readManifest(join(projectPath, 'dist'));
+  const hash = hashContent(code);
+  
+  const match = Object.entries(manifest ? manifest.monoliths : {}).find(([, entry]) => entry.hash === hash);
+  return match ? { name: match[0], entry: match[1] } : null;
+}
@@ -0,0 +1,344 @@
+/**
+ * Vocalls Debugger
+ * 
+ * Runs a project in the simulator sandbox with its src/ files instrumented
+ * (see instrument.js), so execution can pause on breakpoints given as
+ * source file and line, step over/into/out of functions, and evaluate
+ * expressions in the paused scope. Positions always refer to the original
+ * src/ files, never to the monolith.
+ * 
+ * Input and output are plain functions so the debugger can be driven from
+ * the terminal (`voc debug`) or programmatically.
+ */
+
+import { inspect } from 'util';
+import { VocallsSimulator } from '../simulator/engine.js';
+import { instrumentSource, DEBUG_HOOK } from './instrument.js';
+
+export { instrumentSource } from './instrument.js';
+
+const CONTEXT_LINES = 2;
+
+const HELP = `Commands:
+  c, continue          Continue until the next breakpoint
+  n, next              Step over to the next statement
+  s, step              Step into the next function call
+  o, out               Step out of the current function
+  b <file>:<line>      Set a breakpoint (e.g. b main.js:23)
+  d <file>:<line>      Delete a breakpoint
+  bl, breakpoints      List breakpoints
+  p <expression>       Evaluate an expression in the paused scope
+  g, globals           Show segmentState, varObj and session variables
+  bt, backtrace        Show the call stack
+  l, list              Show the source around the current line
+  q, quit              Stop the simulation
+  h, help             Show this help
+Anything else is evaluated as an expression.`;
+
+class DebugQuit extends Error {
+  constructor() {
+    super('Debug session ended by user');
+    this.name = 'DebugQuit';
+  }
+}
+
+export class VocallsDebugger {
+  /**
+   * @param {object} options - VocallsSimulator options plus:
+   * @param {Array<string|{file, line}>} [options.breakpoints] - Initial
+   *   breakpoints, "file:line" or { file, line }
+   * @param {boolean} [options.stopOnEntry] - Pause on the first statement
+   * @param {Function} options.input - Returns the next command line, or null
+   *   when input has ended (execution then runs to completion)
+   * @param {Function} [options.output] - Receives output text
+   */
+  constructor(options = {}) {
+    this.simulatorOptions = options;
+    this.input = options.input;
+    this.output = options.output || (() => {});
+    this.stopOnEntry = options.stopOnEntry || false;
+    
+    this.files = [];
+    this.breakpoints = [];
+    this.frames = [{ name: '<top-level>', fileIndex: null, line: null, evaluate: null }];
+    this.mode = this.stopOnEntry ? 'step' : 'continue';
+    this.stepDepth = 0;
+    this.detached = false;
+    
+    for (const breakpoint of options.breakpoints || []) {
+      this.addBreakpoint(breakpoint);
+    }
+  }
+  
+  async run(scriptName = 'main') {
+    const simulator = new VocallsSimulator({
+      ...this.simulatorOptions,
+      scriptTimeout: 0, // Paused scripts wait for input
+      transformSource: (code, relativePath) => this.instrument(code, relativePath),
+      globals: {
+        [DEBUG_HOOK]: {
+          hook: (fileIndex, line, evaluate) => this.onStatement(fileIndex, line, evaluate),
+          enter: (name, fileIndex, line) => this.frames.push({ name, fileIndex, line, evaluate: null }),
+          exit: () => this.frames.pop()
+        }
+      }
+    });
+    
+    this.simulator = simulator;
+    
+    try {
+      const result = await simulator.execute(scriptName);
+      this.output('🏁 Simulation finished');
+      return result;
+    } catch (err) {
+      if (this.quit) {
+        this.output('🛑 Debug session ended');
+        return null;
+      }
+      throw err;
+    }
+  }
+  
+  instrument(code, relativePath) {
+    const fileIndex = this.files.length;
+    const file = {
+      path: relativePath.replace(/\\/g, '/'),
+      lines: code.split(/\r?\n/),
+      statementLines: []
+    };
+    
+    try {
+      const instrumented = instrumentSource(code, fileIndex);
+      file.statementLines = instrumented.statementLines;
+      this.files.push(file);
+      this.resolveBreakpoints();
+      return instrumented.code;
+    } catch (err) {
+      // Let the simulator report the syntax error on the original source
+      this.files.push(file);
+      return code;
+    }
+  }
+  
+  /**
+   * Add a breakpoint; breakpoints on lines without a statement move to the
+   * next statement once their file is loaded
+   */
+  addBreakpoint(spec) {
+    const breakpoint = typeof spec === 'string' ? parseLocation(spec) : { file: spec.file, line: Number(spec.line) };
+    
+    if (!breakpoint || !breakpoint.file || !Number.isInteger(breakpoint.line)) {
+      throw new Error(`Invalid breakpoint: ${JSON.stringify(spec)} (use file:line)`);
+    }
+    
+    breakpoint.fileIndex = null;
+    this.breakpoints.push(breakpoint);
+    this.resolveBreakpoints();
+    return breakpoint;
+  }
+  
+  removeBreakpoint(spec) {
+    const location = parseLocation(spec);
+    const before = this.breakpoints.length;
+    
+    this.breakpoints = this.breakpoints.filter(breakpoint =>
+      !(location && breakpoint.line === location.line && matchesFile(breakpoint.file, location.file))
+    );
+    return before !== this.breakpoints.length;
+  }
+  
+  resolveBreakpoints() {
+    for (const breakpoint of this.breakpoints) {
+      if (breakpoint.fileIndex !== null) {
+        continue;
+      }
+      
+      const fileIndex = this.files.findIndex(file => matchesFile(file.path, breakpoint.file));
+      if (fileIndex === -1) {
+        continue;
+      }
+      
+      const file = this.files[fileIndex];
+      const line = file.statementLines.find(candidate => candidate >= breakpoint.line);
+      
+      if (line === undefined) {
+        this.output(`⚠️  No statement at or after ${file.path}:${breakpoint.line}, breakpoint ignored`);
+      } else if (line !== breakpoint.line) {
+        this.output(`ℹ️  Breakpoint ${file.path}:${breakpoint.line} moved to line ${line}`);
+      }
+      
+      breakpoint.fileIndex = fileIndex;
+      breakpoint.file = file.path;
+      breakpoint.line = line === undefined ? -1 : line;
+    }
+  }
+  
+  onStatement(fileIndex, line, evaluate) {
+    const frame = this.frames[this.frames.length - 1];
+    const sameLine = frame.fileIndex === fileIndex && frame.line === line;
+    
+    frame.fileIndex = fileIndex;
+    frame.line = line;
+    frame.evaluate = evaluate;
+    
+    if (this.detached) {
+      return;
+    }
+    
+    const depth = this.frames.length;
+    let reason = null;
+    
+    if (this.mode === 'step' ||
+        (this.mode === 'next' && depth <= this.stepDepth) ||
+        (this.mode === 'out' && depth < this.stepDepth)) {
+      reason = 'step';
+    } else if (!sameLine && this.breakpoints.some(bp => bp.fileIndex === fileIndex && bp.line === line)) {
+      reason = 'breakpoint';
+    }
+    
+    if (reason) {
+      this.pause(reason);
+    }
+  }
+  
+  pause(reason) {
+    const frame = this.frames[this.frames.length - 1];
+    
+    this.output(`⏸  Paused at ${this.files[frame.fileIndex].path}:${frame.line} (${reason})`);
+    this.output(this.formatSource(frame.fileIndex, frame.line));
+    
+    for (;;) {
+      const command = this.input();
+      
+      if (command === null || command === undefined) {
+        // Input ended: run to completion without pausing again
+        this.detached = true;
+        return;
+      }
+      
+      if (this.handleCommand(command.trim(), frame)) {
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Execute a debugger command
+   * 
+   * @returns {boolean} true when execution should resume
+   */
+  handleCommand(command, frame) {
+    const [name, ...rest] = command.split(/\s+/);
+    const argument = rest.join(' ');
+    
+    switch (name) {
+      case '':
+        return false;
+      case 'c':
+      case 'continue':
+        this.mode = 'continue';
+        return true;
+      case 'n':
+      case 'next':
+        this.mode = 'next';
+        this.stepDepth = this.frames.length;
+        return true;
+      case 's':
+      case 'step':
+        this.mode = 'step';
+        return true;
+      case 'o':
+      case 'out':
+        this.mode = 'out';
+        this.stepDepth = this.frames.length;
+        return true;
+      case 'b':
+      case 'break':
+        try {
+          const breakpoint = this.addBreakpoint(argument);
+          this.output(`🔴 Breakpoint set at ${breakpoint.file}:${breakpoint.line}`);
+        } catch (err) {
+          this.output(`❌ ${err.message}`);
+        }
+        return false;
+      case 'd':
+      case 'delete':
+        this.output(this.removeBreakpoint(argument) ? `Breakpoint removed: ${argument}` : `No breakpoint at ${argument}`);
+        return false;
+      case 'bl':
+      case 'breakpoints':
+        this.output(this.breakpoints.length === 0
+          ? 'No breakpoints'
+          : this.breakpoints.map(bp => `  ${bp.file}:${bp.line}${bp.fileIndex === null ? ' (pending)' : ''}`).join('\n'));
+        return false;
+      case 'p':
+      case 'print':
+        this.output(this.evaluate(frame, argument));
+        return false;
+      case 'g':
+      case 'globals':
+        for (const expression of ['segmentState', 'varObj', 'context.session.variables']) {
+          this.output(`${expression} = ${this.evaluate(frame, expression)}`);
+        }
+        return false;
+      case 'bt':
+      case 'backtrace':
+        this.output(this.frames.slice().reverse().map((stackFrame, index) =>
+          `  #${index} ${stackFrame.name} at ${stackFrame.fileIndex === null ? '?' : this.files[stackFrame.fileIndex].path}:${stackFrame.line ?? '?'}`
+        ).join('\n'));
+        return false;
+      case 'l':
+      case 'list':
+        this.output(this.formatSource(frame.fileIndex, frame.line, 5));
+        return false;
+      case 'q':
+      case 'quit':
+        this.quit = true;
+        throw new DebugQuit();
+      case 'h':
+      case 'help':
+        this.output(HELP);
+        return false;
+      default:
+        this.output(this.evaluate(frame, command));
+        return false;
+    }
+  }
+  
+  evaluate(frame, expression) {
+    if (!expression) {
+      return 'Usage: p <expression>';
+    }
+    
+    try {
+      return inspect(frame.evaluate(expression), { depth: 4, colors: false });
+    } catch (err) {
+      return `❌ ${err && err.message ? err.message : err}`;
+    }
+  }
+  
+  formatSource(fileIndex, line, context = CONTEXT_LINES) {
+    const lines = this.files[fileIndex].lines;
+    const start = Math.max(1, line - context);
+    const end = Math.min(lines.length, line + context);
+    const output = [];
+    
+    for (let current = start; current <= end; current++) {
+      const marker = current === line ? '>' : ' ';
+      output.push(`${marker} ${String(current).padStart(4)} | ${lines[current - 1]}`);
+    }
+    
+    return output.join('\n');
+  }
+}
+
+function parseLocation(spec) {
+  const match = /^(.+):(\d+)$/.exec(String(spec).trim());
+  return match ? { file: match[1].replace(/\\/g, '/'), line: parseInt(match[2], 10) } : null;
+}
+
+// "main.js" and "callScripts/main.js" match "src/callScripts/main.js"
+function matchesFile(path, spec) {
+  const normalized = spec.replace(/\\/g, '/').replace(/^\.\//, '');
+  return path === normalized || path.endsWith(`/${normalized}`);
+}
@@ -0,0 +1,177 @@
+/**
+ * Source Instrumentation for the debugger
+ * 
+ * Rewrites a project file so the debugger can pause on every statement:
+ * - a hook call is inserted before each statement, passing the statement
+ *   line and a closure that evaluates expressions in the paused scope
+ * - function bodies report entry and exit to track the call stack
+ * 
+ * Insertions never add line breaks, so line numbers stay identical to the
+ * original src/ file.
+ */
+
+import { parse } from 'acorn';
+
+export const DEBUG_HOOK = '__vocallsDebug';
+
+/**
+ * Instrument a source file
+ * 
+ * @param {string} code - Original source
+ * @param {number} fileIndex - Index of the file in the debugger file table
+ * @returns {{code: string, statementLines: number[]}} Instrumented code and
+ *   the sorted lines where the debugger can pause
+ */
+export function instrumentSource(code, fileIndex) {
+  const ast = parse(code, {
+    ecmaVersion: 'latest',
+    sourceType: 'script',
+    locations: true,
+    allowReturnOutsideFunction: true,
+    allowHashBang: true
+  });
+  
+  const insertions = [];
+  const statementLines = new Set();
+  
+  const insert = (position, text) => insertions.push({ position, text, order: insertions.length });
+  
+  const hook = statement => {
+    statementLines.add(statement.loc.start.line);
+    return `${DEBUG_HOOK}.hook(${fileIndex}, ${statement.loc.start.line}, function (__expression) { return eval(__expression); });`;
+  };
+  
+  const visitList = statements => {
+    for (const statement of statements) {
+      if (isPausable(statement)) {
+        insert(statement.start, hook(statement));
+      }
+      visitStatement(statement);
+    }
+  };
+  
+  // Statement bodies that are not blocks get wrapped so the hook stays
+  // inside the branch or loop
+  const visitBody = statement => {
+    if (!statement) {
+      return;
+    }
+    if (statement.type === 'BlockStatement' || statement.type === 'EmptyStatement') {
+      visitStatement(statement);
+      return;
+    }
+    
+    insert(statement.start, `{${hook(statement)}`);
+    visitStatement(statement);
+    insert(statement.end, '}');
+  };
+  
+  const visitFunction = node => {
+    if (node.body.type !== 'BlockStatement') {
+      visitNode(node.body);
+      return;
+    }
+    
+    const name = node.id ? node.id.name : '<anonymous>';
+    insert(node.body.start + 1, `${DEBUG_HOOK}.enter(${JSON.stringify(name)}, ${fileIndex}, ${node.loc.start.line}); try {`);
+    visitList(node.body.body);
+    insert(node.body.end - 1, `} finally { ${DEBUG_HOOK}.exit(); }`);
+  };
+  
+  function visitStatement(statement) {
+    switch (statement.type) {
+      case 'BlockStatement':
+        visitList(statement.body);
+        break;
+      case 'IfStatement':
+        visitNode(statement.test);
+        visitBody(statement.consequent);
+        visitBody(statement.alternate);
+        break;
+      case 'ForStatement':
+        visitNode(statement.init);
+        visitNode(statement.test);
+        visitNode(statement.update);
+        visitBody(statement.body);
+        break;
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        visitNode(statement.right);
+        visitBody(statement.body);
+        break;
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        visitNode(statement.test);
+        visitBody(statement.body);
+        break;
+      case 'SwitchStatement':
+        visitNode(statement.discriminant);
+        statement.cases.forEach(switchCase => visitList(switchCase.consequent));
+        break;
+      case 'TryStatement':
+        visitStatement(statement.block);
+        if (statement.handler) {
+          visitStatement(statement.handler.body);
+        }
+        if (statement.finalizer) {
+          visitStatement(statement.finalizer);
+        }
+        break;
+      case 'LabeledStatement':
+        // Wrapping a labeled loop would break `continue label`
+        visitStatement(statement.body);
+        break;
+      case 'FunctionDeclaration':
+        visitFunction(statement);
+        break;
+      default:
+        visitNode(statement);
+    }
+  }
+  
+  // Find functions nested in expressions (callbacks, function expressions)
+  function visitNode(node) {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+    if (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') {
+      visitFunction(node);
+      return;
+    }
+    
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') {
+        continue;
+      }
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(visitNode);
+      } else if (value && typeof value.type === 'string') {
+        visitNode(value);
+      }
+    }
+  }
+  
+  visitList(ast.body);
+  
+  insertions.sort((a, b) => a.position - b.position || a.order - b.order);
+  
+  let output = '';
+  let last = 0;
+  for (const { position, text } of insertions) {
+    output += code.slice(last, position) + text;
+    last = position;
+  }
+  output += code.slice(last);
+  
+  return {
+    code: output,
+    statementLines: [...statementLines].sort((a, b) => a - b)
+  };
+}
+
+function isPausable(statement) {
+  return statement.type !== 'FunctionDeclaration' &&
+    statement.type !== 'EmptyStatement' &&
+    !statement.directive;
+}
@@ -0,0 +1,257 @@
+/**
+ * Segment Graph Rendering
+ * 
+ * Exports a segment graph as Mermaid, Graphviz DOT or a standalone HTML page
+ * with an inline SVG drawing (no external scripts, so it can be mailed to
+ * customers or opened offline)
+ */
+
+import { escapeXml } from '../utils/junit.js';
+import { END_CALL_ACTION } from './segment-graph.js';
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 44;
+const COLUMN_SPACING = 260;
+const ROW_SPACING = 84;
+const MARGIN = 40;
+
+/**
+ * Render as a Mermaid flowchart
+ */
+export function toMermaid(graph) {
+  const ids = createIds(graph);
+  const flagged = getFlaggedSegments(graph);
+  const lines = ['flowchart TD'];
+  
+  for (const segment of graph.segments) {
+    const label = segment.defined ? segment.name : `${segment.name} (undefined)`;
+    lines.push(`  ${ids.get(segment.name)}["${label.replace(/"/g, '#quot;')}"]`);
+  }
+  
+  for (const transition of graph.transitions) {
+    lines.push(`  ${ids.get(transition.from)} -->|${transition.result.replace(/[|"]/g, '_')}| ${ids.get(transition.to)}`);
+  }
+  
+  lines.push('  classDef entry stroke-width:3px');
+  lines.push('  classDef endCall stroke:#2a7a2a');
+  lines.push('  classDef dangling stroke:#c62828,stroke-dasharray:5 5,color:#c62828');
+  lines.push('  classDef unreachable fill:#eeeeee,color:#777777');
+  
+  for (const [className, names] of Object.entries(flagged)) {
+    if (names.length > 0) {
+      lines.push(`  class ${names.map(name => ids.get(name)).join(',')} ${className}`);
+    }
+  }
+  
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render as a Graphviz DOT digraph
+ */
+export function toDot(graph, name = 'segments') {
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const flagged = getFlaggedSegments(graph);
+  const lines = [
+    `digraph ${quote(name)} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+  
+  for (const segment of graph.segments) {
+    const attributes = [];
+    if (!segment.defined) {
+      attributes.push(`label=${quote(`${segment.name}\n(undefined)`)}`, 'style="rounded,dashed"', 'color="#c62828"', 'fontcolor="#c62828"');
+    } else if (flagged.unreachable.includes(segment.name)) {
+      attributes.push('style="rounded,filled"', 'fillcolor="#eeeeee"', 'fontcolor="#777777"');
+    } else if (flagged.endCall.includes(segment.name)) {
+      attributes.push('color="#2a7a2a"');
+    }
+    if (segment.name === graph.entry) {
+      attributes.push('penwidth=3');
+    }
+    
+    lines.push(`  ${quote(segment.name)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+  }
+  
+  for (const transition of graph.transitions) {
+    lines.push(`  ${quote(transition.from)} -> ${quote(transition.to)} [label=${quote(transition.result)}];`);
+  }
+  
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render as a standalone HTML page: drawing, issues and a segment table
+ */
+export function toHtml(graph, name = 'segments') {
+  const flagged = getFlaggedSegments(graph);
+  const layout = layoutGraph(graph);
+  const issueItems = graph.issues.length > 0
+    ? graph.issues.map(issue => `      <li class="${issue.type}"><strong>${issue.type}</strong> ${escapeXml(issue.message)}</li>`).join('\n')
+    : '      <li>No issues found</li>';
+  
+  const rows = graph.segments.map(segment => {
+    const next = graph.transitions
+      .filter(transition => transition.from === segment.name)
+      .map(transition => `${escapeXml(transition.result)} → ${escapeXml(transition.to)}`)
+      .join('<br>');
+    return `      <tr><td>${escapeXml(segment.name)}${segment.defined ? '' : ' <em>(undefined)</em>'}</td><td>${escapeXml(segment.actions.join(', '))}</td><td>${next}</td></tr>`;
+  }).join('\n');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeXml(name)} - call flow</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; margin: 24px; color: #222; }
+    svg { border: 1px solid #ddd; background: #fcfcfc; max-width: 100%; height: auto; }
+    .node rect { fill: #fff; stroke: #555; stroke-width: 1.5; }
+    .node.entry rect { stroke-width: 3; }
+    .node.endCall rect { stroke: #2a7a2a; }
+    .node.unreachable rect { fill: #eee; }
+    .node.unreachable text { fill: #777; }
+    .node.dangling rect { stroke: #c62828; stroke-dasharray: 5 5; }
+    .node.dangling text { fill: #c62828; }
+    .node text { font-size: 13px; text-anchor: middle; dominant-baseline: middle; }
+    .edge path { fill: none; stroke: #888; stroke-width: 1.3; }
+    .edge text { font-size: 11px; fill: #555; text-anchor: middle; paint-order: stroke; stroke: #fcfcfc; stroke-width: 4px; }
+    li.dangling, li.cycle, li.dead-end { color: #c62828; }
+    li.unreachable { color: #8a6d00; }
+    table { border-collapse: collapse; margin-top: 12px; }
+    td, th { border: 1px solid #ddd; padding: 4px 10px; text-align: left; vertical-align: top; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(name)}</h1>
+  <p>${graph.segments.filter(segment => segment.defined).length} segments, ${graph.transitions.length} transitions, entry: ${escapeXml(graph.entry || '-')}</p>
+  <svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">
+    <defs>
+      <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+        <path d="M 0 0 L 10 5 L 0 10 z" fill="#888"/>
+      </marker>
+    </defs>
+${layout.edges.map(edge => `    <g class="edge"><path d="${edge.path}" marker-end="url(#arrow)"/><text x="${edge.labelX}" y="${edge.labelY}">${escapeXml(edge.label)}</text></g>`).join('\n')}
+${graph.segments.map(segment => {
+    const { x, y } = layout.positions.get(segment.name);
+    const classes = ['node', ...Object.keys(flagged).filter(className => flagged[className].includes(segment.name))];
+    return `    <g class="${classes.join(' ')}"><rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8"/><text x="${x + NODE_WIDTH / 2}" y="${y + NODE_HEIGHT / 2}">${escapeXml(segment.name)}</text></g>`;
+  }).join('\n')}
+  </svg>
+  <h2>Issues</h2>
+  <ul>
+${issueItems}
+  </ul>
+  <h2>Segments</h2>
+  <table>
+    <thead><tr><th>Segment</th><th>Actions</th><th>Next segments</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Stable node ids for Mermaid, which does not accept arbitrary names
+ */
+function createIds(graph) {
+  return new Map(graph.segments.map((segment, index) => [segment.name, `s${index}`]));
+}
+
+function getFlaggedSegments(graph) {
+  const unreachable = graph.issues
+    .filter(issue => issue.type === 'unreachable')
+    .map(issue => issue.segments[0]);
+  
+  return {
+    entry: graph.entry ? [graph.entry] : [],
+    endCall: graph.segments.filter(segment => segment.actions.includes(END_CALL_ACTION)).map(segment => segment.name),
+    dangling: graph.segments.filter(segment => !segment.defined).map(segment => segment.name),
+    unreachable
+  };
+}
+
+/**
+ * Place segments in columns by distance from the entry segment; segments
+ * the entry cannot reach get a column of their own. Forward transitions
+ * are drawn left to right, transitions within a column as arcs on its
+ * right and backward ones as arcs below the nodes.
+ */
+function layoutGraph(graph) {
+  const levels = new Map();
+  const queue = graph.entry ? [graph.entry] : [];
+  if (graph.entry) {
+    levels.set(graph.entry, 0);
+  }
+  
+  while (queue.length > 0) {
+    const name = queue.shift();
+    for (const transition of graph.transitions.filter(candidate => candidate.from === name)) {
+      if (!levels.has(transition.to)) {
+        levels.set(transition.to, levels.get(name) + 1);
+        queue.push(transition.to);
+      }
+    }
+  }
+  
+  const lastLevel = Math.max(-1, ...levels.values()) + 1;
+  const columns = [];
+  for (const segment of graph.segments) {
+    const level = levels.has(segment.name) ? levels.get(segment.name) : lastLevel;
+    (columns[level] = columns[level] || []).push(segment.name);
+  }
+  
+  const positions = new Map();
+  columns.forEach((names, level) => names.forEach((name, row) => {
+    positions.set(name, { x: MARGIN + level * COLUMN_SPACING, y: MARGIN + row * ROW_SPACING });
+  }));
+  
+  const rows = Math.max(1, ...columns.filter(Boolean).map(names => names.length));
+  const height = MARGIN * 2 + (rows - 1) * ROW_SPACING + NODE_HEIGHT + 60;
+  
+  const edges = graph.transitions.map(transition => {
+    const from = positions.get(transition.from);
+    const to = positions.get(transition.to);
+    let points;
+    
+    if (to.x > from.x) {
+      const start = [from.x + NODE_WIDTH, from.y + NODE_HEIGHT / 2];
+      const end = [to.x, to.y + NODE_HEIGHT / 2];
+      points = [start, [start[0] + 60, start[1]], [end[0] - 60, end[1]], end];
+    } else if (to.x === from.x && to.y !== from.y) {
+      const start = [from.x + NODE_WIDTH, from.y + NODE_HEIGHT / 2];
+      const end = [to.x + NODE_WIDTH, to.y + NODE_HEIGHT / 2];
+      const bulge = 40 + Math.abs(from.y - to.y) / 6;
+      points = [start, [start[0] + bulge, start[1]], [end[0] + bulge, end[1]], end];
+    } else {
+      const start = [from.x + NODE_WIDTH / 2 - 20, from.y + NODE_HEIGHT];
+      const end = [to.x + NODE_WIDTH / 2 + 20, to.y + NODE_HEIGHT];
+      const depth = 50 + Math.abs(from.x - to.x) / 8;
+      points = [start, [start[0], start[1] + depth], [end[0], end[1] + depth], end];
+    }
+    
+    // Label at the middle of the cubic Bézier curve
+    const [p0, p1, p2, p3] = points;
+    const middle = axis => (p0[axis] + 3 * p1[axis] + 3 * p2[axis] + p3[axis]) / 8;
+    
+    return {
+      path: `M ${p0.join(' ')} C ${p1.join(' ')}, ${p2.join(' ')}, ${p3.join(' ')}`,
+      label: transition.result,
+      labelX: Math.round(middle(0)),
+      labelY: Math.round(middle(1))
+    };
+  });
+  
+  return {
+    positions,
+    edges,
+    width: MARGIN * 2 + (columns.length - 1) * COLUMN_SPACING + NODE_WIDTH + 80, // Room for arcs on the right
+    height
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Segment Graph
+ * 
+ * Builds the call flow graph from a populated segmentDic and checks it for
+ * the mistakes that only show up in production calls: transitions to
+ * segments that do not exist, segments no call can reach, dead ends that
+ * never hang up and loops a caller cannot leave.
+ */
+
+export const END_CALL_ACTION = 'endCall';
+
+/**
+ * Build the graph from segmentDic
+ * 
+ * @param {Map|object} segmentDic - segmentDic from the project globals:
+ *   segment name → { nextSegments: { result: target }, actions: [] }
+ * @param {object} [options]
+ * @param {string} [options.entry] - Segment calls start in (default: the
+ *   first segment defined)
+ * @returns {{segments, transitions, entry, issues}}
+ */
+export function buildSegmentGraph(segmentDic, options = {}) {
+  const entries = typeof segmentDic.entries === 'function' && typeof segmentDic.get === 'function'
+    ? [...segmentDic.entries()]
+    : Object.entries(segmentDic || {});
+  
+  const segments = entries.map(([name, definition]) => ({
+    name,
+    actions: Array.isArray(definition && definition.actions) ? [...definition.actions] : [],
+    defined: true
+  }));
+  
+  const transitions = [];
+  for (const [name, definition] of entries) {
+    const nextSegments = (definition && definition.nextSegments) || {};
+    for (const [result, target] of Object.entries(nextSegments)) {
+      transitions.push({ from: name, result, to: String(target) });
+    }
+  }
+  
+  // Targets without a definition become placeholder segments
+  const defined = new Set(segments.map(segment => segment.name));
+  for (const transition of transitions) {
+    if (!defined.has(transition.to)) {
+      defined.add(transition.to);
+      segments.push({ name: transition.to, actions: [], defined: false });
+    }
+  }
+  
+  const entry = options.entry || (segments.length > 0 ? segments[0].name : null);
+  if (entry && !segments.some(segment => segment.name === entry && segment.defined)) {
+    throw new Error(`Entry segment not found in segmentDic: ${entry}`);
+  }
+  
+  const graph = { segments, transitions, entry };
+  graph.issues = analyzeSegmentGraph(graph);
+  
+  return graph;
+}
+
+/**
+ * Find dangling targets, unreachable segments, dead ends without endCall
+ * and cycles without exit
+ * 
+ * @returns {Array<{type: string, message: string, segments: string[]}>}
+ */
+export function analyzeSegmentGraph(graph) {
+  const issues = [];
+  const byName = new Map(graph.segments.map(segment => [segment.name, segment]));
+  const outgoing = new Map(graph.segments.map(segment => [segment.name, []]));
+  graph.transitions.forEach(transition => outgoing.get(transition.from).push(transition));
+  
+  const endsCall = name => byName.get(name).actions.includes(END_CALL_ACTION);
+  
+  for (const transition of graph.transitions) {
+    if (!byName.get(transition.to).defined) {
+      issues.push({
+        type: 'dangling',
+        message: `${transition.from} --${transition.result}--> ${transition.to} (not defined)`,
+        segments: [transition.from, transition.to]
+      });
+    }
+  }
+  
+  const reachable = new Set();
+  const queue = graph.entry ? [graph.entry] : [];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (!reachable.has(name)) {
+      reachable.add(name);
+      outgoing.get(name).forEach(transition => queue.push(transition.to));
+    }
+  }
+  
+  for (const segment of graph.segments) {
+    if (segment.defined && !reachable.has(segment.name)) {
+      issues.push({
+        type: 'unreachable',
+        message: `${segment.name} is not reachable from ${graph.entry}`,
+        segments: [segment.name]
+      });
+    }
+  }
+  
+  for (const segment of graph.segments) {
+    if (segment.defined && outgoing.get(segment.name).length === 0 && !endsCall(segment.name)) {
+      issues.push({
+        type: 'dead-end',
+        message: `${segment.name} has no next segments and does not ${END_CALL_ACTION}`,
+        segments: [segment.name]
+      });
+    }
+  }
+  
+  for (const component of findCycles(graph.segments, outgoing)) {
+    const members = new Set(component);
+    const hasExit = component.some(name =>
+      endsCall(name) || outgoing.get(name).some(transition => !members.has(transition.to))
+    );
+    
+    if (!hasExit) {
+      issues.push({
+        type: 'cycle',
+        message: `${[...component, component[0]].join(' → ')} has no exit`,
+        segments: component
+      });
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Strongly connected components that contain a cycle (Tarjan)
+ */
+function findCycles(segments, outgoing) {
+  const index = new Map();
+  const lowlink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+  
+  const visit = name => {
+    index.set(name, counter);
+    lowlink.set(name, counter);
+    counter++;
+    stack.push(name);
+    onStack.add(name);
+    
+    for (const { to } of outgoing.get(name)) {
+      if (!index.has(to)) {
+        visit(to);
+        lowlink.set(name, Math.min(lowlink.get(name), lowlink.get(to)));
+      } else if (onStack.has(to)) {
+        lowlink.set(name, Math.min(lowlink.get(name), index.get(to)));
+      }
+    }
+    
+    if (lowlink.get(name) === index.get(name)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.unshift(member);
+      } while (member !== name);
+      
+      const selfLoop = outgoing.get(name).some(transition => transition.to === name);
+      if (component.length > 1 || selfLoop) {
+        cycles.push(component);
+      }
+    }
+  };
+  
+  for (const segment of segments) {
+    if (!index.has(segment.name)) {
+      visit(segment.name);
+    }
+  }
+  
+  return cycles;
+}
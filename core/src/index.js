@@ -5,14 +5,29 @@
  */
 
 export { buildProject } from './commands/build.js';
+export { traceLine } from './commands/trace.js';
+export { verifyMonolith } from './commands/verify.js';
+export { diffProject } from './commands/diff.js';
 export { simulateProject } from './commands/simulate.js';
+export { testProject } from './commands/test.js';
 export { debugProject } from './commands/debug.js';
+export { graphProject } from './commands/graph.js';
+export { lintProject } from './commands/lint.js';
+export { detectIntents } from './commands/intents.js';
 export { createNewProject } from './commands/new.js';
 export { cleanProjects } from './commands/clean.js';
+export { manageStorage } from './commands/storage.js';
+export { configProject } from './commands/config.js';
 export { listProjects, switchProject } from './commands/project.js';
 
 export { VocallsSimulator } from './simulator/engine.js';
+export { runScenario } from './simulator/scenario.js';
+export { VocallsDebugger } from './debugger/index.js';
+export { buildSegmentGraph, analyzeSegmentGraph } from './graph/segment-graph.js';
+export { recognizeIntent } from './simulator/intents.js';
 export { validateES51Compliance, validateVocallsGlobals } from './utils/validation.js';
+export { getRuntimeProfile, RUNTIME_PROFILES } from './utils/runtime-profile.js';
+export { loadProjectConfig, validateProjectConfig, ProjectConfigError } from './utils/config.js';
 export { 
   findWorkspaceRoot, 
   findProject, 
@@ -0,0 +1,128 @@
+/**
+ * HTTP Cassettes for record and replay modes
+ * 
+ * `--mode record` performs real requests and stores every request/response
+ * pair in projects/<name>/fixtures/cassettes/<cassette>.json; `--mode replay`
+ * answers exclusively from that file. Interactions use the same
+ * { request, response } shape as HTTP fixtures, so a recorded interaction
+ * can be copied into fixtures/http/ and edited.
+ */
+
+import { promises as fs } from 'fs';
+import { join, dirname, isAbsolute } from 'path';
+
+export const DEFAULT_CASSETTES_DIR = join('fixtures', 'cassettes');
+
+const REDACTED_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key', 'proxy-authorization'];
+
+/**
+ * Resolve a cassette name ("default") or path ("tmp/run.json") in a project
+ */
+export function resolveCassettePath(projectPath, cassette = 'default') {
+  if (cassette.endsWith('.json')) {
+    return isAbsolute(cassette) ? cassette : join(projectPath, cassette);
+  }
+  return join(projectPath, DEFAULT_CASSETTES_DIR, `${cassette}.json`);
+}
+
+export class Cassette {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.interactions = [];
+    this.used = new Set();
+  }
+  
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch {
+      throw new Error(`Cassette not found: ${this.filePath} (record it first with --mode record)`);
+    }
+    
+    this.interactions = JSON.parse(content).interactions || [];
+    this.used.clear();
+    return this;
+  }
+  
+  async save() {
+    const content = {
+      version: 1,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    };
+    
+    await fs.mkdir(dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(content, null, 2), 'utf8');
+  }
+  
+  record(request, response) {
+    this.interactions.push({
+      request: {
+        method: request.method,
+        url: request.url,
+        headers: redactHeaders(request.headers),
+        body: request.body
+      },
+      response
+    });
+  }
+  
+  /**
+   * Find the recorded response for a request. Identical requests are
+   * answered in recording order; once all are used the last one repeats.
+   */
+  find(request) {
+    let lastMatch = null;
+    
+    for (const [index, interaction] of this.interactions.entries()) {
+      if (!matchesInteraction(interaction.request, request)) {
+        continue;
+      }
+      if (!this.used.has(index)) {
+        this.used.add(index);
+        return interaction.response;
+      }
+      lastMatch = interaction.response;
+    }
+    
+    return lastMatch;
+  }
+}
+
+/**
+ * Normalize a request config into the method/url/headers/body that is
+ * sent and stored; object bodies are serialized as JSON
+ */
+export function normalizeRequest(config) {
+  const headers = { ...(config.headers || {}) };
+  let body = config.body;
+  
+  if (body !== undefined && body !== null && typeof body !== 'string') {
+    body = JSON.stringify(body);
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+  }
+  
+  return {
+    method: (config.method || 'GET').toUpperCase(),
+    url: String(config.url),
+    headers,
+    body: body === undefined ? null : body
+  };
+}
+
+function matchesInteraction(recorded, request) {
+  return recorded.method === request.method &&
+    recorded.url === request.url &&
+    (recorded.body ?? null) === request.body;
+}
+
+function redactHeaders(headers) {
+  const redacted = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    redacted[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+  }
+  return redacted;
+}
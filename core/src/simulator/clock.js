@@ -0,0 +1,275 @@
+/**
+ * Simulated Clock - Time and random values the simulator gives scripts
+ * 
+ * Without options the clock is the real one. With them it starts at a given
+ * timestamp and runs from there, or stays frozen until a conversation turn
+ * advances it, so time-of-day routing (opening hours, holidays) can be
+ * tested and session snapshots are the same on every run:
+ * 
+ * {
+ *   "time": "2025-12-24T16:55:00+01:00",   start of the simulated call
+ *   "freeze": true,                         time only moves between turns
+ *   "timezone": "Europe/Amsterdam",         local time of Date in scripts
+ *   "advance": "30s"                        time between turns (default 0)
+ * }
+ * 
+ * The sandbox Date, nowUTC and the timestamps the simulator hands to
+ * scripts all read this clock. createRandom() gives the seeded Math.random.
+ */
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Local date fields by index: year, month, day of month, hours, minutes, seconds, ms
+const LOCAL_GETTERS = ['getFullYear', 'getMonth', 'getDate', 'getHours', 'getMinutes', 'getSeconds', 'getMilliseconds'];
+const LOCAL_SETTERS = ['setFullYear', 'setMonth', 'setDate', 'setHours', 'setMinutes', 'setSeconds', 'setMilliseconds'];
+
+export class SimulatedClock {
+  /**
+   * @param {object} [options]
+   * @param {string|number} [options.time] - Start time, ISO 8601 or epoch ms
+   * @param {boolean} [options.freeze] - Keep the time still, except between turns
+   * @param {string} [options.timezone] - IANA timezone of local time in Date
+   * @param {string|number} [options.advance] - Time between turns, e.g. "30s"
+   */
+  constructor(options = {}) {
+    const start = options.time !== undefined ? parseTime(options.time) : Date.now();
+    
+    this.frozen = options.freeze === true;
+    this.timezone = options.timezone || null;
+    this.advanceBy = parseDuration(options.advance || 0);
+    this.offset = start - Date.now();
+    this.current = start;
+    
+    // The real clock needs no Date of its own
+    this.simulated = options.time !== undefined || this.frozen || Boolean(this.timezone) || this.advanceBy > 0;
+    
+    if (this.timezone) {
+      try {
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: this.timezone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          second: 'numeric'
+        });
+      } catch {
+        throw new Error(`Unknown timezone: ${this.timezone}`);
+      }
+    }
+  }
+  
+  /**
+   * Simulated time in epoch ms
+   */
+  now() {
+    return this.frozen ? this.current : Date.now() + this.offset;
+  }
+  
+  toISOString() {
+    return new Date(this.now()).toISOString();
+  }
+  
+  /**
+   * Move the clock forward, e.g. for the time a caller takes to answer
+   * 
+   * @param {string|number} [duration] - Default: the advance option
+   */
+  advance(duration = this.advanceBy) {
+    const ms = parseDuration(duration);
+    this.current += ms;
+    this.offset += ms;
+  }
+  
+  /**
+   * Offset of the timezone from UTC at a moment, in ms (0 without timezone)
+   */
+  getOffset(time) {
+    if (!this.formatter || isNaN(time)) {
+      return 0;
+    }
+    
+    const parts = Object.fromEntries(this.formatter.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - (time - ((time % 1000) + 1000) % 1000);
+  }
+  
+  /**
+   * Epoch ms of local date fields; the second pass settles DST changes
+   */
+  fromLocal(fields) {
+    if (!this.formatter) {
+      return new Date(...fields).getTime();
+    }
+    
+    const utc = Date.UTC(...fields);
+    return utc - this.getOffset(utc - this.getOffset(utc));
+  }
+  
+  /**
+   * A Date constructor on this clock: `new Date()` and `Date.now()` give
+   * the simulated time, and with a timezone the local getters, setters and
+   * toString() use that timezone. Strings without an offset are parsed as
+   * Node.js does, in the timezone of the host.
+   * 
+   * @param {Function} [BaseDate] - Date of the realm scripts run in
+   */
+  createDate(BaseDate = Date) {
+    const clock = this;
+    
+    function VocallsDate(...args) {
+      if (!new.target) {
+        return new VocallsDate().toString();
+      }
+      
+      let time;
+      if (args.length === 0) {
+        time = clock.now();
+      } else if (args.length === 1) {
+        time = new BaseDate(args[0]).getTime();
+      } else {
+        const fields = [0, 0, 1, 0, 0, 0, 0].map((value, index) => index < args.length ? Number(args[index]) : value);
+        time = clock.fromLocal(fields);
+      }
+      
+      return Reflect.construct(BaseDate, [time], new.target);
+    }
+    
+    Object.setPrototypeOf(VocallsDate, BaseDate);
+    VocallsDate.now = () => clock.now();
+    VocallsDate.prototype = Object.create(BaseDate.prototype, {
+      constructor: { value: VocallsDate, writable: true, configurable: true }
+    });
+    
+    if (this.timezone) {
+      defineLocalTime(VocallsDate.prototype, BaseDate, clock);
+    }
+    
+    return VocallsDate;
+  }
+}
+
+/**
+ * Local time methods in the clock's timezone, on top of the UTC ones
+ */
+function defineLocalTime(prototype, BaseDate, clock) {
+  const base = BaseDate.prototype;
+  const localFields = date => {
+    const time = base.getTime.call(date);
+    const local = new BaseDate(time + clock.getOffset(time));
+    return ['getUTCFullYear', 'getUTCMonth', 'getUTCDate', 'getUTCHours', 'getUTCMinutes', 'getUTCSeconds', 'getUTCMilliseconds']
+      .map(getter => local[getter]());
+  };
+  const pad = value => String(value).padStart(2, '0');
+  const methods = {
+    getDay() {
+      const time = base.getTime.call(this);
+      return new BaseDate(time + clock.getOffset(time)).getUTCDay();
+    },
+    getTimezoneOffset() {
+      const time = base.getTime.call(this);
+      return isNaN(time) ? NaN : -clock.getOffset(time) / 60000;
+    },
+    toDateString() {
+      if (isNaN(base.getTime.call(this))) {
+        return 'Invalid Date';
+      }
+      const [year, month, day] = localFields(this);
+      return `${DAYS[this.getDay()]} ${MONTHS[month]} ${pad(day)} ${year}`;
+    },
+    toTimeString() {
+      if (isNaN(base.getTime.call(this))) {
+        return 'Invalid Date';
+      }
+      const [, , , hours, minutes, seconds] = localFields(this);
+      const offset = -this.getTimezoneOffset();
+      const sign = offset < 0 ? '-' : '+';
+      const zone = `${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+      return `${pad(hours)}:${pad(minutes)}:${pad(seconds)} GMT${sign}${zone} (${clock.timezone})`;
+    },
+    toString() {
+      return isNaN(base.getTime.call(this)) ? 'Invalid Date' : `${this.toDateString()} ${this.toTimeString()}`;
+    },
+    toLocaleString(locales, options) {
+      return base.toLocaleString.call(this, locales, { timeZone: clock.timezone, ...options });
+    },
+    toLocaleDateString(locales, options) {
+      return base.toLocaleDateString.call(this, locales, { timeZone: clock.timezone, ...options });
+    },
+    toLocaleTimeString(locales, options) {
+      return base.toLocaleTimeString.call(this, locales, { timeZone: clock.timezone, ...options });
+    }
+  };
+  
+  LOCAL_GETTERS.forEach((name, index) => {
+    methods[name] = function () {
+      return isNaN(base.getTime.call(this)) ? NaN : localFields(this)[index];
+    };
+  });
+  
+  // setHours(h, m, s, ms) replaces the hours and, when given, the fields after them
+  LOCAL_SETTERS.forEach((name, index) => {
+    methods[name] = function (...values) {
+      const fields = localFields(this);
+      values.slice(0, fields.length - index).forEach((value, offset) => {
+        fields[index + offset] = Number(value);
+      });
+      return base.setTime.call(this, clock.fromLocal(fields));
+    };
+  });
+  
+  for (const [name, method] of Object.entries(methods)) {
+    Object.defineProperty(prototype, name, { value: method, writable: true, configurable: true });
+  }
+}
+
+/**
+ * Seeded replacement for Math.random (mulberry32), the same sequence for
+ * the same seed
+ * 
+ * @param {string|number} seed
+ * @returns {() => number} Values in [0, 1)
+ */
+export function createRandom(seed) {
+  // FNV-1a of the seed text as the initial state
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+  
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Milliseconds of a duration: a number of ms, or "250ms", "30s", "5m",
+ * "2h", "1d"
+ */
+export function parseDuration(duration) {
+  if (typeof duration === 'number' && duration >= 0) {
+    return duration;
+  }
+  
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration} (use e.g. 500ms, 30s, 5m, 2h or 1d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function parseTime(time) {
+  const value = typeof time === 'number' ? time : Date.parse(time);
+  if (isNaN(value)) {
+    throw new Error(`Invalid time: ${time} (use an ISO 8601 timestamp, e.g. 2025-12-24T16:55:00+01:00)`);
+  }
+  return value;
+}
@@ -5,13 +5,34 @@
  * - ES5.1 JavaScript execution context
  * - Mocked Vocalls global objects and APIs
  * - Session persistence and state management
+ * - Multi-turn conversations with caller input
  * - HTTP request mocking/proxying
  * - Storage operations
+ * - Strict mode with the Vocalls built-ins and load-time ES5.1 checks,
+ *   see strict-sandbox.js
+ * - Simulated clock and seeded random values, see clock.js
+ * 
+ * The globals, built-ins and context shape come from the project's runtime
+ * profile, see utils/runtime-profile.js.
  */
 
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import vm from 'vm';
+import { loadHttpFixtures, findHttpFixture, matchUrl, DEFAULT_FIXTURES_DIR } from './http-fixtures.js';
+import { Cassette, normalizeRequest, resolveCassettePath } from './cassette.js';
+import { DiskStorage, resolveStorageDir } from './storage.js';
+import { generateEnvironmentSection } from '../utils/environment.js';
+import { SegmentRunner } from './segment-runner.js';
+import { createLlmAdapter, getUtterance, DEFAULT_LLM_ENDPOINT } from './llm-intents.js';
+import { loadProjectConfig } from '../utils/config.js';
+import { transpileToES5 } from '../utils/transpile.js';
+import { createStrictContext, checkStrictSyntax, StrictModeError } from './strict-sandbox.js';
+import { getRuntimeProfile, getProjectRuntimeProfile, setPath } from '../utils/runtime-profile.js';
+import { SimulatedClock, createRandom } from './clock.js';
+import { resolveLibraryOrder } from '../utils/dependencies.js';
+
+const CALL_DIRECTIONS = ['inbound', 'outbound'];
 
 export class VocallsSimulator {
   constructor(options = {}) {
@@ -19,28 +40,103 @@ export class VocallsSimulator {
     this.httpMode = options.httpMode || 'stub';
     this.storageMode = options.storageMode || 'memory';
     this.environment = options.environment || 'acc';
+    
+    // Call context, see createVocallsContext()
+    this.lineIdentificator = options.lineIdentificator || 'SIM_TEST_LINE';
+    this.moduleName = options.moduleName || `sim-${this.environment}`;
+    this.language = options.language || 'nl-NL';
+    this.direction = options.direction || 'inbound';
+    this.ani = options.ani || null;
+    this.dnis = options.dnis || null;
+    this.initialVariables = options.variables || {};
+    
+    if (!CALL_DIRECTIONS.includes(this.direction)) {
+      throw new Error(`Invalid call direction: ${this.direction} (use ${CALL_DIRECTIONS.join(' or ')})`);
+    }
+    
+    this.httpFixtures = options.httpFixtures || [];
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.httpUnmatched = options.httpUnmatched || 'default';
+    this.cassettePath = this.projectPath
+      ? resolveCassettePath(this.projectPath, options.cassette)
+      : null;
     this.verbose = options.verbose || false;
+    this.silent = options.silent || false;
+    
+    // Segment execution: walk segmentDic after the call script, see segment-runner.js
+    this.runSegments = options.runSegments || false;
+    this.actionMocks = options.actions || {};
+    this.segmentRunner = null;
+    
+    // LLM intent detection: requests to llmEndpoint are answered by an
+    // adapter in every HTTP mode, see llm-intents.js
+    this.llm = options.llm || null;
+    this.llmEndpoint = options.llmEndpoint || DEFAULT_LLM_ENDPOINT;
+    this.llmAdapter = null;
+    
+    // Extension points for tooling such as the debugger
+    this.scriptTimeout = options.scriptTimeout !== undefined ? options.scriptTimeout : 5000;
+    this.transformSource = options.transformSource || null;
+    
+    // Run src/ as the monolith of a transpiled build does; by default as
+    // "transpile" in project.json says
+    this.transpile = options.transpile;
+    
+    // Strict mode; by default as "runtime": { "strict": true } in project.json says
+    this.strict = options.strict;
+    
+    // Runtime profile id or name; by default as "runtime": { "profile" } in project.json says
+    this.profileReference = options.runtimeProfile;
+    this.runtimeProfile = null;
+    
+    // Time and random values scripts see, see clock.js
+    this.clock = new SimulatedClock(options.clock);
+    this.seed = options.seed;
+    this.random = this.seed !== undefined ? createRandom(this.seed) : null;
+    this.extraGlobals = options.globals || {};
     
     this.stats = {
       filesLoaded: 0,
       httpRequests: 0,
+      unmatchedHttpRequests: 0,
       storageOps: 0,
       startTime: null,
       endTime: null
     };
     
     this.memoryStorage = new Map();
+    this.diskStorage = this.storageMode === 'disk' && this.projectPath
+      ? new DiskStorage(resolveStorageDir(this.projectPath, options.storageDir))
+      : null;
     this.httpRequests = [];
+    this.pendingRequests = new Set();
+    this.projectFixtures = null;
+    this.cassette = null;
+    this.libraryOrder = null;
+    this.logs = [];
   }
   
   async execute(scriptName = 'main') {
     this.stats.startTime = Date.now();
     
+    await this.prepareRuntime();
+    await this.prepareHttp();
+    const stopTracking = this.trackUnhandledRejections();
+    
     // Create Vocalls-compatible sandbox
     const sandbox = this.createSandbox();
+    let segmentRun = null;
+    
+    try {
+      // Load project files in Vocalls order
+      await this.loadProjectFiles(sandbox, scriptName);
+      segmentRun = this.runSegmentFlow(sandbox);
+      await this.settleRequests();
+    } finally {
+      stopTracking();
+    }
     
-    // Load project files in Vocalls order
-    await this.loadProjectFiles(sandbox);
+    await this.finishHttp();
     
     this.stats.endTime = Date.now();
     
@@ -48,149 +144,327 @@ export class VocallsSimulator {
       executionTime: this.stats.endTime - this.stats.startTime,
       filesLoaded: this.stats.filesLoaded,
       httpRequests: this.stats.httpRequests,
+      unmatchedHttpRequests: this.stats.unmatchedHttpRequests,
       storageOps: this.stats.storageOps,
       sessionState: sandbox.context.session,
-      httpLog: this.httpRequests
+      httpLog: this.httpRequests,
+      logs: this.logs,
+      segmentRun,
+      sandbox // Project globals after loading, e.g. segmentDic
     };
   }
   
-  createSandbox() {
-    const context = this.createVocallsContext();
+  /**
+   * Simulate a whole call: the call script runs once when the call starts
+   * and once more for every caller turn. Only context.session survives
+   * between runs, serialized like the Vocalls runtime does.
+   * 
+   * The clock advances before every turn, by the turn's `after` (e.g.
+   * "45s") or else the advance option of the clock.
+   * 
+   * @param {Array<object>} turns - Caller turns, see normalizeTurn()
+   * @param {string} [scriptName] - Call script in src/callScripts
+   */
+  async converse(turns, scriptName = 'main') {
+    this.stats.startTime = Date.now();
+    
+    const steps = [null, ...turns.map((turn, index) => normalizeTurn(turn, index + 1))];
+    const results = [];
+    let session = null;
+    
+    await this.prepareRuntime();
+    await this.prepareHttp();
+    const stopTracking = this.trackUnhandledRejections();
+    
+    try {
+      for (const [index, input] of steps.entries()) {
+        if (input) {
+          this.clock.advance(turns[index - 1].after ?? this.clock.advanceBy);
+        }
+        
+        const before = getSegmentSnapshot(session);
+        const sandbox = this.createSandbox(session, input);
+        
+        await this.loadProjectFiles(sandbox, scriptName);
+        const segmentRun = this.runSegmentFlow(sandbox);
+        await this.settleRequests();
+        
+        session = JSON.parse(JSON.stringify(sandbox.context.session));
+        results.push({
+          turn: input ? input.turn : 0,
+          input,
+          before,
+          after: getSegmentSnapshot(session),
+          segmentRun
+        });
+      }
+    } finally {
+      stopTracking();
+    }
+    
+    await this.finishHttp();
+    
+    this.stats.endTime = Date.now();
+    
+    return {
+      executionTime: this.stats.endTime - this.stats.startTime,
+      filesLoaded: this.stats.filesLoaded,
+      httpRequests: this.stats.httpRequests,
+      unmatchedHttpRequests: this.stats.unmatchedHttpRequests,
+      storageOps: this.stats.storageOps,
+      sessionState: session,
+      httpLog: this.httpRequests,
+      logs: this.logs,
+      turns: results
+    };
+  }
+  
+  /**
+   * Resolve the runtime profile the sandbox is built from
+   */
+  async prepareRuntime() {
+    if (this.runtimeProfile) {
+      return;
+    }
+    
+    if (this.profileReference || !this.projectPath) {
+      this.runtimeProfile = getRuntimeProfile(this.profileReference);
+    } else {
+      this.runtimeProfile = getProjectRuntimeProfile(await loadProjectConfig(this.projectPath));
+    }
+  }
+  
+  createSandbox(session = null, input = null) {
+    const profile = this.runtimeProfile || getRuntimeProfile(this.profileReference);
     
     const sandbox = {
       // Vocalls global context
-      context,
+      context: this.createVocallsContext(session, input, profile),
       
-      // Vocalls built-in functions
+      // Vocalls APIs and ES5.1 built-ins of the profile
+      ...this.createVocallsApis(profile),
+      ...this.createHostBuiltins(profile),
+      ...this.createClockBuiltins(profile, { Date, Math }),
+      
+      // Global variables that will be populated by scripts
+      var: undefined, // Placeholder to prevent ReferenceError
+      function: undefined,
+      
+      // Hide Node.js globals, e.g. console: use Vocalls logging
+      ...Object.fromEntries(profile.unavailable.map(name => [name, undefined])),
+      
+      ...this.extraGlobals
+    };
+    
+    this.sandboxGlobals = Object.keys(sandbox);
+    this.activeSandbox = sandbox;
+    
+    return sandbox;
+  }
+  
+  /**
+   * The simulated Vocalls APIs, by global name or property path
+   */
+  getApiImplementations() {
+    return {
       logInfo: (...args) => this.log('INFO', ...args),
       logWarn: (...args) => this.log('WARN', ...args),
       logError: (...args) => this.log('ERROR', ...args),
       log_debug: (...args) => this.log('DEBUG', ...args),
       
-      // Vocalls HTTP API
       jsonHttpRequest: (config) => this.handleHttpRequest(config),
       httpRequest: (config) => this.handleHttpRequest(config),
       
-      // Vocalls Storage API  
-      Storage: {
-        readFile: (path) => this.handleStorageRead(path),
-        writeFile: (path, content) => this.handleStorageWrite(path, content)
-      },
-      
-      // Vocalls utility functions
-      nowUTC: () => new Date().toISOString(),
-      
-      // ES5.1 globals (limited set)
-      Date,
-      Math,
-      JSON,
-      String,
-      Number,
-      Boolean,
-      Array,
-      Object,
-      RegExp,
-      Error,
-      TypeError,
-      ReferenceError,
-      SyntaxError,
-      
-      // Map and Set (allowed in Vocalls ES5.1)
-      Map,
-      Set,
-      WeakMap,
-      WeakSet,
-      
-      // Promise (limited support in Vocalls)
-      Promise: this.createLimitedPromise(),
-      
-      // Global variables that will be populated by scripts
-      var: undefined, // Placeholder to prevent ReferenceError
-      function: undefined,
+      'Storage.readFile': (path) => this.handleStorageRead(path),
+      'Storage.writeFile': (path, content) => this.handleStorageWrite(path, content),
       
-      // Hide Node.js globals
-      global: undefined,
-      process: undefined,
-      require: undefined,
-      module: undefined,
-      exports: undefined,
-      __dirname: undefined,
-      __filename: undefined,
-      console: undefined, // Force use of Vocalls logging
-      setTimeout: undefined, // Not available in Vocalls
-      setInterval: undefined,
-      clearTimeout: undefined,
-      clearInterval: undefined
+      nowUTC: () => this.clock.toISOString()
     };
+  }
+  
+  /**
+   * The globals of the profile, e.g. { logInfo, Storage: { readFile, ... } }
+   */
+  createVocallsApis(profile) {
+    const implementations = this.getApiImplementations();
+    const apis = {};
     
-    return sandbox;
+    for (const api of profile.globals) {
+      if (!implementations[api.name]) {
+        throw new Error(`Runtime profile ${profile.id} has ${api.signature}, which the simulator does not implement`);
+      }
+      setPath(apis, api.name, implementations[api.name]);
+    }
+    
+    return apis;
   }
   
-  createVocallsContext() {
-    return {
+  /**
+   * Built-ins shared with Node.js; strict mode uses those of the vm
+   * context instead
+   */
+  createHostBuiltins(profile) {
+    return Object.fromEntries(profile.builtins.map(name => [
+      name,
+      name === 'Promise' ? this.createLimitedPromise(profile) : globalThis[name]
+    ]));
+  }
+  
+  /**
+   * Date and Math of a realm on the simulated clock and seed, when set
+   */
+  createClockBuiltins(profile, realm) {
+    const builtins = {};
+    
+    if (this.clock.simulated && profile.builtins.includes('Date')) {
+      builtins.Date = this.clock.createDate(realm.Date);
+    }
+    if (this.random && profile.builtins.includes('Math')) {
+      builtins.Math = Object.create(realm.Math, {
+        random: { value: this.random, writable: true, configurable: true }
+      });
+    }
+    
+    return builtins;
+  }
+  
+  /**
+   * Make the sandbox a vm context of its own before the first script runs
+   */
+  applyStrictMode(sandbox, config) {
+    const profile = this.runtimeProfile || getRuntimeProfile(this.profileReference);
+    profile.builtins.forEach(name => delete sandbox[name]);
+    
+    createStrictContext(sandbox, profile, { builtins: (config.runtime || {}).builtins });
+    Object.assign(sandbox, this.createClockBuiltins(profile, vm.runInContext('({ Date: Date, Math: Math })', sandbox)));
+  }
+  
+  /**
+   * The global `context`, with the properties of the profile's context
+   */
+  createVocallsContext(session = null, input = null, profile = getRuntimeProfile()) {
+    if (!this.callInfo) {
+      this.callInfo = {
+        callId: this.seed !== undefined ? `CALL_${createCallNumber(this.seed)}` : `CALL_${this.clock.now()}`,
+        startTime: this.clock.toISOString(),
+        direction: this.direction,
+        ani: this.ani,
+        dnis: this.dnis
+      };
+    }
+    
+    const values = {
       settings: {
-        moduleName: `sim-${this.environment}`,
-        lineIdentificator: 'SIM_TEST_LINE'
-      },
-      language: 'nl-NL',
-      callInfo: {
-        callId: `CALL_${Date.now()}`,
-        startTime: new Date().toISOString(),
-        direction: 'inbound'
+        moduleName: this.moduleName,
+        lineIdentificator: this.lineIdentificator
       },
-      session: {
+      language: this.language,
+      // Only the fields of the profile: ani and dnis came with vocalls-es5.1@2
+      callInfo: profile.context.callInfo
+        ? Object.fromEntries(profile.context.callInfo.map(field => [field, this.callInfo[field]]))
+        : { ...this.callInfo },
+      input: input ? { ...input } : null,
+      session: session || {
         variables: {
           VOCALLS_ENV: this.environment,
-          SIMULATION_MODE: this.httpMode
+          SIMULATION_MODE: this.httpMode,
+          ...JSON.parse(JSON.stringify(this.initialVariables))
         }
       }
     };
+    
+    return Object.fromEntries(Object.keys(profile.context).map(key => {
+      if (!(key in values)) {
+        throw new Error(`Runtime profile ${profile.id} has context.${key}, which the simulator does not implement`);
+      }
+      return [key, values[key]];
+    }));
   }
   
-  createLimitedPromise() {
-    // Vocalls ES5.1 supports basic Promise but not .catch()
-    class VocallsPromise extends Promise {
-      catch() {
-        throw new Error('.catch() not supported in Vocalls ES5.1. Use .then(success, error)');
-      }
-      
-      static all() {
-        throw new Error('Promise.all() not supported in Vocalls ES5.1');
-      }
-      
-      static race() {
-        throw new Error('Promise.race() not supported in Vocalls ES5.1');
-      }
+  /**
+   * Promise of Node.js with the profile's restricted methods throwing
+   */
+  createLimitedPromise(profile) {
+    class VocallsPromise extends Promise {}
+    
+    for (const { path, message } of profile.promiseRestrictions) {
+      const method = path.replace(/^Promise\.(prototype\.)?/, '');
+      const owner = path.includes('.prototype.') ? VocallsPromise.prototype : VocallsPromise;
+      owner[method] = () => {
+        throw new Error(message);
+      };
     }
     
     return VocallsPromise;
   }
   
-  async loadProjectFiles(sandbox) {
+  /**
+   * Walk segmentDic from the current segment, when segment execution is on
+   * 
+   * @returns {{path: string[], stop: string}|null}
+   */
+  runSegmentFlow(sandbox) {
+    if (!this.runSegments) {
+      return null;
+    }
+    
+    if (!this.segmentRunner) {
+      this.segmentRunner = new SegmentRunner({
+        actions: this.actionMocks,
+        timeout: this.scriptTimeout,
+        log: (level, ...args) => this.log(level, ...args),
+        now: () => this.clock.toISOString(),
+        builtins: this.sandboxGlobals
+      });
+    }
+    
+    return this.segmentRunner.run(sandbox);
+  }
+  
+  async loadProjectFiles(sandbox, scriptName = 'main') {
     // Vocalls loading order:
+    // 0. Environment configuration (generated from project.json)
     // 1. globalCode.js
     // 2. globalVariables.js
     // 3. globalLibraries/active/* (in dependency order)
-    // 4. callScripts/main.js
+    // 4. callScripts/<script>.js
+    
+    const config = await loadProjectConfig(this.projectPath);
+    this.transpiling = this.transpile ?? config.transpile === true;
+    this.strictMode = this.strict ?? (config.runtime || {}).strict === true;
+    
+    if (this.strictMode) {
+      this.applyStrictMode(sandbox, config);
+    }
     
     const loadOrder = [
       'src/globalCode.js',
       'src/globalVariables.js'
     ];
     
+    // Same section a build for this environment starts with
+    const environmentSection = generateEnvironmentSection(config, this.environment);
+    if (environmentSection) {
+      this.runScript(sandbox, environmentSection, 'project.json (environments)');
+    }
+    
     // Add global libraries
     const libsDir = join(this.projectPath, 'src', 'globalLibraries', 'active');
     if (await this.fileExists(libsDir)) {
-      const config = await this.loadProjectConfig();
-      const libraryOrder = config.libraryOrder || await this.getLibraryFiles(libsDir);
+      // Resolved once per simulator, a conversation reloads the files every turn
+      if (!this.libraryOrder) {
+        const { libraries, issues } = await resolveLibraryOrder(this.projectPath, config);
+        issues.forEach(issue => this.log('WARN', `Library order: ${issue.message}`));
+        this.libraryOrder = libraries;
+      }
       
-      for (const lib of libraryOrder) {
+      for (const lib of this.libraryOrder) {
         loadOrder.push(`src/globalLibraries/active/${lib}`);
       }
     }
     
-    // Add main script
-    loadOrder.push('src/callScripts/main.js');
+    // Add call script
+    loadOrder.push(`src/callScripts/${scriptName}.js`);
     
     // Execute each file in order
     for (const file of loadOrder) {
@@ -208,27 +482,48 @@ export class VocallsSimulator {
       return;
     }
     
+    let code;
+    try {
+      code = await fs.readFile(fullPath, 'utf8');
+      if (this.transpiling) {
+        code = transpileToES5(code, { filename: relativePath }).code;
+      }
+      // What Vocalls would refuse to load stops a strict simulation
+      if (this.strictMode) {
+        checkStrictSyntax(code, relativePath);
+      }
+      if (this.transformSource) {
+        code = this.transformSource(code, relativePath);
+      }
+    } catch (err) {
+      if (err instanceof StrictModeError) {
+        throw err;
+      }
+      throw new Error(`Error in ${relativePath}: ${err.message}`);
+    }
+    
+    this.runScript(sandbox, code, relativePath);
+    this.stats.filesLoaded++;
+    
+    if (this.verbose) {
+      this.log('DEBUG', `Loaded: ${relativePath}`);
+    }
+  }
+  
+  runScript(sandbox, code, filename) {
     try {
-      const code = await fs.readFile(fullPath, 'utf8');
       const script = new vm.Script(code, {
-        filename: relativePath,
+        filename,
         lineOffset: 0,
         columnOffset: 0
       });
       
       script.runInNewContext(sandbox, {
-        timeout: 5000, // 5 second timeout
+        timeout: this.scriptTimeout || undefined, // 5 second timeout by default
         displayErrors: true
       });
-      
-      this.stats.filesLoaded++;
-      
-      if (this.verbose) {
-        this.log('DEBUG', `Loaded: ${relativePath}`);
-      }
-      
     } catch (err) {
-      throw new Error(`Error in ${relativePath}: ${err.message}`);
+      throw new Error(`Error in ${filename}: ${err.message}`);
     }
   }
   
@@ -241,7 +536,7 @@ export class VocallsSimulator {
     
     // Log request
     const request = {
-      timestamp: new Date().toISOString(),
+      timestamp: this.clock.toISOString(),
       method: config.method || 'GET',
       url: config.url,
       headers: config.headers,
@@ -250,30 +545,249 @@ export class VocallsSimulator {
     
     this.httpRequests.push(request);
     
-    if (this.httpMode === 'stub') {
-      // Return stubbed response
-      return this.createStubResponse(config);
-    } else {
-      // Make real HTTP request (would need fetch polyfill)
-      throw new Error('Real HTTP mode not implemented in this demo');
+    const pending = this.llmAdapter && matchUrl(this.llmEndpoint, config.url)
+      ? this.handleLlmRequest(config)
+      : this.dispatchHttpRequest(config);
+    
+    // Track the request until it settles
+    this.pendingRequests.add(pending);
+    pending.then(
+      () => this.pendingRequests.delete(pending),
+      () => this.pendingRequests.delete(pending)
+    );
+    return pending;
+  }
+  
+  dispatchHttpRequest(config) {
+    switch (this.httpMode) {
+      case 'stub':
+        return this.createStubResponse(config);
+      case 'real':
+        return this.performRequest(config).then(toHttpResponse);
+      case 'record':
+        return this.recordRequest(config);
+      case 'replay':
+        return this.replayRequest(config);
+      default:
+        throw new Error(`Unknown HTTP mode: ${this.httpMode} (use stub|real|record|replay)`);
+    }
+  }
+  
+  /**
+   * Answer an LLM intent request with the configured adapter; the body
+   * carries the utterance and optionally the language and candidate intents
+   */
+  async handleLlmRequest(config) {
+    const body = parseRequestBody(config.body);
+    const sandbox = this.activeSandbox;
+    const intentDefinitions = sandbox && sandbox.intentDefinitions;
+    const utterance = getUtterance(body);
+    
+    const result = await this.llmAdapter.detect({
+      utterance,
+      language: (body && body.language) || (sandbox ? sandbox.context.language : undefined),
+      intents: (body && Array.isArray(body.intents)) ? body.intents : Object.keys(intentDefinitions || {}),
+      intentDefinitions
+    });
+    
+    this.log('DEBUG', `[LLM ${this.llmAdapter.name}] "${utterance}" → ${result.intent || 'no intent'} (${result.confidence})`);
+    
+    return toHttpResponse({ status: 200, body: result });
+  }
+  
+  /**
+   * Perform an actual HTTP request
+   * 
+   * @returns {Promise<{status, headers, body}>} Response with a parsed JSON
+   *   body when the server sends JSON
+   */
+  async performRequest(config) {
+    const request = normalizeRequest(config);
+    const hasBody = !['GET', 'HEAD'].includes(request.method) && request.body !== null;
+    
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: hasBody ? request.body : undefined,
+        signal: config.timeout ? AbortSignal.timeout(config.timeout) : undefined
+      });
+    } catch (err) {
+      if (err.name === 'TimeoutError') {
+        throw new Error(`Request timeout after ${config.timeout}ms: ${request.method} ${request.url}`);
+      }
+      throw new Error(`${err.cause ? err.cause.message : err.message}: ${request.method} ${request.url}`);
+    }
+    
+    const text = await response.text();
+    let body = text;
+    if ((response.headers.get('content-type') || '').includes('json')) {
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // Keep the raw text when the server sends invalid JSON
+      }
     }
+    
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers.entries()),
+      body
+    };
   }
   
+  async recordRequest(config) {
+    const request = normalizeRequest(config);
+    
+    try {
+      const response = await this.performRequest(config);
+      this.cassette.record(request, response);
+      return toHttpResponse(response);
+    } catch (err) {
+      this.cassette.record(request, { error: err.message });
+      throw err;
+    }
+  }
+  
+  async replayRequest(config) {
+    const request = normalizeRequest(config);
+    const response = this.cassette.find(request);
+    
+    if (!response) {
+      this.stats.unmatchedHttpRequests++;
+      this.log('ERROR', `No cassette interaction matches ${request.method} ${request.url}`);
+      throw new Error(`No cassette interaction matches ${request.method} ${request.url}`);
+    }
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    
+    return toHttpResponse(response);
+  }
+  
+  /**
+   * Answer a request from the HTTP fixtures (scenario fixtures first, then
+   * the project fixture files). Unmatched requests get the default stub or,
+   * with httpUnmatched 'error', fail loudly.
+   */
   createStubResponse(config) {
-    return Promise.resolve({
-      success: true,
-      status: 200,
-      data: {
-        message: `Stubbed response for ${config.url}`,
-        timestamp: new Date().toISOString(),
-        method: config.method || 'GET'
-      },
-      headers: {
-        'content-type': 'application/json'
+    const fixture = findHttpFixture(this.httpFixtures, config) ||
+      findHttpFixture(this.projectFixtures || [], config);
+    const method = (config.method || 'GET').toUpperCase();
+    
+    if (!fixture) {
+      if (this.httpUnmatched === 'error') {
+        this.stats.unmatchedHttpRequests++;
+        this.log('ERROR', `No HTTP fixture matches ${method} ${config.url}`);
+        return Promise.reject(new Error(`No HTTP fixture matches ${method} ${config.url}`));
+      }
+      
+      return Promise.resolve({
+        success: true,
+        status: 200,
+        data: {
+          message: `Stubbed response for ${config.url}`,
+          timestamp: this.clock.toISOString(),
+          method
+        },
+        headers: {
+          'content-type': 'application/json'
+        }
+      });
+    }
+    
+    if (this.verbose) {
+      this.log('DEBUG', `HTTP fixture matched: ${fixture.name}`);
+    }
+    
+    const response = fixture.response || {};
+    const delay = response.delay || 0;
+    const timedOut = config.timeout !== undefined && delay > config.timeout;
+    
+    return new Promise((resolve, reject) => {
+      const respond = () => {
+        if (timedOut || response.error === 'timeout') {
+          reject(new Error(`Request timeout after ${timedOut ? config.timeout : delay}ms: ${method} ${config.url}`));
+        } else if (response.error) {
+          reject(new Error(`${response.error}: ${method} ${config.url}`));
+        } else {
+          resolve(toHttpResponse(response));
+        }
+      };
+      
+      const wait = timedOut ? config.timeout : delay;
+      if (wait > 0) {
+        setTimeout(respond, wait);
+      } else {
+        respond();
       }
     });
   }
   
+  /**
+   * Log promise rejections the scripts leave unhandled (e.g. a failing
+   * fixture without an error callback) instead of crashing the process
+   * 
+   * @returns {Function} Stops tracking
+   */
+  trackUnhandledRejections() {
+    const listener = reason => {
+      this.log('ERROR', 'Unhandled promise rejection:', reason && reason.message ? reason.message : reason);
+    };
+    
+    process.on('unhandledRejection', listener);
+    return () => process.off('unhandledRejection', listener);
+  }
+  
+  /**
+   * Load what the HTTP mode needs: fixtures for stub, the cassette for
+   * record (empty) and replay (from disk), plus the LLM intent adapter
+   */
+  async prepareHttp() {
+    if (this.llm && !this.llmAdapter) {
+      this.llmAdapter = await createLlmAdapter(this.llm, { projectPath: this.projectPath });
+    }
+    
+    if (this.httpMode === 'stub' && this.projectFixtures === null) {
+      this.projectFixtures = this.projectPath
+        ? await loadHttpFixtures(this.projectPath, this.fixturesDir)
+        : [];
+    }
+    
+    if ((this.httpMode === 'record' || this.httpMode === 'replay') && !this.cassette) {
+      if (!this.cassettePath) {
+        throw new Error(`HTTP mode ${this.httpMode} needs a project path for its cassette`);
+      }
+      
+      this.cassette = new Cassette(this.cassettePath);
+      if (this.httpMode === 'replay') {
+        await this.cassette.load();
+      }
+    }
+  }
+  
+  async finishHttp() {
+    if (this.httpMode === 'record') {
+      await this.cassette.save();
+      
+      if (this.verbose) {
+        this.log('DEBUG', `Recorded ${this.cassette.interactions.length} HTTP interactions to ${this.cassettePath}`);
+      }
+    }
+  }
+  
+  /**
+   * Wait until every HTTP request made by the scripts has settled and its
+   * callbacks have run, so session state is complete at the end of a run
+   */
+  async settleRequests() {
+    while (this.pendingRequests.size > 0) {
+      await Promise.allSettled([...this.pendingRequests]);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+  
   handleStorageRead(filePath) {
     this.stats.storageOps++;
     
@@ -286,18 +800,25 @@ export class VocallsSimulator {
           error: content === undefined ? 'file_not_found' : null
         };
       } else {
-        // Disk storage would be implemented here
+        const storage = this.getDiskStorage();
+        if (!storage.exists(filePath)) {
+          return {
+            success: false,
+            text: null,
+            error: 'file_not_found'
+          };
+        }
         return {
-          success: false,
-          text: null,
-          error: 'disk_storage_not_implemented'
+          success: true,
+          text: storage.readFile(filePath),
+          error: null
         };
       }
     } catch (err) {
       return {
         success: false,
         text: null,
-        error: err.message
+        error: err.code === 'path_outside_storage' ? err.code : err.message
       };
     }
   }
@@ -313,57 +834,137 @@ export class VocallsSimulator {
           error: null
         };
       } else {
-        // Disk storage would be implemented here
+        this.getDiskStorage().writeFile(filePath, String(content || ''));
         return {
-          success: false,
-          error: 'disk_storage_not_implemented'
+          success: true,
+          error: null
         };
       }
     } catch (err) {
       return {
         success: false,
-        error: err.message
+        error: err.code === 'path_outside_storage' ? err.code : err.message
       };
     }
   }
   
+  getDiskStorage() {
+    if (!this.diskStorage) {
+      throw new Error(`Unknown storage mode: ${this.storageMode} (use memory|disk)`);
+    }
+    return this.diskStorage;
+  }
+  
   log(level, ...args) {
-    const timestamp = new Date().toISOString();
+    const timestamp = this.clock.toISOString();
     const message = args.map(arg => 
       typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
     ).join(' ');
     
-    console.log(`[${timestamp}] [${level}] ${message}`);
+    this.logs.push({ timestamp, level, message });
+    
+    if (!this.silent) {
+      console.log(`[${timestamp}] [${level}] ${message}`);
+    }
   }
   
-  async loadProjectConfig() {
-    const configPath = join(this.projectPath, 'project.json');
-    
+  async fileExists(path) {
     try {
-      const content = await fs.readFile(configPath, 'utf8');
-      return JSON.parse(content);
+      await fs.access(path);
+      return true;
     } catch {
-      return { libraryOrder: [] };
+      return false;
     }
   }
+}
+
+/**
+ * Normalize a caller turn from a conversation file into context.input
+ * 
+ * Accepted forms: { say: 'text' }, { dtmf: '12#' }, { event: 'noInput' }
+ * ('silence' is an alias of 'noInput') or the explicit
+ * { type: 'utterance'|'dtmf'|'noInput', text, dtmf }.
+ */
+export function normalizeTurn(turn, index) {
+  if (!turn || typeof turn !== 'object' || Array.isArray(turn)) {
+    throw new Error(`Invalid caller input in turn ${index}: ${JSON.stringify(turn)}`);
+  }
   
-  async getLibraryFiles(libsDir) {
-    try {
-      const files = await fs.readdir(libsDir);
-      return files
-        .filter(file => file.endsWith('.js'))
-        .sort(); // Alphabetical fallback
-    } catch {
-      return [];
+  let type = turn.type;
+  
+  if (!type) {
+    if (turn.say !== undefined) {
+      type = 'utterance';
+    } else if (turn.dtmf !== undefined) {
+      type = 'dtmf';
+    } else if (turn.event !== undefined) {
+      type = turn.event;
     }
   }
   
-  async fileExists(path) {
+  if (type === 'silence') {
+    type = 'noInput';
+  }
+  
+  // A DTMF turn needs its digits
+  const missingDigits = type === 'dtmf' && (turn.dtmf === undefined || turn.dtmf === null);
+  
+  if (!['utterance', 'dtmf', 'noInput'].includes(type) || missingDigits) {
+    throw new Error(`Invalid caller input in turn ${index}: ${JSON.stringify(turn)}`);
+  }
+  
+  return {
+    turn: index,
+    type,
+    text: type === 'utterance' ? String(turn.say ?? turn.text ?? '') : '',
+    dtmf: type === 'dtmf' ? String(turn.dtmf) : ''
+  };
+}
+
+/**
+ * Call number of a seeded simulation: the same for the same seed, and
+ * independent of the Math.random sequence
+ */
+function createCallNumber(seed) {
+  const random = createRandom(`${seed}:callId`);
+  return [random(), random()].map(value => Math.floor(value * 0x100000000).toString(16).padStart(8, '0')).join('').toUpperCase();
+}
+
+/**
+ * Convert a fixture or recorded response into the Vocalls response object
+ */
+function toHttpResponse(response) {
+  const status = response.status || 200;
+  
+  return {
+    success: status >= 200 && status < 300,
+    status,
+    data: response.body !== undefined ? response.body : null,
+    headers: response.headers || { 'content-type': 'application/json' }
+  };
+}
+
+/**
+ * Request body as a plain object: scripts send either a JSON string or an
+ * object from the sandbox realm
+ */
+function parseRequestBody(body) {
+  if (typeof body === 'string') {
     try {
-      await fs.access(path);
-      return true;
+      return JSON.parse(body);
     } catch {
-      return false;
+      return body;
     }
   }
-}
\ No newline at end of file
+  
+  return body ? JSON.parse(JSON.stringify(body)) : {};
+}
+
+function getSegmentSnapshot(session) {
+  const segmentState = session && session.variables && session.variables.segmentState;
+  
+  return {
+    currentSegment: segmentState ? segmentState.currentSegment : null,
+    segmentResult: segmentState ? segmentState.segmentResult : null
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * HTTP Fixtures for stub mode
+ * 
+ * Fixture files live in projects/<name>/fixtures/http/*.json and hold a
+ * single fixture, an array of fixtures or { "fixtures": [...] }:
+ * 
+ * {
+ *   "name": "customer not found",
+ *   "request": {
+ *     "method": "POST",
+ *     "url": "https://api-acc.example.com/customer/*",
+ *     "headers": { "Content-Type": "application/json" },
+ *     "body": { "phone": "+32470000000" }
+ *   },
+ *   "response": {
+ *     "status": 404,
+ *     "headers": { "content-type": "application/json" },
+ *     "body": { "error": "not_found" },
+ *     "delay": 250,
+ *     "error": "timeout"
+ *   }
+ * }
+ * 
+ * Request criteria are optional. `url` accepts `*` wildcards, `urlRegex` a
+ * regular expression. Headers match case-insensitively on name, an object
+ * body matches when every listed field is present with the same value.
+ * `delay` adds artificial latency; a delay above the request `timeout` or
+ * `error` makes the request fail instead of returning a response.
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { isDeepStrictEqual } from 'util';
+
+export const DEFAULT_FIXTURES_DIR = join('fixtures', 'http');
+
+/**
+ * Load all fixture files of a project, in file name order
+ */
+export async function loadHttpFixtures(projectPath, fixturesDir = DEFAULT_FIXTURES_DIR) {
+  const dir = join(projectPath, fixturesDir);
+  let files;
+  
+  try {
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  } catch {
+    return [];
+  }
+  
+  const fixtures = [];
+  for (const file of files) {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(join(dir, file), 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid HTTP fixture file ${file}: ${err.message}`);
+    }
+    
+    const entries = Array.isArray(content) ? content : content.fixtures || [content];
+    entries.forEach((fixture, index) => {
+      fixtures.push({ name: fixture.name || `${file} #${index + 1}`, ...fixture });
+    });
+  }
+  
+  return fixtures;
+}
+
+/**
+ * Find the first fixture matching a request config
+ */
+export function findHttpFixture(fixtures, config) {
+  return fixtures.find(fixture => matchRequest(fixture.request || {}, config)) || null;
+}
+
+/**
+ * Match a request URL against a pattern; `*` matches any characters
+ */
+export function matchUrl(pattern, url) {
+  if (!pattern || pattern === '*') {
+    return true;
+  }
+  
+  const regex = new RegExp(
+    '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+  );
+  return regex.test(String(url));
+}
+
+function matchRequest(criteria, config) {
+  const method = (config.method || 'GET').toUpperCase();
+  
+  if (criteria.method && criteria.method.toUpperCase() !== method) {
+    return false;
+  }
+  if (criteria.url && !matchUrl(criteria.url, config.url)) {
+    return false;
+  }
+  if (criteria.urlRegex && !new RegExp(criteria.urlRegex).test(String(config.url))) {
+    return false;
+  }
+  if (criteria.headers && !matchHeaders(criteria.headers, config.headers || {})) {
+    return false;
+  }
+  if (criteria.body !== undefined && !matchBody(criteria.body, config.body)) {
+    return false;
+  }
+  
+  return true;
+}
+
+function matchHeaders(expected, actual) {
+  const headers = {};
+  for (const [name, value] of Object.entries(actual)) {
+    headers[name.toLowerCase()] = String(value);
+  }
+  
+  return Object.entries(expected).every(([name, value]) => headers[name.toLowerCase()] === String(value));
+}
+
+function matchBody(expected, actual) {
+  if (typeof expected === 'string') {
+    return typeof actual === 'string' ? actual === expected : JSON.stringify(actual) === expected;
+  }
+  
+  // Normalize through JSON so objects created inside the sandbox compare
+  // equal to fixture values
+  let body;
+  try {
+    body = JSON.parse(typeof actual === 'string' ? actual : JSON.stringify(actual));
+  } catch {
+    return false;
+  }
+  
+  return matchPartial(expected, body);
+}
+
+function matchPartial(expected, actual) {
+  if (expected === null || typeof expected !== 'object' || Array.isArray(expected)) {
+    return isDeepStrictEqual(expected, actual);
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return false;
+  }
+  
+  return Object.entries(expected).every(([key, value]) => matchPartial(value, actual[key]));
+}
@@ -0,0 +1,240 @@
+/**
+ * Intent Recognition - Simulated intent detection on intentDefinitions
+ * 
+ * Scores a caller utterance against the patterns of every intent in the
+ * project's intentDefinitions:
+ * 
+ * intentDefinitions = {
+ *   help: { patterns: ['help', 'support'], confidence: 0.9 },
+ *   billing: { patterns: { nl: ['factuur', 'rekening'], en: ['invoice', 'bill'] }, confidence: 0.8 }
+ * };
+ * 
+ * Patterns are a list for every language or an object per language code
+ * ('nl', 'en', ..., '*' for all). A pattern matches:
+ * - exact: as whole words in the lowercased utterance
+ * - normalized: after removing accents, punctuation and filler words of the
+ *   caller's language ("euh", "alstublieft", "please", ...)
+ * - fuzzy: a run of words within a small edit distance ("helpp", "suport")
+ * 
+ * The score is the intent's confidence weighted by the kind of match; the
+ * best intent above the threshold wins.
+ */
+
+export const MATCH_WEIGHTS = {
+  exact: 1,
+  normalized: 0.9,
+  fuzzy: 0.8
+};
+
+export const DEFAULT_THRESHOLD = 0.5;
+
+// Fuzzy matches need this similarity (1 - edit distance / length)
+const FUZZY_SIMILARITY = 0.75;
+
+// Shorter patterns ("hi", "ja") only match exactly or normalized
+const FUZZY_MIN_LENGTH = 4;
+
+const FILLER_WORDS = {
+  nl: ['eh', 'euh', 'ehm', 'uhm', 'nou', 'even', 'graag', 'alstublieft', 'alsjeblieft', 'aub', 'de', 'het', 'een'],
+  en: ['uh', 'um', 'uhm', 'er', 'erm', 'well', 'just', 'please', 'the', 'a', 'an'],
+  fr: ['euh', 'heu', 'bah', 'ben', 'stp', 'svp', 'le', 'la', 'les', 'un', 'une'],
+  de: ['äh', 'ähm', 'halt', 'mal', 'bitte', 'der', 'die', 'das', 'ein', 'eine']
+};
+
+/**
+ * Language code of a Vocalls language ('nl-NL' → 'nl')
+ */
+export function getLanguageCode(language) {
+  return String(language || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Split text into lowercase words without accents, punctuation and the
+ * filler words of the language
+ */
+export function normalizeText(text, language) {
+  const fillers = new Set((FILLER_WORDS[getLanguageCode(language)] || []).map(stripAccents));
+  
+  return stripAccents(String(text).toLowerCase())
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !fillers.has(word));
+}
+
+/**
+ * Recognize the intent of an utterance
+ * 
+ * @param {object} intentDefinitions - Project intentDefinitions
+ * @param {string} utterance - Caller utterance
+ * @param {object} [options]
+ * @param {string} [options.language] - Caller language, e.g. 'nl-NL'
+ * @param {number} [options.threshold] - Minimum score for a match
+ * @returns {{intent: string|null, confidence: number, match: string|null,
+ *   pattern: string|null, candidates: Array<{intent, confidence, match, pattern}>}}
+ */
+export function recognizeIntent(intentDefinitions, utterance, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+  const candidates = [];
+  
+  for (const [intent, definition] of Object.entries(intentDefinitions || {})) {
+    const best = scoreIntent(definition || {}, utterance, options.language);
+    if (best) {
+      candidates.push({ intent, ...best });
+    }
+  }
+  
+  // Stable sort keeps definition order for equal scores
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  
+  const top = candidates[0];
+  if (!top || top.confidence < threshold) {
+    return { intent: null, confidence: top ? top.confidence : 0, match: null, pattern: null, candidates };
+  }
+  
+  return { ...top, candidates };
+}
+
+/**
+ * Best match of one intent's patterns
+ */
+function scoreIntent(definition, utterance, language) {
+  const confidence = typeof definition.confidence === 'number' ? definition.confidence : 1;
+  let best = null;
+  
+  for (const pattern of getPatterns(definition, language)) {
+    const match = matchPattern(String(pattern), utterance, language);
+    if (match) {
+      const score = round(confidence * MATCH_WEIGHTS[match.type] * match.similarity);
+      if (!best || score > best.confidence) {
+        best = { confidence: score, match: match.type, pattern: String(pattern) };
+      }
+    }
+  }
+  
+  return best;
+}
+
+function getPatterns(definition, language) {
+  const patterns = definition.patterns || [];
+  
+  if (Array.isArray(patterns)) {
+    return patterns;
+  }
+  
+  return [...(patterns[getLanguageCode(language)] || []), ...(patterns['*'] || [])];
+}
+
+function matchPattern(pattern, utterance, language) {
+  const exact = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(pattern.toLowerCase())}($|[^\\p{L}\\p{N}])`, 'u');
+  if (exact.test(String(utterance).toLowerCase())) {
+    return { type: 'exact', similarity: 1 };
+  }
+  
+  const words = normalizeText(utterance, language);
+  const patternWords = normalizeText(pattern, language);
+  if (patternWords.length === 0 || words.length < patternWords.length) {
+    return null;
+  }
+  
+  const target = patternWords.join(' ');
+  let similarity = 0;
+  
+  for (let start = 0; start + patternWords.length <= words.length; start++) {
+    const window = words.slice(start, start + patternWords.length).join(' ');
+    if (window === target) {
+      return { type: 'normalized', similarity: 1 };
+    }
+    if (target.length >= FUZZY_MIN_LENGTH) {
+      similarity = Math.max(similarity, 1 - levenshtein(window, target) / Math.max(window.length, target.length));
+    }
+  }
+  
+  return similarity >= FUZZY_SIMILARITY ? { type: 'fuzzy', similarity } : null;
+}
+
+/**
+ * Score labelled utterances: precision, recall and F1 per intent, overall
+ * accuracy and a confusion matrix (expected × predicted). Utterances that
+ * should not match any intent use the label null.
+ * 
+ * @param {Array<{expected: string|null, predicted: string|null}>} results
+ */
+export function scoreIntentResults(results) {
+  const NONE = null;
+  const labels = [];
+  const addLabel = label => {
+    if (label !== NONE && !labels.includes(label)) {
+      labels.push(label);
+    }
+  };
+  results.forEach(result => {
+    addLabel(result.expected);
+    addLabel(result.predicted);
+  });
+  labels.sort();
+  labels.push(NONE);
+  
+  const matrix = labels.map(() => labels.map(() => 0));
+  for (const result of results) {
+    matrix[labels.indexOf(result.expected)][labels.indexOf(result.predicted)]++;
+  }
+  
+  const perIntent = {};
+  labels.forEach((label, index) => {
+    if (label === NONE) {
+      return;
+    }
+    
+    const tp = matrix[index][index];
+    const fp = matrix.reduce((sum, row, rowIndex) => sum + (rowIndex === index ? 0 : row[index]), 0);
+    const fn = matrix[index].reduce((sum, count, colIndex) => sum + (colIndex === index ? 0 : count), 0);
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    
+    perIntent[label] = {
+      support: tp + fn,
+      precision: round(precision),
+      recall: round(recall),
+      f1: precision + recall > 0 ? round((2 * precision * recall) / (precision + recall)) : 0
+    };
+  });
+  
+  const correct = results.filter(result => result.expected === result.predicted).length;
+  
+  return {
+    total: results.length,
+    accuracy: results.length > 0 ? round(correct / results.length) : 0,
+    perIntent,
+    confusion: { labels, matrix }
+  };
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
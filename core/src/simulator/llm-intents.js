@@ -0,0 +1,182 @@
+/**
+ * LLM Intent Adapters - Offline stand-ins for LLM-based intent detection
+ * 
+ * Call scripts that set useLLMIntentDetection send the utterance to an LLM
+ * intent endpoint with jsonHttpRequest. In the simulator, requests to that
+ * endpoint (DEFAULT_LLM_ENDPOINT unless configured) are answered by an
+ * adapter instead of a real service:
+ * 
+ *   request body:  { "utterance": "...", "language": "nl-NL", "intents": ["billing", ...] }
+ *   response body: { "intent": "billing", "confidence": 0.93, "source": "fixture" }
+ * 
+ * An adapter is any object with a name and an async detect(request)
+ * method. Built in:
+ * - StandInLlmAdapter: deterministic answers from fixed responses keyed by
+ *   utterance, then rules, then the pattern recognizer on intentDefinitions
+ * - HttpLlmAdapter: forwards the request to a local stand-in server
+ * 
+ * Stand-in configuration (fixtures/llm/intents.json or inline):
+ * 
+ * {
+ *   "responses": { "I want to pay my bill": { "intent": "billing", "confidence": 0.93 } },
+ *   "rules": [
+ *     { "contains": "invoice", "intent": "billing", "confidence": 0.9 },
+ *     { "pattern": "^(yes|yeah)\\b", "intent": "confirm" }
+ *   ],
+ *   "fallback": "patterns"
+ * }
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { recognizeIntent, normalizeText } from './intents.js';
+
+export const DEFAULT_LLM_ENDPOINT = '*/llm/intent*';
+export const DEFAULT_LLM_FIXTURES = 'fixtures/llm/intents.json';
+
+const DEFAULT_CONFIDENCE = 0.9;
+const DEFAULT_TIMEOUT = 10000;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Create the adapter for the simulator's `llm` option
+ * 
+ * @param {string|object} option - 'standin' (project fixture file), a
+ *   local http:// URL, an inline stand-in configuration or an adapter
+ * @param {object} [context]
+ * @param {string} [context.projectPath]
+ */
+export async function createLlmAdapter(option, context = {}) {
+  if (option && typeof option.detect === 'function') {
+    return option;
+  }
+  
+  if (option === 'standin') {
+    const config = context.projectPath
+      ? await loadStandInConfig(join(context.projectPath, DEFAULT_LLM_FIXTURES))
+      : {};
+    return new StandInLlmAdapter(config);
+  }
+  
+  if (typeof option === 'string' && /^https?:\/\//.test(option)) {
+    return new HttpLlmAdapter(option);
+  }
+  
+  if (option && typeof option === 'object') {
+    return new StandInLlmAdapter(option);
+  }
+  
+  throw new Error(`Invalid LLM adapter: ${option} (use standin or a local http:// URL)`);
+}
+
+/**
+ * Read the utterance from a request body the way common LLM intent
+ * endpoints name it
+ */
+export function getUtterance(body) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  
+  const value = body && [body.utterance, body.text, body.input, body.prompt].find(candidate => typeof candidate === 'string');
+  return value || '';
+}
+
+export class StandInLlmAdapter {
+  constructor(config = {}) {
+    this.name = 'standin';
+    this.rules = config.rules || [];
+    this.fallback = config.fallback !== undefined ? config.fallback : 'patterns';
+    
+    this.responses = new Map();
+    for (const [utterance, response] of Object.entries(config.responses || {})) {
+      this.responses.set(responseKey(utterance), typeof response === 'string' ? { intent: response } : response);
+    }
+  }
+  
+  async detect(request) {
+    const utterance = request.utterance || '';
+    
+    const response = this.responses.get(responseKey(utterance));
+    if (response) {
+      return withDefaults(response, 'fixture');
+    }
+    
+    const text = utterance.toLowerCase();
+    for (const rule of this.rules) {
+      const matches = rule.pattern
+        ? new RegExp(rule.pattern, 'i').test(utterance)
+        : typeof rule.contains === 'string' && text.includes(rule.contains.toLowerCase());
+      
+      if (matches) {
+        return withDefaults(rule, 'rule');
+      }
+    }
+    
+    if (this.fallback === 'patterns' && request.intentDefinitions) {
+      const result = recognizeIntent(request.intentDefinitions, utterance, { language: request.language });
+      return { intent: result.intent, confidence: result.confidence, source: 'patterns' };
+    }
+    
+    return { intent: null, confidence: 0, source: 'none' };
+  }
+}
+
+export class HttpLlmAdapter {
+  /**
+   * @param {string} url - Stand-in server on this machine
+   */
+  constructor(url, options = {}) {
+    const { hostname } = new URL(url);
+    if (!LOOPBACK_HOSTS.includes(hostname) && !hostname.endsWith('.localhost')) {
+      throw new Error(`LLM stand-in must run on this machine (localhost), got: ${url}`);
+    }
+    
+    this.name = url;
+    this.url = url;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+  
+  async detect(request) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ utterance: request.utterance, language: request.language, intents: request.intents }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`LLM stand-in ${this.url} answered ${response.status}`);
+    }
+    
+    return withDefaults(await response.json(), 'http');
+  }
+}
+
+async function loadStandInConfig(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid LLM stand-in file ${file}: ${err.message}`);
+  }
+}
+
+function responseKey(utterance) {
+  return normalizeText(utterance).join(' ');
+}
+
+function withDefaults(response, source) {
+  return {
+    ...response,
+    intent: response.intent || null,
+    confidence: typeof response.confidence === 'number' ? response.confidence : (response.intent ? DEFAULT_CONFIDENCE : 0),
+    source: response.source || source
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Scenario Runner - Assert call flow behavior on top of VocallsSimulator
+ * 
+ * A scenario describes one simulated call (line, environment, caller turns,
+ * stubbed HTTP responses) and the expected outcome:
+ * 
+ * {
+ *   "name": "Known line reaches WELCOME",
+ *   "line": "TEST-PROJECT_MAIN",
+ *   "environment": "acc",
+ *   "http": [{
+ *     "request": { "method": "POST", "url": "https://api-acc.example.com/customer/lookup" },
+ *     "response": { "status": 200, "body": { "customerId": 42 } }
+ *   }],
+ *   "turns": [{ "say": "hello", "expect": { "currentSegment": "MENU" } }],
+ *   "expect": {
+ *     "currentSegment": "WELCOME",
+ *     "segmentResult": "",
+ *     "variables": { "varObj.customerId": 42 },
+ *     "httpCalls": [{ "method": "POST", "url": "https://api-acc.example.com/customer/*" }],
+ *     "logs": ["Line data found", { "level": "ERROR", "contains": "timeout" }]
+ *   }
+ * }
+ * 
+ * `http` entries use the fixture format of http-fixtures.js and take
+ * precedence over the project fixture files. URLs may contain `*`
+ * wildcards. Every expectation is optional.
+ * 
+ * With `"segments": true` the segmentDic flow runs after the call script
+ * on every turn, using the action mocks in `actions` (see
+ * segment-runner.js).
+ * 
+ * `llm` answers LLM intent requests offline: "standin" for the project's
+ * fixtures/llm/intents.json, an inline stand-in configuration or a local
+ * http:// URL; `llmEndpoint` overrides the URL pattern (see llm-intents.js).
+ * 
+ * Besides `line`, the call context takes `ani`, `dnis` (caller and called
+ * number), `language`, `direction` ("inbound" or "outbound"), `moduleName`
+ * and initial session `variables`.
+ * 
+ * `clock` sets the simulated time, e.g. { "time": "2025-12-24T18:05:00+01:00",
+ * "freeze": true, "timezone": "Europe/Amsterdam" }, and a turn's `after`
+ * the time that passes before it; `seed` fixes callId and Math.random
+ * (see clock.js).
+ */
+
+import { isDeepStrictEqual } from 'util';
+import { VocallsSimulator } from './engine.js';
+import { matchUrl } from './http-fixtures.js';
+
+/**
+ * Run a single scenario
+ * 
+ * @returns {Promise<{name, passed: boolean, failures: string[], duration: number, logs: Array}>}
+ */
+export async function runScenario(projectPath, scenario, options = {}) {
+  const startTime = Date.now();
+  const failures = [];
+  let result = null;
+  
+  const simulator = new VocallsSimulator({
+    projectPath,
+    httpMode: 'stub',
+    storageMode: 'memory',
+    environment: scenario.environment || options.environment || 'acc',
+    lineIdentificator: scenario.line,
+    moduleName: scenario.moduleName,
+    language: scenario.language,
+    direction: scenario.direction,
+    ani: scenario.ani,
+    dnis: scenario.dnis,
+    variables: scenario.variables,
+    httpFixtures: scenario.http || [],
+    httpUnmatched: scenario.httpUnmatched,
+    runSegments: scenario.segments,
+    actions: scenario.actions,
+    llm: scenario.llm,
+    llmEndpoint: scenario.llmEndpoint,
+    clock: scenario.clock,
+    seed: scenario.seed,
+    verbose: options.verbose,
+    silent: true
+  });
+  
+  try {
+    const turns = scenario.turns || [];
+    result = await simulator.converse(turns, scenario.script || 'main');
+    
+    // Per-turn expectations are checked against that turn's segment state
+    turns.forEach((turn, index) => {
+      if (turn.expect) {
+        const snapshot = result.turns[index + 1].after;
+        checkSegment(turn.expect, snapshot, `turn ${index + 1}: `, failures);
+      }
+    });
+    
+    const expect = scenario.expect || {};
+    const variables = result.sessionState.variables || {};
+    checkSegment(expect, {
+      currentSegment: variables.segmentState ? variables.segmentState.currentSegment : null,
+      segmentResult: variables.segmentState ? variables.segmentState.segmentResult : null
+    }, '', failures);
+    checkVariables(expect.variables, variables, failures);
+    checkHttpCalls(expect, result.httpLog, failures);
+    checkLogs(expect.logs, result.logs, failures);
+    
+  } catch (err) {
+    failures.push(`simulation error: ${err.message}`);
+  }
+  
+  return {
+    name: scenario.name,
+    passed: failures.length === 0,
+    failures,
+    duration: Date.now() - startTime,
+    logs: simulator.logs
+  };
+}
+
+/**
+ * Resolve a dotted path ("varObj.customer.id") in an object
+ */
+export function getPath(object, path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== null && value !== undefined ? value[key] : undefined),
+    object
+  );
+}
+
+function checkSegment(expect, snapshot, prefix, failures) {
+  for (const key of ['currentSegment', 'segmentResult']) {
+    if (expect[key] !== undefined && expect[key] !== snapshot[key]) {
+      failures.push(`${prefix}expected ${key} ${JSON.stringify(expect[key])}, got ${JSON.stringify(snapshot[key])}`);
+    }
+  }
+}
+
+function checkVariables(expected, variables, failures) {
+  for (const [path, value] of Object.entries(expected || {})) {
+    const actual = getPath(variables, path);
+    if (!isDeepStrictEqual(actual, value)) {
+      failures.push(`expected session variable ${path} to be ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+}
+
+function checkHttpCalls(expect, httpLog, failures) {
+  if (expect.httpCallCount !== undefined && expect.httpCallCount !== httpLog.length) {
+    failures.push(`expected ${expect.httpCallCount} HTTP calls, got ${httpLog.length}`);
+  }
+  
+  for (const call of expect.httpCalls || []) {
+    const method = call.method ? call.method.toUpperCase() : null;
+    const found = httpLog.some(request =>
+      (!method || request.method.toUpperCase() === method) && matchUrl(call.url, request.url)
+    );
+    
+    if (!found) {
+      failures.push(`expected HTTP call ${method || '*'} ${call.url}, made: ${httpLog.map(r => `${r.method} ${r.url}`).join(', ') || 'none'}`);
+    }
+  }
+}
+
+function checkLogs(expected, logs, failures) {
+  for (const entry of expected || []) {
+    const { level, contains } = typeof entry === 'string' ? { contains: entry } : entry;
+    const found = logs.some(line =>
+      (!level || line.level === level) && line.message.includes(contains)
+    );
+    
+    if (!found) {
+      failures.push(`expected log line${level ? ` [${level}]` : ''} containing ${JSON.stringify(contains)}`);
+    }
+  }
+}
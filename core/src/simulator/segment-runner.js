@@ -0,0 +1,246 @@
+/**
+ * Segment Runner - Walk segmentDic like the Vocalls call flow does
+ * 
+ * Starting at segmentState.currentSegment, the runner invokes the actions of
+ * each segment, takes the resulting segmentResult and follows nextSegments
+ * until a segment produces no result (it waits for the next caller turn),
+ * the call ends or no transition matches. Each executed segment is appended
+ * to segmentState.log.
+ * 
+ * Action handlers are resolved in this order:
+ * 1. Mocks configured for the simulation (`actions` option)
+ * 2. Functions the project defines with the action's name (simulator
+ *    built-ins such as logError do not count)
+ * 3. Built-ins: `endCall` ends the call, `detectIntent` recognizes the
+ *    intent of the caller's utterance in the project's intentDefinitions
+ *    (see intents.js) and gives its name as the result, NO_MATCH when no
+ *    intent scores high enough; anything else only logs
+ * 
+ * A configured mock is either a result string, null (no result), a list of
+ * results used one call at a time (the last one repeats), or an object
+ * mapping the caller input to a result:
+ * 
+ * {
+ *   "detectIntent": "CONTINUE",
+ *   "captureInput": { "1": "OPTION_1", "2": "OPTION_2", "help": "HELP", "noInput": "END", "*": "HELP" },
+ *   "lookupCustomer": ["NOT_FOUND", "FOUND"]
+ * }
+ * 
+ * Input keys match the DTMF digits, the utterance (case-insensitive) or the
+ * input type; `*` matches any input. Without caller input an input-mapped
+ * mock gives no result, so the segment waits for the next turn.
+ * 
+ * The caller input of a turn belongs to the segment that was waiting for
+ * it: segments reached later in the same run get no input.
+ */
+
+import vm from 'vm';
+import { recognizeIntent } from './intents.js';
+
+export const DEFAULT_MAX_TRANSITIONS = 50;
+export const END_CALL_ACTION = 'endCall';
+export const DETECT_INTENT_ACTION = 'detectIntent';
+export const NO_MATCH_RESULT = 'NO_MATCH';
+
+const ACTION_HOOK = '__vocallsSegmentAction';
+
+export class SegmentRunner {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.actions] - Configured action mocks
+   * @param {number} [options.maxTransitions] - Loop guard per run
+   * @param {number} [options.timeout] - Timeout per project action in ms
+   * @param {Function} [options.log] - (level, ...args) logger
+   * @param {Function} [options.now] - ISO timestamp for the segment log
+   * @param {Iterable<string>} [options.builtins] - Sandbox globals provided
+   *   by the simulator rather than the project
+   */
+  constructor(options = {}) {
+    this.actions = options.actions || {};
+    this.builtins = new Set(options.builtins || []);
+    this.maxTransitions = options.maxTransitions || DEFAULT_MAX_TRANSITIONS;
+    this.timeout = options.timeout;
+    this.log = options.log || (() => {});
+    this.now = options.now || (() => new Date().toISOString());
+    
+    // Calls per mocked action, for result lists that span several turns
+    this.mockCalls = new Map();
+  }
+  
+  /**
+   * Run the flow from the current segment
+   * 
+   * @param {object} sandbox - Simulator sandbox after the scripts loaded
+   * @returns {{path: string[], stop: string}} Segments executed and why the
+   *   run stopped: waiting, ended, no-transition, unknown-segment,
+   *   max-transitions or no-segment-state
+   */
+  run(sandbox) {
+    const variables = sandbox.context.session.variables;
+    const state = variables && variables.segmentState;
+    const segmentDic = sandbox.segmentDic;
+    const path = [];
+    
+    if (!state || !segmentDic || typeof segmentDic.get !== 'function') {
+      this.log('WARN', 'Segment runner needs segmentState and a segmentDic Map');
+      return { path, stop: 'no-segment-state' };
+    }
+    
+    if (!Array.isArray(state.log)) {
+      state.log = [];
+    }
+    
+    for (let transitions = 0; ; transitions++) {
+      if (state.callEnded) {
+        return { path, stop: 'ended' };
+      }
+      
+      if (transitions >= this.maxTransitions) {
+        this.log('ERROR', `Segment runner stopped after ${this.maxTransitions} transitions, last segment: ${state.currentSegment}`);
+        return { path, stop: 'max-transitions' };
+      }
+      
+      const name = state.currentSegment;
+      const segment = segmentDic.get(name);
+      
+      if (!segment) {
+        this.log('ERROR', `Segment not found in segmentDic: ${name}`);
+        return { path, stop: 'unknown-segment' };
+      }
+      
+      const input = path.length === 0 ? sandbox.context.input : null;
+      path.push(name);
+      state.segmentResult = '';
+      
+      const actions = Array.isArray(segment.actions) ? segment.actions : [];
+      for (const action of actions) {
+        const result = this.invokeAction(sandbox, action, state, input);
+        if (typeof result === 'string' && result !== '') {
+          state.segmentResult = result;
+        }
+        if (action === END_CALL_ACTION) {
+          state.callEnded = true;
+          break;
+        }
+      }
+      
+      const result = state.segmentResult || '';
+      const nextSegments = segment.nextSegments || {};
+      const next = !state.callEnded && result && Object.prototype.hasOwnProperty.call(nextSegments, result)
+        ? nextSegments[result]
+        : null;
+      
+      state.log.push({
+        segment: name,
+        actions: actions.slice(),
+        result,
+        nextSegment: next,
+        timestamp: this.now()
+      });
+      
+      if (state.callEnded) {
+        this.log('INFO', `Segment ${name}: call ended`);
+        return { path, stop: 'ended' };
+      }
+      
+      if (!result) {
+        return { path, stop: 'waiting' };
+      }
+      
+      if (!next) {
+        this.log('WARN', `Segment ${name}: no next segment for result ${result}`);
+        return { path, stop: 'no-transition' };
+      }
+      
+      this.log('INFO', `Segment ${name} → ${next} (${result})`);
+      state.previousSegment = name;
+      state.currentSegment = next;
+    }
+  }
+  
+  invokeAction(sandbox, action, state, input) {
+    if (Object.prototype.hasOwnProperty.call(this.actions, action)) {
+      const result = this.resolveMock(action, input);
+      this.log('DEBUG', `[MOCK] ${action}${result ? ` → ${result}` : ''}`);
+      return result;
+    }
+    
+    const isProjectFunction = !this.builtins.has(action) &&
+      Object.prototype.hasOwnProperty.call(sandbox, action) &&
+      typeof sandbox[action] === 'function';
+    
+    if (isProjectFunction) {
+      return this.callInSandbox(sandbox, sandbox[action], [state, input]);
+    }
+    
+    if (action === DETECT_INTENT_ACTION) {
+      return this.detectIntent(sandbox, state, input);
+    }
+    
+    this.log('DEBUG', `[MOCK] ${action}`);
+    return null;
+  }
+  
+  /**
+   * Built-in detectIntent: the recognized intent of the utterance, stored
+   * with its confidence in segmentState.detectedIntent. Without an utterance
+   * the segment waits for the next turn.
+   */
+  detectIntent(sandbox, state, input) {
+    if (!input || !input.text) {
+      this.log('DEBUG', `[INTENT] ${DETECT_INTENT_ACTION}: no utterance`);
+      return null;
+    }
+    
+    const recognition = recognizeIntent(sandbox.intentDefinitions, input.text, { language: sandbox.context.language });
+    const result = recognition.intent || NO_MATCH_RESULT;
+    
+    state.detectedIntent = {
+      utterance: input.text,
+      intent: recognition.intent,
+      confidence: recognition.confidence,
+      match: recognition.match
+    };
+    this.log('DEBUG', `[INTENT] "${input.text}" → ${result} (${recognition.confidence.toFixed(2)})`);
+    return result;
+  }
+  
+  resolveMock(action, input) {
+    const mock = this.actions[action];
+    const calls = this.mockCalls.get(action) || 0;
+    this.mockCalls.set(action, calls + 1);
+    
+    if (mock === null || typeof mock === 'string') {
+      return mock;
+    }
+    
+    if (Array.isArray(mock)) {
+      return mock.length > 0 ? mock[Math.min(calls, mock.length - 1)] : null;
+    }
+    
+    if (!input) {
+      return null;
+    }
+    
+    const keys = new Map(Object.keys(mock).map(key => [key.toLowerCase(), key]));
+    const candidates = [input.dtmf, input.text, input.type, '*'];
+    const match = candidates.find(candidate => candidate && keys.has(String(candidate).toLowerCase()));
+    return match ? mock[keys.get(String(match).toLowerCase())] : null;
+  }
+  
+  /**
+   * Call a project function inside the sandbox so the script timeout also
+   * guards against endless loops in action handlers
+   */
+  callInSandbox(sandbox, handler, args) {
+    sandbox[ACTION_HOOK] = { handler, args };
+    
+    try {
+      return vm.runInNewContext(`${ACTION_HOOK}.handler.apply(null, ${ACTION_HOOK}.args)`, sandbox, {
+        timeout: this.timeout || undefined
+      });
+    } finally {
+      delete sandbox[ACTION_HOOK];
+    }
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Disk Storage for the Vocalls Storage API mock
+ * 
+ * Files are persisted under a per-project sandbox directory
+ * (workfiles/storage/ by default) so they survive simulation runs and can
+ * be inspected with `voc storage`. Paths that resolve outside the sandbox
+ * are rejected, and so are sandbox directories outside the project.
+ */
+
+import fs from 'fs';
+import { join, resolve, relative, dirname, isAbsolute, sep } from 'path';
+
+export const DEFAULT_STORAGE_DIR = join('workfiles', 'storage');
+
+/**
+ * Storage directory of a project (--storage-dir, --dir): a directory inside
+ * the project, never the project itself, as `voc storage reset` removes it
+ * 
+ * @throws {Error} code 'path_outside_project' for other directories
+ */
+export function resolveStorageDir(projectPath, dir = DEFAULT_STORAGE_DIR) {
+  const target = resolve(projectPath, dir);
+  const relativePath = relative(resolve(projectPath), target);
+  
+  if (!relativePath || relativePath === '..' || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath)) {
+    const err = new Error(`Storage directory outside the project: ${dir}`);
+    err.code = 'path_outside_project';
+    throw err;
+  }
+  
+  return target;
+}
+
+export class DiskStorage {
+  constructor(root) {
+    this.root = resolve(root);
+  }
+  
+  /**
+   * Resolve a Storage path inside the sandbox root
+   * 
+   * @throws {Error} code 'path_outside_storage' for traversal attempts
+   */
+  resolvePath(filePath) {
+    const target = resolve(this.root, String(filePath || ''));
+    const relativePath = relative(this.root, target);
+    
+    if (!relativePath || relativePath === '..' || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath)) {
+      const err = new Error(`Path outside storage root: ${filePath}`);
+      err.code = 'path_outside_storage';
+      throw err;
+    }
+    
+    return target;
+  }
+  
+  // The Vocalls Storage API is synchronous, hence the sync file operations
+  readFile(filePath) {
+    return fs.readFileSync(this.resolvePath(filePath), 'utf8');
+  }
+  
+  writeFile(filePath, content) {
+    const target = this.resolvePath(filePath);
+    fs.mkdirSync(dirname(target), { recursive: true });
+    fs.writeFileSync(target, content, 'utf8');
+  }
+  
+  exists(filePath) {
+    const target = this.resolvePath(filePath);
+    
+    try {
+      return fs.statSync(target).isFile();
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * List stored files with their size and modification time
+   * 
+   * @returns {Array<{path: string, size: number, modified: Date}>}
+   */
+  list() {
+    const files = [];
+    
+    const walk = dir => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      
+      for (const entry of entries) {
+        const fullPath = join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (entry.isFile()) {
+          const stat = fs.statSync(fullPath);
+          files.push({
+            path: relative(this.root, fullPath).replace(/\\/g, '/'),
+            size: stat.size,
+            modified: stat.mtime
+          });
+        }
+      }
+    };
+    
+    walk(this.root);
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+  }
+  
+  reset() {
+    fs.rmSync(this.root, { recursive: true, force: true });
+  }
+}
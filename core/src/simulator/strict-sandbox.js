@@ -0,0 +1,98 @@
+/**
+ * Strict Sandbox - Simulator mode that runs scripts the way Vocalls does,
+ * not the way Node.js does
+ * 
+ * With `voc sim --strict` (or "runtime": { "strict": true } in project.json):
+ * - every file is checked against the ES5.1 rules before it runs, and a
+ *   violation stops the simulation with the rule id the validator uses
+ * - scripts get the built-ins of their own vm context instead of the host
+ *   ones, so `Array.prototype.x = ...` cannot leak into Node.js or into
+ *   the next simulation
+ * - built-ins Vocalls does not have (Symbol, Proxy, Reflect, Array.from,
+ *   Object.assign, ...) are hidden, unless "runtime": { "builtins": [...] }
+ *   in project.json lists them as available
+ * - Promise.all/race and .catch() throw, as in the default mode
+ * 
+ * Which built-ins are hidden and which Promise methods throw comes from the
+ * project's runtime profile, see utils/runtime-profile.js.
+ */
+
+import vm from 'vm';
+import { validateES51Compliance } from '../utils/validation.js';
+import { getPath, setPath } from '../utils/runtime-profile.js';
+
+/**
+ * A source file that does not pass the ES5.1 rules in strict mode
+ */
+export class StrictModeError extends Error {
+  /**
+   * @param {string} file - Project-relative path of the script
+   * @param {Array<{line, column, rule, message}>} violations - As reported by validateES51Compliance
+   */
+  constructor(file, violations) {
+    const details = violations.map(v => `\n  - ${file}:${v.line}:${v.column} ${v.message} [${v.rule}]`).join('');
+    super(`${file} does not run in Vocalls (strict mode):${details}`);
+    this.name = 'StrictModeError';
+    this.file = file;
+    this.violations = violations;
+  }
+}
+
+/**
+ * Reject a script that the Vocalls runtime would not load
+ * 
+ * @throws {StrictModeError}
+ */
+export function checkStrictSyntax(code, file) {
+  const violations = validateES51Compliance(code, { filename: file });
+  if (violations.length > 0) {
+    throw new StrictModeError(file, violations);
+  }
+}
+
+/**
+ * Turn a sandbox without host built-ins into a vm context with the Vocalls
+ * set of built-ins
+ * 
+ * @param {object} sandbox - Vocalls globals (context, logInfo, ...)
+ * @param {object} profile - Runtime profile, see utils/runtime-profile.js
+ * @param {object} [options]
+ * @param {string[]} [options.builtins] - Hidden built-ins of the profile
+ *   the project declares available
+ * @returns {object} The contextified sandbox
+ */
+export function createStrictContext(sandbox, profile, options = {}) {
+  const available = new Set(options.builtins || []);
+  
+  // Plain data, so it can be rebuilt from context objects
+  const context = JSON.stringify(sandbox.context);
+  
+  vm.createContext(sandbox);
+  const global = vm.runInContext('this', sandbox);
+  
+  for (const path of profile.hiddenBuiltins.filter(path => !available.has(path))) {
+    const parts = path.split('.');
+    if (parts.length === 1) {
+      sandbox[path] = undefined;
+    } else {
+      const owner = getPath(global, parts.slice(0, -1).join('.'));
+      if (owner) {
+        delete owner[parts[parts.length - 1]];
+      }
+    }
+  }
+  
+  // Defined inside the context, so the restricted Promise is the context's own
+  vm.runInContext(profile.promiseRestrictions
+    .map(({ path, message }) => `${path} = function () { throw new Error(${JSON.stringify(message)}); };`)
+    .join('\n'), sandbox);
+  sandbox.context = vm.runInContext(`(${context})`, sandbox);
+  
+  // APIs returning host promises return promises of the context instead
+  for (const api of profile.globals.filter(api => api.returns === 'Promise')) {
+    const call = getPath(sandbox, api.name);
+    setPath(sandbox, api.name, (...args) => global.Promise.resolve(call(...args)));
+  }
+  
+  return sandbox;
+}
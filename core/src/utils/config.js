@@ -0,0 +1,284 @@
+/**
+ * Project Configuration - Load, validate and edit project.json
+ * 
+ * Every command reads project.json through loadProjectConfig(), which
+ * validates it against core/schema/project.schema.json and checks that the
+ * libraries listed in libraryOrder exist. Errors carry the path of the
+ * offending value ("libraryOrder[1]", "environments.acc") so a typo fails
+ * the command instead of silently changing what gets loaded.
+ * 
+ * A project without project.json gets the defaults below and loads its
+ * libraries in dependency order (see resolveLibraryOrder in dependencies.js).
+ */
+
+import { readFileSync, promises as fs } from 'fs';
+import { basename, join } from 'path';
+import { LIBRARIES_DIR } from './dependencies.js';
+
+export const CONFIG_FILE = 'project.json';
+
+export const PROJECT_SCHEMA = JSON.parse(
+  readFileSync(new URL('../../schema/project.schema.json', import.meta.url), 'utf8')
+);
+
+const DEFAULTS = {
+  customer: 'Unknown',
+  description: '',
+  version: '1.0.0'
+};
+
+export class ProjectConfigError extends Error {
+  /**
+   * @param {string} file - Config file path
+   * @param {Array<{path: string, message: string}>} errors
+   */
+  constructor(file, errors) {
+    const details = errors.map(err => `\n  - ${err.path || '(root)'}: ${err.message}`).join('');
+    super(`Invalid ${file}:${details}`);
+    this.name = 'ProjectConfigError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Load the project configuration with defaults applied
+ * 
+ * @throws {ProjectConfigError} When project.json is not valid JSON or does
+ *   not match the schema
+ */
+export async function loadProjectConfig(projectPath) {
+  const config = await readProjectConfig(projectPath);
+  
+  if (config === null) {
+    return { name: basename(projectPath), ...DEFAULTS };
+  }
+  
+  const errors = await validateProjectConfig(config, projectPath);
+  if (errors.length > 0) {
+    throw new ProjectConfigError(join(projectPath, CONFIG_FILE), errors);
+  }
+  
+  return { ...DEFAULTS, ...config };
+}
+
+/**
+ * Read project.json as written, without defaults or validation
+ * 
+ * @returns {Promise<object|null>} The parsed file, or null without one
+ */
+export async function readProjectConfig(projectPath) {
+  const configPath = join(projectPath, CONFIG_FILE);
+  let content;
+  
+  try {
+    content = await fs.readFile(configPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+  
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    throw new ProjectConfigError(configPath, [{ path: '', message: describeSyntaxError(err, content) }]);
+  }
+}
+
+export async function writeProjectConfig(projectPath, config) {
+  await fs.writeFile(join(projectPath, CONFIG_FILE), JSON.stringify(config, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Validate a configuration against the schema and the project files
+ * 
+ * @returns {Promise<Array<{path: string, message: string}>>} Schema errors,
+ *   then missing libraries; empty when the configuration is valid
+ */
+export async function validateProjectConfig(config, projectPath) {
+  const errors = [];
+  validateValue(config, PROJECT_SCHEMA, [], errors);
+  
+  if (projectPath && config && Array.isArray(config.libraryOrder)) {
+    for (const [index, file] of config.libraryOrder.entries()) {
+      if (typeof file !== 'string') {
+        continue;
+      }
+      
+      try {
+        await fs.access(join(projectPath, LIBRARIES_DIR, file));
+      } catch {
+        errors.push({
+          path: formatPath(['libraryOrder', index]),
+          message: `library not found: ${LIBRARIES_DIR}/${file}`
+        });
+      }
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Read a value by key path: "environments.acc.apiBase", "libraryOrder[0]"
+ */
+export function getConfigValue(config, key) {
+  let value = config;
+  
+  for (const part of parseKey(key)) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  
+  return value;
+}
+
+/**
+ * Set a value by key path, creating missing objects along the way
+ * 
+ * @returns {object} A new configuration; the input is not modified
+ */
+export function setConfigValue(config, key, value) {
+  const parts = parseKey(key);
+  const result = structuredClone(config);
+  let target = result;
+  
+  parts.slice(0, -1).forEach((part, index) => {
+    if (target[part] === null || typeof target[part] !== 'object') {
+      if (target[part] !== undefined) {
+        throw new Error(`Cannot set ${key}: ${formatPath(parts.slice(0, index + 1))} is not an object`);
+      }
+      target[part] = {};
+    }
+    target = target[part];
+  });
+  
+  target[parts[parts.length - 1]] = value;
+  return result;
+}
+
+function parseKey(key) {
+  const parts = [];
+  const pattern = /([^.[\]]+)|\[(\d+)\]/g;
+  let match;
+  
+  while ((match = pattern.exec(key)) !== null) {
+    parts.push(match[2] !== undefined ? Number(match[2]) : match[1]);
+  }
+  
+  if (parts.length === 0) {
+    throw new Error(`Invalid config key: ${key}`);
+  }
+  
+  return parts;
+}
+
+function formatPath(parts) {
+  return parts.reduce((path, part) => {
+    if (typeof part === 'number') {
+      return `${path}[${part}]`;
+    }
+    return path ? `${path}.${part}` : part;
+  }, '');
+}
+
+/**
+ * JSON Schema validation for the keywords project.schema.json uses
+ */
+function validateValue(value, schema, path, errors) {
+  const fail = message => errors.push({ path: formatPath(path), message });
+  
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`must be ${article(schema.type)}, got ${describeType(value)}`);
+    return;
+  }
+  
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail(`"${value}" does not match ${schema.pattern}`);
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+  
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      if (schema.uniqueItems && value.indexOf(item) !== index) {
+        fail(`duplicate entry "${item}" at [${value.indexOf(item)}] and [${index}]`);
+      }
+      if (schema.items) {
+        validateValue(item, schema.items, [...path, index], errors);
+      }
+    });
+  }
+  
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    for (const name of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) {
+        errors.push({ path: formatPath([...path, name]), message: 'is required' });
+      }
+    }
+    
+    const properties = schema.properties || {};
+    for (const [name, item] of Object.entries(value)) {
+      const itemPath = [...path, name];
+      
+      if (schema.propertyNames && schema.propertyNames.pattern && !new RegExp(schema.propertyNames.pattern).test(name)) {
+        errors.push({ path: formatPath(itemPath), message: `name does not match ${schema.propertyNames.pattern}` });
+      }
+      
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        validateValue(item, properties[name], itemPath, errors);
+      } else if (schema.additionalProperties === false) {
+        const allowed = Object.keys(properties).filter(key => key !== '$schema').join(', ');
+        errors.push({ path: formatPath(itemPath), message: `unknown property (allowed: ${allowed})` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateValue(item, schema.additionalProperties, itemPath, errors);
+      }
+    }
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'object') {
+    return Array.isArray(value) ? 'an array' : 'an object';
+  }
+  return `${article(typeof value)} (${JSON.stringify(value)})`;
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// "Unexpected token } in JSON at position 42" → "... (line 3, column 5)"
+function describeSyntaxError(err, content) {
+  const match = /at position (\d+)/.exec(err.message);
+  if (!match) {
+    return `not valid JSON: ${err.message}`;
+  }
+  
+  const before = content.slice(0, Number(match[1])).split('\n');
+  return `not valid JSON: ${err.message} (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+}
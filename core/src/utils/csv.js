@@ -0,0 +1,57 @@
+/**
+ * CSV Utilities
+ * 
+ * Minimal RFC 4180 parsing for data files such as labelled utterances:
+ * comma or semicolon separated, quoted fields with "" escapes
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * 
+ * @param {string} text
+ * @returns {string[][]} Rows, without empty lines
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split('\n')[0];
+  const separator = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  row.push(field);
+  rows.push(row);
+  
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
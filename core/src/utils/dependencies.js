@@ -0,0 +1,348 @@
+/**
+ * Library Dependencies - Load order of src/globalLibraries/active
+ * 
+ * Vocalls runs globalCode.js, globalVariables.js and the libraries in one
+ * global scope, so a library that calls apiConfigMap.set() at load time
+ * needs the file declaring apiConfigMap to run first. This module finds,
+ * per file, the globals it declares (top-level var and function) and the
+ * globals its load-time code uses (top-level statements and IIFEs;
+ * function bodies run later and do not count), and from that:
+ * 
+ * - orders the libraries so every library runs after the libraries it
+ *   uses, alphabetically where the dependencies leave a choice
+ * - reports dependency cycles between libraries
+ * - reports globals used before the file declaring them has run
+ * - with an explicit libraryOrder (which stays authoritative): reports
+ *   entries that contradict the dependencies and library files it omits
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { parse } from 'acorn';
+import { recursive as walkRecursive, base } from 'acorn-walk';
+
+export const LIBRARIES_DIR = 'src/globalLibraries/active';
+const FIXED_FILES = ['src/globalCode.js', 'src/globalVariables.js'];
+
+/**
+ * Resolve the library load order of a project
+ * 
+ * @param {string} projectPath
+ * @param {object} config - Project configuration (libraryOrder is optional)
+ * @returns {Promise<{libraries: string[], issues: Array<{type, file, line, message}>}>}
+ *   Library file names in load order and the problems found; issue types
+ *   are cycle, use-before-definition, order and unlisted
+ */
+export async function resolveLibraryOrder(projectPath, config = {}) {
+  const onDisk = await listLibraries(join(projectPath, LIBRARIES_DIR));
+  const files = [];
+  
+  for (const path of FIXED_FILES) {
+    const code = await readOptional(join(projectPath, path));
+    if (code !== null) {
+      files.push({ path, code });
+    }
+  }
+  
+  const candidates = config.libraryOrder || onDisk;
+  for (const name of candidates) {
+    const code = await readOptional(join(projectPath, LIBRARIES_DIR, name));
+    files.push({ path: `${LIBRARIES_DIR}/${name}`, name, code: code || '', library: true });
+  }
+  
+  const result = orderFiles(files, { explicit: Boolean(config.libraryOrder) });
+  
+  if (config.libraryOrder) {
+    for (const name of onDisk.filter(file => !config.libraryOrder.includes(file))) {
+      result.issues.push({
+        type: 'unlisted',
+        file: `${LIBRARIES_DIR}/${name}`,
+        line: null,
+        message: `${name} is in ${LIBRARIES_DIR} but not in libraryOrder, so it is not loaded`
+      });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Order analyzed files: the fixed files keep their place, libraries are
+ * sorted by dependencies unless `explicit` keeps them as given
+ * 
+ * @param {Array<{path: string, name?: string, code: string, library?: boolean}>} files
+ */
+export function orderFiles(files, options = {}) {
+  const analyzed = files.map(file => ({ ...file, ...analyzeGlobals(file.code) }));
+  const libraries = analyzed.filter(file => file.library);
+  const issues = [];
+  
+  // Library → libraries it uses at load time, with the first use
+  const edges = new Map(libraries.map(file => [file, new Map()]));
+  for (const file of libraries) {
+    for (const [name, use] of file.uses) {
+      for (const definer of libraries) {
+        if (definer !== file && definer.declares.has(name) && !file.declares.has(name) && !edges.get(file).has(definer)) {
+          edges.get(file).set(definer, { name, line: use.line });
+        }
+      }
+    }
+  }
+  
+  const cycles = findCycles(libraries, edges);
+  for (const cycle of cycles) {
+    const steps = cycle.map((file, index) => {
+      const next = cycle[(index + 1) % cycle.length];
+      return `${file.name} uses ${edges.get(file).get(next).name} from ${next.name}`;
+    });
+    issues.push({
+      type: 'cycle',
+      file: cycle[0].path,
+      line: null,
+      message: `Dependency cycle: ${steps.join(', ')}`
+    });
+  }
+  
+  const inCycle = new Set(cycles.flat());
+  const ordered = options.explicit ? libraries : sortByDependencies(libraries, edges, inCycle);
+  const loadOrder = [...analyzed.filter(file => !file.library), ...ordered];
+  
+  loadOrder.forEach((file, position) => {
+    for (const [name, use] of file.uses) {
+      if (file.declares.has(name)) {
+        continue;
+      }
+      
+      const definers = loadOrder.filter(other => other !== file && other.declares.has(name));
+      if (definers.length === 0 || definers.some(definer => loadOrder.indexOf(definer) < position)) {
+        continue;
+      }
+      
+      const definer = definers[0];
+      if (inCycle.has(file) && inCycle.has(definer)) {
+        continue;
+      }
+      
+      if (options.explicit && file.library && definer.library) {
+        issues.push({
+          type: 'order',
+          file: file.path,
+          line: use.line,
+          message: `libraryOrder loads ${file.name} before ${definer.name}, but ${file.name}:${use.line} uses ${name} from it`
+        });
+      } else {
+        issues.push({
+          type: 'use-before-definition',
+          file: file.path,
+          line: use.line,
+          message: `${file.path}:${use.line} uses ${name} at load time, but ${definer.path} declares it and loads later`
+        });
+      }
+    }
+  });
+  
+  return { libraries: ordered.map(file => file.name), issues };
+}
+
+/**
+ * Globals a script declares and the globals its load-time code uses
+ * 
+ * @returns {{declares: Set<string>, uses: Map<string, {line: number}>}}
+ */
+export function analyzeGlobals(code) {
+  const declares = new Set();
+  const uses = new Map();
+  let ast;
+  
+  try {
+    ast = parse(code, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+  } catch {
+    // Syntax errors are reported by the ES5.1 validation
+    return { declares, uses };
+  }
+  
+  collectDeclarations(ast, declares);
+  
+  const visitors = {
+    // Function bodies run when called, not when the file loads
+    Function() {},
+    
+    VariableDeclarator(node, scopes, c) {
+      if (node.init) {
+        c(node.init, scopes, 'Expression');
+      }
+    },
+    
+    AssignmentExpression(node, scopes, c) {
+      if (node.left.type === 'Identifier') {
+        c(node.left, scopes, 'Expression');
+      } else {
+        c(node.left, scopes, 'Pattern');
+      }
+      c(node.right, scopes, 'Expression');
+    },
+    
+    // Immediately invoked functions do run at load time
+    CallExpression(node, scopes, c) {
+      const callee = node.callee;
+      if (callee.type === 'FunctionExpression' || callee.type === 'ArrowFunctionExpression') {
+        const locals = new Set(callee.params.filter(param => param.type === 'Identifier').map(param => param.name));
+        if (callee.body.type === 'BlockStatement') {
+          collectDeclarations(callee.body, locals);
+        }
+        c(callee.body, [...scopes, locals], callee.expression ? 'Expression' : 'Statement');
+      } else {
+        c(callee, scopes, 'Expression');
+      }
+      node.arguments.forEach(argument => c(argument, scopes, 'Expression'));
+    },
+    
+    Identifier(node, scopes) {
+      if (!scopes.some(scope => scope.has(node.name)) && !uses.has(node.name)) {
+        uses.set(node.name, { line: node.loc.start.line });
+      }
+    }
+  };
+  
+  walkRecursive(ast, [], visitors, base);
+  return { declares, uses };
+}
+
+/**
+ * var declarations anywhere outside nested functions, and function
+ * declarations of this scope
+ */
+function collectDeclarations(root, names) {
+  walkRecursive(root, null, {
+    FunctionDeclaration(node) {
+      names.add(node.id.name);
+    },
+    FunctionExpression() {},
+    ArrowFunctionExpression() {},
+    VariableDeclaration(node, state, c) {
+      if (node.kind === 'var') {
+        node.declarations.filter(decl => decl.id.type === 'Identifier').forEach(decl => names.add(decl.id.name));
+      }
+      node.declarations.forEach(decl => c(decl, state));
+    }
+  }, base);
+}
+
+/**
+ * Topological sort that takes the alphabetically first library whose
+ * dependencies are loaded; a cycle is broken at its first library
+ */
+function sortByDependencies(libraries, edges, inCycle) {
+  const remaining = [...libraries].sort(byName);
+  const ordered = [];
+  
+  while (remaining.length > 0) {
+    const next = remaining.find(file => [...edges.get(file).keys()].every(dependency => ordered.includes(dependency))) ||
+      remaining.find(file => inCycle.has(file)) ||
+      remaining[0];
+    
+    ordered.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+  
+  return ordered;
+}
+
+/**
+ * Cycles as strongly connected components (Tarjan), each reported as one
+ * path through its libraries
+ */
+function findCycles(libraries, edges) {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const components = [];
+  
+  const connect = file => {
+    index.set(file, index.size);
+    low.set(file, index.get(file));
+    stack.push(file);
+    
+    for (const dependency of edges.get(file).keys()) {
+      if (!index.has(dependency)) {
+        connect(dependency);
+        low.set(file, Math.min(low.get(file), low.get(dependency)));
+      } else if (stack.includes(dependency)) {
+        low.set(file, Math.min(low.get(file), index.get(dependency)));
+      }
+    }
+    
+    if (low.get(file) === index.get(file)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        component.push(member);
+      } while (member !== file);
+      
+      if (component.length > 1) {
+        components.push(component);
+      }
+    }
+  };
+  
+  libraries.forEach(file => {
+    if (!index.has(file)) {
+      connect(file);
+    }
+  });
+  
+  return components.map(component => shortestCycle(component, edges));
+}
+
+/**
+ * Shortest dependency path from the alphabetically first library of a
+ * cycle back to itself
+ */
+function shortestCycle(component, edges) {
+  const start = [...component].sort(byName)[0];
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+  
+  while (queue.length > 0) {
+    const file = queue.shift();
+    
+    for (const dependency of edges.get(file).keys()) {
+      if (dependency === start) {
+        const cycle = [];
+        for (let step = file; step; step = previous.get(step)) {
+          cycle.unshift(step);
+        }
+        return cycle;
+      }
+      
+      if (component.includes(dependency) && !previous.has(dependency)) {
+        previous.set(dependency, file);
+        queue.push(dependency);
+      }
+    }
+  }
+  
+  return component;
+}
+
+function byName(a, b) {
+  return a.name.localeCompare(b.name);
+}
+
+async function listLibraries(dir) {
+  try {
+    const files = await fs.readdir(dir);
+    return files.filter(file => file.endsWith('.js')).sort();
+  } catch {
+    return [];
+  }
+}
+
+async function readOptional(path) {
+  try {
+    return await fs.readFile(path, 'utf8');
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Diff Utilities
+ * 
+ * Compact comparisons of session state between simulation runs
+ */
+
+import { isDeepStrictEqual } from 'util';
+
+/**
+ * Flatten nested objects into dotted paths; arrays and other values are
+ * kept as leaves
+ */
+export function flattenObject(value, prefix = '', result = {}) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenObject(child, prefix ? `${prefix}.${key}` : key, result);
+    }
+  } else if (prefix) {
+    result[prefix] = value;
+  }
+  
+  return result;
+}
+
+/**
+ * Compare two JSON-compatible objects path by path
+ * 
+ * @returns {Array<{type: 'added'|'removed'|'changed', path, before, after}>}
+ */
+export function diffObjects(before, after) {
+  // Session objects come from the simulator's sandbox realm, where deep
+  // equality checks fail on prototypes; compare their JSON form instead
+  const left = flattenObject(JSON.parse(JSON.stringify(before || {})));
+  const right = flattenObject(JSON.parse(JSON.stringify(after || {})));
+  const paths = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+  const changes = [];
+  
+  for (const path of paths) {
+    if (!(path in left)) {
+      changes.push({ type: 'added', path, after: right[path] });
+    } else if (!(path in right)) {
+      changes.push({ type: 'removed', path, before: left[path] });
+    } else if (!isDeepStrictEqual(left[path], right[path])) {
+      changes.push({ type: 'changed', path, before: left[path], after: right[path] });
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Format changes as one line each: "+ path: value", "- path: value",
+ * "~ path: before → after"
+ */
+export function formatChanges(changes) {
+  const format = value => (value === undefined ? 'undefined' : JSON.stringify(value));
+  
+  return changes.map(change => {
+    switch (change.type) {
+      case 'added':
+        return `+ ${change.path}: ${format(change.after)}`;
+      case 'removed':
+        return `- ${change.path}: ${format(change.before)}`;
+      default:
+        return `~ ${change.path}: ${format(change.before)} → ${format(change.after)}`;
+    }
+  });
+}
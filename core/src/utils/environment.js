@@ -0,0 +1,79 @@
+/**
+ * Environment Configuration
+ * 
+ * Turns the `environments` block of project.json into the generated
+ * configuration section that builds and simulations load before
+ * globalCode.js:
+ * 
+ *   var BUILD_ENVIRONMENT = 'prd';
+ *   var ENVIRONMENT_CONFIG = {"apiBase": "https://api.example.com", ...};
+ */
+
+/**
+ * List the environments defined in project.json
+ */
+export function getEnvironmentNames(config) {
+  return Object.keys(config.environments || {});
+}
+
+/**
+ * Get the values of one environment, failing on names project.json does
+ * not define so a typo can never fall back to another environment's URLs
+ */
+export function getEnvironmentConfig(config, environment) {
+  const environments = config.environments || {};
+  
+  if (!Object.prototype.hasOwnProperty.call(environments, environment)) {
+    const available = getEnvironmentNames(config);
+    throw new Error(`Environment '${environment}' is not defined in project.json` +
+      (available.length > 0 ? ` (available: ${available.join(', ')})` : ''));
+  }
+  
+  return environments[environment];
+}
+
+/**
+ * Generate the ES5.1 configuration section
+ * 
+ * @param {object} config - project.json contents
+ * @param {string|null} environment - Environment to pin, or null to pick
+ *   one at runtime from context.session.variables.VOCALLS_ENV; the section
+ *   then throws when VOCALLS_ENV is unset or names no environment
+ * @returns {string|null} Section code, or null when project.json has no
+ *   environments
+ */
+export function generateEnvironmentSection(config, environment = null) {
+  if (!config.environments) {
+    return null;
+  }
+  
+  if (environment) {
+    const values = getEnvironmentConfig(config, environment);
+    return [
+      `var BUILD_ENVIRONMENT = ${JSON.stringify(environment)};`,
+      `var ENVIRONMENT_CONFIG = ${JSON.stringify(values, null, 2)};`
+    ].join('\n');
+  }
+  
+  // No default: a monolith must not quietly run against another environment
+  const available = escapeString(getEnvironmentNames(config).join(', '));
+  return [
+    'var BUILD_ENVIRONMENT = context.session.variables.VOCALLS_ENV;',
+    'var ENVIRONMENT_CONFIG = (function (environments) {',
+    '  if (!BUILD_ENVIRONMENT) {',
+    `    throw new Error('VOCALLS_ENV is not set in context.session.variables (available: ${available})');`,
+    '  }',
+    '  if (!Object.prototype.hasOwnProperty.call(environments, BUILD_ENVIRONMENT)) {',
+    `    throw new Error('Environment \\'' + BUILD_ENVIRONMENT + '\\' (VOCALLS_ENV) is not defined in project.json (available: ${available})');`,
+    '  }',
+    '  return environments[BUILD_ENVIRONMENT];',
+    `})(${JSON.stringify(config.environments, null, 2)});`
+  ].join('\n');
+}
+
+/**
+ * Text for inside a single-quoted string literal
+ */
+function escapeString(value) {
+  return value.replace(/[\\']/g, char => `\\${char}`);
+}
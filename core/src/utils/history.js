@@ -0,0 +1,81 @@
+/**
+ * Build History - Earlier monoliths kept in dist/history/
+ * 
+ * Before `voc build` overwrites a monolith with different code, the old one
+ * is copied to dist/history/<name>.<time>.js (the Built line does not count
+ * as a difference). `voc diff` compares against the newest copy. The
+ * HISTORY_LIMIT most recent copies of each monolith are kept.
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+export const HISTORY_DIR = 'history';
+export const HISTORY_LIMIT = 10;
+
+/**
+ * Keep the monolith about to be replaced in dist/history/
+ * 
+ * @param {string} buildDir - dist directory of the project
+ * @param {string} monolithName - File name of the monolith in dist/
+ * @param {string} code - The monolith that is about to be written
+ * @returns {Promise<string|null>} Path of the copy, or null when there was
+ *   nothing to keep
+ */
+export async function archiveBuild(buildDir, monolithName, code) {
+  let previous;
+  try {
+    previous = await fs.readFile(join(buildDir, monolithName), 'utf8');
+  } catch {
+    return null;
+  }
+  
+  if (withoutBuildTime(previous) === withoutBuildTime(code)) {
+    return null;
+  }
+  
+  const historyDir = join(buildDir, HISTORY_DIR);
+  await fs.mkdir(historyDir, { recursive: true });
+  
+  const time = new Date().toISOString().replace(/[-:.]/g, '');
+  const archivePath = join(historyDir, `${stem(monolithName)}.${time}.js`);
+  await fs.writeFile(archivePath, previous, 'utf8');
+  
+  const entries = await listHistory(buildDir, monolithName);
+  for (const entry of entries.slice(0, Math.max(0, entries.length - HISTORY_LIMIT))) {
+    await fs.rm(entry.path, { force: true });
+  }
+  
+  return archivePath;
+}
+
+/**
+ * Kept copies of a monolith, oldest first
+ * 
+ * @returns {Promise<Array<{name: string, path: string}>>}
+ */
+export async function listHistory(buildDir, monolithName) {
+  const historyDir = join(buildDir, HISTORY_DIR);
+  const prefix = `${stem(monolithName)}.`;
+  let files;
+  
+  try {
+    files = await fs.readdir(historyDir);
+  } catch {
+    return [];
+  }
+  
+  // Names end in a fixed-width UTC time, so they sort chronologically
+  return files
+    .filter(file => file.startsWith(prefix) && /^\d{8}T\d{9}Z\.js$/.test(file.slice(prefix.length)))
+    .sort()
+    .map(name => ({ name, path: join(historyDir, name) }));
+}
+
+function stem(monolithName) {
+  return monolithName.replace(/\.js$/, '');
+}
+
+function withoutBuildTime(code) {
+  return code.replace(/\r\n/g, '\n').replace(/^\/\/ Built: .*$/m, '');
+}
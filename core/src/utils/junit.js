@@ -0,0 +1,45 @@
+/**
+ * JUnit XML Report
+ * 
+ * Serializes scenario results in the JUnit format understood by CI servers
+ */
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * @param {string} suiteName - Test suite name (the project)
+ * @param {Array<{name, file, passed, failures, duration}>} results
+ */
+export function createJUnitReport(suiteName, results) {
+  const failed = results.filter(result => !result.passed).length;
+  const time = results.reduce((total, result) => total + result.duration, 0) / 1000;
+  
+  const testcases = results.map(result => {
+    const attributes = `name="${escapeXml(result.name)}" classname="${escapeXml(`${suiteName}.${result.file}`)}" time="${result.duration / 1000}"`;
+    
+    if (result.passed) {
+      return `    <testcase ${attributes}/>`;
+    }
+    
+    const message = escapeXml(result.failures[0]);
+    const details = escapeXml(result.failures.join('\n'));
+    return `    <testcase ${attributes}>\n      <failure message="${message}">${details}</failure>\n    </testcase>`;
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${results.length}" failures="${failed}" time="${time}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${results.length}" failures="${failed}" errors="0" skipped="0" time="${time}">`,
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
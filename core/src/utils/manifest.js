@@ -0,0 +1,69 @@
+/**
+ * Build Manifest - What went into each monolith of dist/
+ * 
+ * `voc build` records in dist/manifest.json, per monolith: the environment
+ * and mode it was built for, the hash of the monolith, of the project
+ * configuration and of every source file with its line range in the
+ * monolith, and the core version that built it. Builds of several
+ * environments share the file, one entry per monolith.
+ */
+
+import { readFileSync, promises as fs } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+export const CORE_VERSION = JSON.parse(
+  readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+).version;
+
+/**
+ * Timestamp that --reproducible builds use instead of the current time:
+ * SOURCE_DATE_EPOCH (seconds, as in reproducible-builds.org) or the epoch
+ */
+export function reproducibleTimestamp(env = process.env) {
+  const seconds = Number(env.SOURCE_DATE_EPOCH);
+  return new Date(Number.isFinite(seconds) && env.SOURCE_DATE_EPOCH !== '' ? seconds * 1000 : 0).toISOString();
+}
+
+/**
+ * @param {string} content
+ * @returns {string} "sha256:<hex>"
+ */
+export function hashContent(content) {
+  return `sha256:${createHash('sha256').update(content, 'utf8').digest('hex')}`;
+}
+
+/**
+ * @returns {Promise<object|null>} The manifest of a dist directory, or null
+ *   when there is none (or it cannot be read)
+ */
+export async function readManifest(buildDir) {
+  try {
+    return JSON.parse(await fs.readFile(join(buildDir, MANIFEST_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record one monolith in the manifest, keeping the entries of the others
+ * 
+ * @param {string} buildDir - dist directory of the project
+ * @param {string} project - Project name
+ * @param {string} monolithName - File name of the monolith
+ * @param {object} entry - Manifest entry of the monolith
+ */
+export async function updateManifest(buildDir, project, monolithName, entry) {
+  const existing = await readManifest(buildDir);
+  const monoliths = { ...(existing && existing.project === project ? existing.monoliths : {}), [monolithName]: entry };
+  
+  const manifest = {
+    project,
+    monoliths: Object.fromEntries(Object.keys(monoliths).sort().map(name => [name, monoliths[name]]))
+  };
+  
+  await fs.writeFile(join(buildDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+  return manifest;
+}
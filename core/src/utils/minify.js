@@ -0,0 +1,416 @@
+/**
+ * Minifier - ES5-safe size reduction of the monolith sections (--prod)
+ * 
+ * Works on the tokens acorn produces while parsing, so strings, regular
+ * expressions and URLs such as 'https://api.example.com' are never taken
+ * for comments:
+ * - removes comments and indentation, joining the tokens of a line with
+ *   the fewest spaces that keep them apart
+ * - keeps every token on its original line, so automatic semicolon
+ *   insertion is unchanged and the source map stays line-exact
+ * - renames function parameters and local variables to short names;
+ *   globals (top-level var and function names, Vocalls APIs) keep theirs
+ * - drops top-level functions nothing refers to, across all sections. A
+ *   function name in a string literal ('playWelcome' in segmentDic
+ *   actions) counts as a reference
+ * 
+ * A section using eval or with is not mangled, and when any section does
+ * (or reads this[name]), no function is dropped.
+ */
+
+import { parse } from 'acorn';
+import { recursive as walkRecursive, base } from 'acorn-walk';
+
+const RESERVED = new Set([
+  'break', 'case', 'catch', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'finally', 'for',
+  'function', 'if', 'in', 'instanceof', 'new', 'return', 'switch', 'this', 'throw', 'try', 'typeof', 'var',
+  'void', 'while', 'with', 'class', 'const', 'enum', 'export', 'extends', 'import', 'super', 'implements',
+  'interface', 'let', 'package', 'private', 'protected', 'public', 'static', 'yield', 'null', 'true',
+  'false', 'NaN', 'Infinity', 'undefined', 'eval', 'arguments'
+]);
+
+const NAME_START = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$';
+const NAME_PART = NAME_START + '0123456789';
+
+/**
+ * Minify builder sections
+ * 
+ * @param {Array<{name: string, source: string, output?: string, filePath: string|null,
+ *   lines: Array<{text: string, line: number|null}>}>} sections
+ * @returns {{sections: Array<object>, report: {sections: Array<{name, before, after}>,
+ *   before: number, after: number, dropped: Array<{name, section, file, line}>}}}
+ *   Sections with minified lines, and sizes in bytes before and after
+ */
+export function minifySections(sections) {
+  const units = sections.map(analyzeSection);
+  const dynamic = units.some(unit => unit.dynamic || unit.dynamicGlobals);
+  const dropped = dynamic ? [] : findUnusedFunctions(units);
+  const droppedNodes = new Set(dropped.map(entry => entry.node));
+  
+  const report = { sections: [], before: 0, after: 0, dropped: [] };
+  const minified = units.map(unit => {
+    if (!unit.dynamic) {
+      mangleScope(unit.root);
+    }
+    
+    const lines = emitLines(unit, droppedNodes);
+    const before = byteLength(unit.section.lines);
+    const after = byteLength(lines);
+    
+    report.sections.push({ name: unit.section.name, before, after });
+    report.before += before;
+    report.after += after;
+    
+    return { ...unit.section, lines };
+  });
+  
+  report.dropped = dropped.map(entry => ({
+    name: entry.node.id.name,
+    section: entry.unit.section.name,
+    file: entry.unit.section.filePath,
+    line: entry.node.loc.start.line
+  }));
+  
+  return { sections: minified, report };
+}
+
+/**
+ * Code the section emits: the transpiled output when the builder lowered
+ * modern syntax, the source otherwise
+ */
+function sectionCode(section) {
+  return section.output ?? section.source;
+}
+
+function analyzeSection(section) {
+  const tokens = [];
+  let ast;
+  
+  try {
+    ast = parse(sectionCode(section), { ecmaVersion: 5, sourceType: 'script', locations: true, onToken: tokens });
+  } catch (err) {
+    throw new Error(`Cannot minify ${section.name}: ${err.message}`);
+  }
+  
+  const unit = {
+    section,
+    ast,
+    tokens,
+    root: createScope(null),
+    globalRefs: [],
+    strings: [],
+    topVars: new Set(),
+    dynamic: false,
+    dynamicGlobals: false,
+    owner: null
+  };
+  
+  hoist(ast, unit.root);
+  for (const statement of ast.body) {
+    if (statement.type !== 'FunctionDeclaration') {
+      collectVars(statement, unit.topVars);
+    }
+  }
+  walk(ast, null, null, unit.root, unit);
+  
+  return unit;
+}
+
+function createScope(parent) {
+  const scope = { parent, bindings: new Map(), children: [], outer: new Set(), globals: new Set() };
+  if (parent) {
+    parent.children.push(scope);
+  }
+  return scope;
+}
+
+function declare(scope, name) {
+  if (!scope.bindings.has(name)) {
+    scope.bindings.set(name, { name, scope, occurrences: [], newName: null });
+  }
+}
+
+/**
+ * Declare the var and function declarations of a function body (or the
+ * program) in its scope; nested functions have their own
+ */
+function hoist(body, scope) {
+  walkRecursive(body, null, {
+    FunctionDeclaration(node) {
+      declare(scope, node.id.name);
+    },
+    FunctionExpression() {},
+    VariableDeclarator(node, state, c) {
+      declare(scope, node.id.name);
+      if (node.init) {
+        c(node.init, state, 'Expression');
+      }
+    }
+  }, base);
+}
+
+function collectVars(statement, names) {
+  const scope = createScope(null);
+  hoist(statement, scope);
+  scope.bindings.forEach((binding, name) => names.add(name));
+}
+
+/**
+ * Record every identifier occurrence with the scope it resolves in
+ */
+function walk(node, parent, key, scope, unit) {
+  switch (node.type) {
+    case 'Identifier':
+      if (isReference(node, parent, key)) {
+        occur(node, scope, unit, parent.type === 'VariableDeclarator' && key === 'id');
+      }
+      return;
+    
+    case 'Literal':
+      if (typeof node.value === 'string') {
+        unit.strings.push({ value: node.value, owner: unit.owner });
+      }
+      return;
+    
+    case 'WithStatement':
+      unit.dynamic = true;
+      break;
+    
+    case 'MemberExpression':
+      if (node.computed && node.object.type === 'ThisExpression' && node.property.type !== 'Literal') {
+        unit.dynamicGlobals = true;
+      }
+      break;
+    
+    case 'FunctionDeclaration':
+    case 'FunctionExpression': {
+      const inner = createScope(scope);
+      const isTopLevel = node.type === 'FunctionDeclaration' && parent && parent.type === 'Program';
+      const owner = unit.owner;
+      
+      if (node.id) {
+        if (node.type === 'FunctionExpression') {
+          declare(inner, node.id.name);
+        }
+        occur(node.id, node.type === 'FunctionExpression' ? inner : scope, unit, true);
+      }
+      
+      if (isTopLevel) {
+        unit.owner = node;
+      }
+      
+      node.params.forEach(param => declare(inner, param.name));
+      hoist(node.body, inner);
+      node.params.forEach(param => occur(param, inner, unit, true));
+      walk(node.body, node, 'body', inner, unit);
+      
+      unit.owner = owner;
+      return;
+    }
+    
+    case 'CatchClause': {
+      const inner = createScope(scope);
+      declare(inner, node.param.name);
+      occur(node.param, inner, unit, true);
+      walk(node.body, node, 'body', inner, unit);
+      return;
+    }
+  }
+  
+  for (const [childKey, value] of Object.entries(node)) {
+    if (Array.isArray(value)) {
+      value.forEach(child => child && typeof child.type === 'string' && walk(child, node, childKey, scope, unit));
+    } else if (value && typeof value.type === 'string' && childKey !== 'loc') {
+      walk(value, node, childKey, scope, unit);
+    }
+  }
+}
+
+function isReference(node, parent, key) {
+  if (!parent) {
+    return true;
+  }
+  if (parent.type === 'MemberExpression' && key === 'property' && !parent.computed) {
+    return false;
+  }
+  if (parent.type === 'Property' && key === 'key' && !parent.computed) {
+    return false;
+  }
+  return !(key === 'label' && ['LabeledStatement', 'BreakStatement', 'ContinueStatement'].includes(parent.type));
+}
+
+function occur(node, scope, unit, isDeclaration) {
+  if (node.name === 'eval') {
+    unit.dynamic = true;
+  }
+  
+  let target = scope;
+  while (target && !target.bindings.has(node.name)) {
+    target = target.parent;
+  }
+  
+  if (target && target.parent) {
+    const binding = target.bindings.get(node.name);
+    binding.occurrences.push(node);
+    for (let current = scope; current !== target; current = current.parent) {
+      current.outer.add(binding);
+    }
+    return;
+  }
+  
+  // Global: a top-level declaration of some section, or a Vocalls API
+  for (let current = scope; current; current = current.parent) {
+    current.globals.add(node.name);
+  }
+  if (!isDeclaration) {
+    unit.globalRefs.push({ name: node.name, owner: unit.owner });
+  }
+}
+
+/**
+ * Give the bindings of every function scope the shortest names that do not
+ * shadow a global or an outer binding used inside the scope
+ */
+function mangleScope(scope) {
+  if (scope.parent) {
+    const avoid = new Set(scope.globals);
+    scope.outer.forEach(binding => avoid.add(binding.newName || binding.name));
+    
+    const bindings = [...scope.bindings.values()].sort((a, b) => b.occurrences.length - a.occurrences.length);
+    let counter = 0;
+    
+    for (const binding of bindings) {
+      let name;
+      do {
+        name = shortName(counter++);
+      } while (avoid.has(name) || RESERVED.has(name));
+      binding.newName = name;
+    }
+  }
+  
+  scope.children.forEach(mangleScope);
+}
+
+function shortName(index) {
+  let name = NAME_START[index % NAME_START.length];
+  let rest = Math.floor(index / NAME_START.length);
+  
+  while (rest > 0) {
+    rest--;
+    name += NAME_PART[rest % NAME_PART.length];
+    rest = Math.floor(rest / NAME_PART.length);
+  }
+  
+  return name;
+}
+
+/**
+ * Top-level function declarations no live code refers to. Live code is
+ * everything outside top-level functions, plus the functions it refers
+ * to, transitively.
+ */
+function findUnusedFunctions(units) {
+  const declarations = [];
+  const topVars = new Set();
+  const refs = [];
+  
+  for (const unit of units) {
+    unit.ast.body
+      .filter(node => node.type === 'FunctionDeclaration')
+      .forEach(node => declarations.push({ unit, node }));
+    unit.topVars.forEach(name => topVars.add(name));
+    refs.push(...unit.globalRefs, ...unit.strings.map(string => ({ name: string.value, owner: string.owner })));
+  }
+  
+  const live = new Set();
+  const pending = refs.filter(ref => ref.owner === null).map(ref => ref.name);
+  
+  while (pending.length > 0) {
+    const name = pending.pop();
+    if (live.has(name)) {
+      continue;
+    }
+    live.add(name);
+    
+    for (const declaration of declarations.filter(entry => entry.node.id.name === name)) {
+      refs.filter(ref => ref.owner === declaration.node).forEach(ref => pending.push(ref.name));
+    }
+  }
+  
+  return declarations.filter(entry => !live.has(entry.node.id.name) && !topVars.has(entry.node.id.name));
+}
+
+/**
+ * Rebuild the section from its tokens, one output line per source line
+ * that still has tokens
+ */
+function emitLines(unit, droppedNodes) {
+  const code = sectionCode(unit.section);
+  const renames = new Map();
+  const removed = unit.ast.body
+    .filter(node => droppedNodes.has(node))
+    .map(node => [node.start, node.end]);
+  
+  const collect = scope => {
+    scope.bindings.forEach(binding => {
+      if (binding.newName) {
+        binding.occurrences.forEach(node => renames.set(node.start, binding.newName));
+      }
+    });
+    scope.children.forEach(collect);
+  };
+  collect(unit.root);
+  
+  const lines = new Map();
+  for (const token of unit.tokens) {
+    if (token.type.label === 'eof' || removed.some(([start, end]) => token.start >= start && token.end <= end)) {
+      continue;
+    }
+    
+    const text = renames.get(token.start) || code.slice(token.start, token.end);
+    const line = lines.get(token.loc.start.line);
+    
+    if (!line) {
+      lines.set(token.loc.start.line, { text, last: token, lastText: text });
+    } else {
+      line.text += needsSpace(line.lastText, line.last, text, token) ? ` ${text}` : text;
+      line.last = token;
+      line.lastText = text;
+    }
+  }
+  
+  // A string continued over several lines stays one token
+  const mapped = unit.section.filePath !== null;
+  return [...lines].flatMap(([lineNumber, line]) => line.text.split('\n').map((text, offset) => ({
+    text,
+    line: mapped ? lineNumber + offset : null
+  })));
+}
+
+function needsSpace(previous, previousToken, next, nextToken) {
+  const last = previous[previous.length - 1];
+  const first = next[0];
+  
+  if (isWordChar(last) && (isWordChar(first) || (first === '.' && nextToken.type.label === 'num'))) {
+    return true;
+  }
+  if (previousToken.type.label === 'num' && first === '.') {
+    return true;
+  }
+  if ((last === '+' || last === '-') && first === last) {
+    return true;
+  }
+  if (last === '/' && (first === '/' || first === '*')) {
+    return true;
+  }
+  // Avoid forming HTML-like comments: <!-- and -->
+  return (last === '<' && first === '!') || (previous.endsWith('--') && first === '>');
+}
+
+function isWordChar(char) {
+  return /[A-Za-z0-9_$\\\u0080-\uffff]/.test(char);
+}
+
+function byteLength(lines) {
+  return Buffer.byteLength(lines.map(line => line.text).join('\n'), 'utf8');
+}
@@ -0,0 +1,302 @@
+/**
+ * Monolith Diff - What changed between two builds of a project
+ * 
+ * Compares two monoliths section by section (matched by their banners) and
+ * summarizes the entries of the registries a call flow is configured with:
+ * segments in segmentDic, lines in lineMap and endpoints in apiConfigMap.
+ * Registries are read from the code without running it, from
+ * `segmentDic.set('KEY', value)`, `segmentDic.KEY = value` and
+ * `var segmentDic = { KEY: value }`.
+ */
+
+import { parse } from 'acorn';
+import { recursive as walkRecursive, base } from 'acorn-walk';
+import { parseMonolith } from './monolith.js';
+
+export const REGISTRIES = ['segmentDic', 'lineMap', 'apiConfigMap'];
+
+const CONTEXT_LINES = 2;
+
+// Larger sections are shown as replaced instead of running the O(n·m) diff
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Compare two monoliths
+ * 
+ * @param {string} beforeCode - Older monolith
+ * @param {string} afterCode - Newer monolith
+ * @returns {{header: Array<{field, before, after}>, sections: Array<{name, source,
+ *   status: 'added'|'removed'|'changed', added: number, removed: number, hunks: Array}>,
+ *   registries: object|null}} Registries is null when either monolith does not parse
+ */
+export function diffMonoliths(beforeCode, afterCode) {
+  const before = parseMonolith(beforeCode);
+  const after = parseMonolith(afterCode);
+  
+  const header = [...new Set([...Object.keys(before.header), ...Object.keys(after.header)])]
+    .filter(field => before.header[field] !== after.header[field])
+    .map(field => ({ field, before: before.header[field] || null, after: after.header[field] || null }));
+  
+  const sections = [];
+  const remaining = [...before.sections];
+  
+  for (const section of after.sections) {
+    const index = remaining.findIndex(other => other.name === section.name);
+    const previous = index === -1 ? null : remaining.splice(index, 1)[0];
+    const operations = diffLines(previous ? previous.lines : [], section.lines);
+    const added = operations.filter(operation => operation.type === '+').length;
+    const removed = operations.filter(operation => operation.type === '-').length;
+    
+    if (!previous || added > 0 || removed > 0) {
+      sections.push({
+        name: section.name,
+        source: section.source,
+        status: previous ? 'changed' : 'added',
+        added,
+        removed,
+        hunks: createHunks(operations, previous ? previous.line : 1, section.line)
+      });
+    }
+  }
+  
+  for (const section of remaining) {
+    sections.push({
+      name: section.name,
+      source: section.source,
+      status: 'removed',
+      added: 0,
+      removed: section.lines.length,
+      hunks: createHunks(diffLines(section.lines, []), section.line, 1)
+    });
+  }
+  
+  const beforeRegistries = extractRegistries(beforeCode);
+  const afterRegistries = extractRegistries(afterCode);
+  const registries = beforeRegistries && afterRegistries
+    ? Object.fromEntries(REGISTRIES.map(name => [name, diffRegistry(beforeRegistries[name], afterRegistries[name])]))
+    : null;
+  
+  return { header, sections, registries };
+}
+
+/**
+ * Line diff as a list of operations: ' ' unchanged, '-' removed, '+' added.
+ * Trailing whitespace is ignored.
+ * 
+ * @returns {Array<{type: ' '|'-'|'+', text: string, before: number|null, after: number|null}>}
+ *   Operations with the 0-based index of the line on each side
+ */
+export function diffLines(beforeLines, afterLines) {
+  const a = beforeLines.map(line => line.trimEnd());
+  const b = afterLines.map(line => line.trimEnd());
+  
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  
+  const operations = [];
+  const keep = (i, j) => operations.push({ type: ' ', text: b[j], before: i, after: j });
+  const remove = i => operations.push({ type: '-', text: a[i], before: i, after: null });
+  const add = j => operations.push({ type: '+', text: b[j], before: null, after: j });
+  
+  for (let i = 0; i < start; i++) {
+    keep(i, i);
+  }
+  
+  const rows = endA - start;
+  const columns = endB - start;
+  
+  if (rows * columns > MAX_DIFF_CELLS) {
+    for (let i = start; i < endA; i++) {
+      remove(i);
+    }
+    for (let j = start; j < endB; j++) {
+      add(j);
+    }
+  } else {
+    // Longest common subsequence of the lines between prefix and suffix
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = columns - 1; j >= 0; j--) {
+        table[i][j] = a[start + i] === b[start + j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < columns) {
+      if (i < rows && j < columns && a[start + i] === b[start + j]) {
+        keep(start + i++, start + j++);
+      } else if (i < rows && (j === columns || table[i + 1][j] >= table[i][j + 1])) {
+        remove(start + i++);
+      } else {
+        add(start + j++);
+      }
+    }
+  }
+  
+  for (let k = 0; k < a.length - endA; k++) {
+    keep(endA + k, endB + k);
+  }
+  
+  return operations;
+}
+
+/**
+ * Group changed lines with a little context; line numbers are monolith
+ * lines, counted from the first line of the section on each side
+ */
+function createHunks(operations, beforeFirstLine, afterFirstLine) {
+  const hunks = [];
+  
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(operations.length - 1, index + CONTEXT_LINES);
+    const last = hunks[hunks.length - 1];
+    
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+  
+  return hunks.map(hunk => {
+    const lines = operations.slice(hunk.start, hunk.end + 1);
+    const firstBefore = lines.find(line => line.before !== null);
+    const firstAfter = lines.find(line => line.after !== null);
+    
+    return {
+      before: firstBefore ? beforeFirstLine + firstBefore.before : null,
+      after: firstAfter ? afterFirstLine + firstAfter.after : null,
+      lines: lines.map(line => ({ type: line.type, text: line.text }))
+    };
+  });
+}
+
+/**
+ * Entries of segmentDic, lineMap and apiConfigMap found in a monolith
+ * 
+ * @returns {object|null} Registry name → Map of key → {text, properties};
+ *   null when the code does not parse
+ */
+export function extractRegistries(code) {
+  const tokens = [];
+  let ast;
+  
+  try {
+    ast = parse(code, { ecmaVersion: 'latest', sourceType: 'script', onToken: tokens });
+  } catch {
+    return null;
+  }
+  
+  const registries = Object.fromEntries(REGISTRIES.map(name => [name, new Map()]));
+  const describe = node => ({
+    text: tokens.filter(token => token.start >= node.start && token.end <= node.end)
+      .map(token => code.slice(token.start, token.end))
+      .join(' '),
+    properties: node.type === 'ObjectExpression'
+      ? new Map(node.properties.filter(property => propertyKey(property) !== null).map(property => [propertyKey(property), describe(property.value).text]))
+      : null
+  });
+  const record = (registry, key, node) => {
+    if (REGISTRIES.includes(registry) && key !== null) {
+      registries[registry].set(key, describe(node));
+    }
+  };
+  const recordObject = (registry, node) => {
+    if (REGISTRIES.includes(registry) && node && node.type === 'ObjectExpression') {
+      node.properties.forEach(property => record(registry, propertyKey(property), property.value));
+    }
+  };
+  
+  walkRecursive(ast, null, {
+    VariableDeclarator(node, state, c) {
+      recordObject(node.id.name, node.init);
+      if (node.init) {
+        c(node.init, state, 'Expression');
+      }
+    },
+    
+    AssignmentExpression(node, state, c) {
+      if (node.left.type === 'Identifier') {
+        recordObject(node.left.name, node.right);
+      } else if (node.left.type === 'MemberExpression' && node.left.object.type === 'Identifier') {
+        record(node.left.object.name, memberKey(node.left), node.right);
+      }
+      c(node.left, state, 'Pattern');
+      c(node.right, state, 'Expression');
+    },
+    
+    CallExpression(node, state, c) {
+      const callee = node.callee;
+      if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+          memberKey(callee) === 'set' && node.arguments.length >= 2 && typeof node.arguments[0].value === 'string') {
+        record(callee.object.name, node.arguments[0].value, node.arguments[1]);
+      }
+      c(callee, state, 'Expression');
+      node.arguments.forEach(argument => c(argument, state, 'Expression'));
+    }
+  }, base);
+  
+  return registries;
+}
+
+/**
+ * Added, removed and changed keys of one registry; a changed object lists
+ * the properties that differ
+ * 
+ * @returns {Array<{type: 'added'|'removed'|'changed', key: string, properties?: string[]}>}
+ */
+export function diffRegistry(before, after) {
+  const changes = [];
+  
+  for (const [key, entry] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      changes.push({ type: 'added', key });
+    } else if (previous.text !== entry.text) {
+      const properties = previous.properties && entry.properties
+        ? [...new Set([...previous.properties.keys(), ...entry.properties.keys()])]
+          .filter(name => previous.properties.get(name) !== entry.properties.get(name))
+        : [];
+      changes.push({ type: 'changed', key, properties });
+    }
+  }
+  
+  for (const key of before.keys()) {
+    if (!after.has(key)) {
+      changes.push({ type: 'removed', key });
+    }
+  }
+  
+  return changes;
+}
+
+function propertyKey(property) {
+  if (property.type !== 'Property' || property.computed) {
+    return null;
+  }
+  return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+}
+
+function memberKey(member) {
+  if (!member.computed) {
+    return member.property.name;
+  }
+  return typeof member.property.value === 'string' ? member.property.value : null;
+}
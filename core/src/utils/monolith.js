@@ -0,0 +1,78 @@
+/**
+ * Monolith Format - Section banners of the built monolith and their parser
+ * 
+ * Every section of a monolith starts with a banner naming the section and
+ * its source file:
+ * 
+ *   // ========================================
+ *   // Library: globalApiDic.js
+ *   // Source: src/globalLibraries/active/globalApiDic.js
+ *   // ========================================
+ * 
+ * parseMonolith() splits a monolith (for example one copied back from the
+ * Vocalls script editor) into its header fields and sections again.
+ */
+
+const RULE = '// ========================================';
+const GENERATED_SOURCE = 'generated from project.json';
+
+/**
+ * Banner that opens a section
+ * 
+ * @param {string} name - Section name
+ * @param {string|null} source - Project-relative source path, null for
+ *   sections generated by the builder
+ */
+export function sectionBanner(name, source) {
+  return `${RULE}\n// ${name}\n// Source: ${source || GENERATED_SOURCE}\n${RULE}`;
+}
+
+/**
+ * Split a monolith into header fields and sections
+ * 
+ * @param {string} code - Monolith source; Windows line endings are accepted
+ * @returns {{header: object, sections: Array<{name: string, source: string|null,
+ *   line: number, lines: string[]}>}} Header fields by lowercased key
+ *   ("project", "environment", "built", ...); sections with the monolith
+ *   line of their first code line
+ */
+export function parseMonolith(code) {
+  const lines = code.replace(/\r\n/g, '\n').split('\n');
+  const banners = [];
+  
+  for (let i = 0; i + 3 < lines.length; i++) {
+    const source = lines[i + 2].match(/^\/\/ Source: (.*)$/);
+    if (lines[i].trim() === RULE && lines[i + 3].trim() === RULE && source && lines[i + 1].startsWith('// ')) {
+      banners.push({ index: i, name: lines[i + 1].slice(3).trim(), source: source[1].trim() });
+      i += 3;
+    }
+  }
+  
+  const headerEnd = banners.length > 0 ? banners[0].index : lines.length;
+  const header = {};
+  for (const line of lines.slice(0, headerEnd)) {
+    const field = line.match(/^\/\/ ([A-Z][\w ]*): (.*)$/);
+    if (field && !(field[1].toLowerCase() in header)) {
+      header[field[1].toLowerCase()] = field[2].trim();
+    }
+  }
+  
+  const sections = banners.map((banner, position) => {
+    const start = banner.index + 4;
+    let end = position + 1 < banners.length ? banners[position + 1].index : lines.length;
+    
+    // The blank line before the next banner belongs to neither section
+    while (end > start && lines[end - 1].trim() === '') {
+      end--;
+    }
+    
+    return {
+      name: banner.name,
+      source: banner.source === GENERATED_SOURCE ? null : banner.source,
+      line: start + 1,
+      lines: lines.slice(start, end)
+    };
+  });
+  
+  return { header, sections };
+}
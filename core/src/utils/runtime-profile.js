@@ -0,0 +1,178 @@
+/**
+ * Runtime Profiles - What a version of the Vocalls runtime offers scripts
+ * 
+ * A profile lists the Vocalls globals with their signatures, the shape of
+ * `context`, the ES5.1 built-ins, the built-ins the runtime does not have and
+ * the Promise methods that throw. The simulator builds its sandbox from it,
+ * the validator checks globals against it and the builder documents it in
+ * the monolith header. When Vocalls adds or changes an API, add a new
+ * version of the profile here.
+ * 
+ * Projects select a profile with "runtime": { "profile": "vocalls-es5.1@2" }
+ * in project.json; a name without version selects its latest version.
+ */
+
+const VOCALLS_ES51_V1 = {
+  name: 'vocalls-es5.1',
+  version: 1,
+  target: 'Vocalls ES5.1 Runtime',
+  
+  // Vocalls APIs, by global name or property path
+  globals: [
+    { name: 'jsonHttpRequest', signature: 'jsonHttpRequest(config)', returns: 'Promise', group: 'http' },
+    { name: 'httpRequest', signature: 'httpRequest(config)', returns: 'Promise', group: 'http' },
+    { name: 'Storage.readFile', signature: 'Storage.readFile(path)', group: 'storage' },
+    { name: 'Storage.writeFile', signature: 'Storage.writeFile(path, content)', group: 'storage' },
+    { name: 'logInfo', signature: 'logInfo(...args)', group: 'logging' },
+    { name: 'logWarn', signature: 'logWarn(...args)', group: 'logging' },
+    { name: 'logError', signature: 'logError(...args)', group: 'logging' },
+    { name: 'log_debug', signature: 'log_debug(...args)', group: 'logging' },
+    { name: 'nowUTC', signature: 'nowUTC()', returns: 'string', group: 'utility' }
+  ],
+  
+  // Properties of the global `context`; null where the value is free-form
+  context: {
+    settings: ['moduleName', 'lineIdentificator'],
+    language: null,
+    callInfo: ['callId', 'startTime', 'direction'],
+    input: null,
+    session: ['variables']
+  },
+  
+  // ES5.1 built-ins (with Map/Set and a limited Promise)
+  builtins: [
+    'Date', 'Math', 'JSON', 'String', 'Number', 'Boolean', 'Array', 'Object', 'RegExp',
+    'Error', 'TypeError', 'ReferenceError', 'SyntaxError',
+    'Map', 'Set', 'WeakMap', 'WeakSet',
+    'Promise'
+  ],
+  
+  // Built-ins of Node.js the runtime does not have; strict mode hides them
+  hiddenBuiltins: [
+    'Symbol', 'Proxy', 'Reflect', 'BigInt', 'WeakRef', 'FinalizationRegistry', 'globalThis',
+    'SharedArrayBuffer', 'Atomics', 'WebAssembly',
+    'Array.from', 'Array.of',
+    'Array.prototype.find', 'Array.prototype.findIndex', 'Array.prototype.includes', 'Array.prototype.fill',
+    'Array.prototype.flat', 'Array.prototype.flatMap', 'Array.prototype.at',
+    'Object.assign', 'Object.entries', 'Object.values', 'Object.fromEntries', 'Object.is',
+    'Object.getOwnPropertySymbols', 'Object.setPrototypeOf',
+    'Number.isInteger', 'Number.isNaN', 'Number.isFinite', 'Number.isSafeInteger',
+    'Math.trunc', 'Math.sign', 'Math.cbrt', 'Math.log10', 'Math.log2', 'Math.hypot',
+    'String.raw', 'String.fromCodePoint',
+    'String.prototype.includes', 'String.prototype.startsWith', 'String.prototype.endsWith',
+    'String.prototype.repeat', 'String.prototype.padStart', 'String.prototype.padEnd',
+    'String.prototype.trimStart', 'String.prototype.trimEnd', 'String.prototype.replaceAll',
+    'String.prototype.codePointAt', 'String.prototype.at',
+    'Promise.allSettled', 'Promise.any'
+  ],
+  
+  // Promise methods that exist but throw
+  promiseRestrictions: [
+    { path: 'Promise.all', message: 'Promise.all() not supported in Vocalls ES5.1' },
+    { path: 'Promise.race', message: 'Promise.race() not supported in Vocalls ES5.1' },
+    { path: 'Promise.prototype.catch', message: '.catch() not supported in Vocalls ES5.1. Use .then(success, error)' }
+  ],
+  
+  // Node.js globals scripts must not see
+  unavailable: [
+    'global', 'process', 'require', 'module', 'exports', '__dirname', '__filename',
+    'console', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval'
+  ]
+};
+
+// context.callInfo gained the caller (ani) and called (dnis) numbers, and the
+// built-ins list the ES5.1 error types and global functions v1 left out
+const VOCALLS_ES51_V2 = {
+  ...VOCALLS_ES51_V1,
+  version: 2,
+  context: {
+    ...VOCALLS_ES51_V1.context,
+    callInfo: [...VOCALLS_ES51_V1.context.callInfo, 'ani', 'dnis']
+  },
+  builtins: [
+    ...VOCALLS_ES51_V1.builtins,
+    'RangeError', 'EvalError', 'URIError',
+    'parseInt', 'parseFloat', 'isNaN', 'isFinite',
+    'encodeURIComponent', 'decodeURIComponent', 'encodeURI', 'decodeURI'
+  ]
+};
+
+/**
+ * Known profiles, oldest version first
+ */
+export const RUNTIME_PROFILES = [VOCALLS_ES51_V1, VOCALLS_ES51_V2].map(profile => Object.freeze({
+  ...profile,
+  id: `${profile.name}@${profile.version}`
+}));
+
+export const DEFAULT_RUNTIME_PROFILE = 'vocalls-es5.1';
+
+/**
+ * Look up a profile by id ("vocalls-es5.1@2") or by name, which selects
+ * the latest version
+ * 
+ * @param {string} [reference] - As in "runtime": { "profile" } of project.json
+ * @throws {Error} When no profile matches
+ */
+export function getRuntimeProfile(reference = DEFAULT_RUNTIME_PROFILE) {
+  const matches = RUNTIME_PROFILES.filter(profile => profile.id === reference || profile.name === reference);
+  
+  if (matches.length === 0) {
+    const known = RUNTIME_PROFILES.map(profile => profile.id).join(', ');
+    throw new Error(`Unknown runtime profile "${reference}" (available: ${known})`);
+  }
+  
+  return matches[matches.length - 1];
+}
+
+/**
+ * Profile selected in project.json
+ */
+export function getProjectRuntimeProfile(config) {
+  return getRuntimeProfile((config.runtime || {}).profile);
+}
+
+/**
+ * Paths of the profile's context, e.g. context.session.variables
+ * 
+ * @returns {string[]}
+ */
+export function getContextPaths(profile) {
+  return Object.entries(profile.context).flatMap(([key, fields]) =>
+    fields ? fields.map(field => `context.${key}.${field}`) : [`context.${key}`]);
+}
+
+/**
+ * Names scripts can use without declaring them: Vocalls globals (first
+ * part of their path), `context` and the built-ins
+ * 
+ * @returns {Set<string>}
+ */
+export function getAvailableGlobals(profile) {
+  return new Set([
+    'context',
+    ...profile.globals.map(api => api.name.split('.')[0]),
+    ...profile.builtins
+  ]);
+}
+
+/**
+ * Value at a property path such as "Storage.readFile"
+ */
+export function getPath(target, path) {
+  return path.split('.').reduce((value, part) => value === null || value === undefined ? undefined : value[part], target);
+}
+
+/**
+ * Set a property path, creating the objects on the way
+ */
+export function setPath(target, path, value) {
+  const parts = path.split('.');
+  const owner = parts.slice(0, -1).reduce((object, part) => {
+    if (!object[part]) {
+      object[part] = {};
+    }
+    return object[part];
+  }, target);
+  owner[parts[parts.length - 1]] = value;
+}
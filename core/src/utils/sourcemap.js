@@ -0,0 +1,154 @@
+/**
+ * Source Map Utilities
+ * 
+ * Line-level Source Map v3 generation and lookup, used to trace monolith
+ * lines reported by the Vocalls runtime back to the original project files
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode a signed integer as a Base64 VLQ string
+ */
+export function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let encoded = '';
+  
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    encoded += BASE64_CHARS[digit];
+  } while (vlq > 0);
+  
+  return encoded;
+}
+
+/**
+ * Decode a Base64 VLQ segment into its signed integer fields
+ */
+export function decodeVLQ(segment) {
+  const values = [];
+  let shift = 0;
+  let value = 0;
+  
+  for (const char of segment) {
+    const digit = BASE64_CHARS.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid VLQ character: ${char}`);
+    }
+    
+    value += (digit & 31) << shift;
+    
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Create a source map with one mapping per generated line
+ * 
+ * @param {string} file - Generated file name
+ * @param {Array<{source: string, line: number}|null>} lines - Original
+ *   location of each generated line (1-based), null for generated code
+ * @param {object} [sourcesContent] - Original content keyed by source path
+ */
+export function createSourceMap(file, lines, sourcesContent = {}) {
+  const sources = [];
+  const sourceIndex = new Map();
+  let previousSource = 0;
+  let previousLine = 0;
+  
+  const mappings = lines.map(location => {
+    if (!location) {
+      return '';
+    }
+    
+    if (!sourceIndex.has(location.source)) {
+      sourceIndex.set(location.source, sources.length);
+      sources.push(location.source);
+    }
+    
+    const index = sourceIndex.get(location.source);
+    const originalLine = location.line - 1;
+    const segment = encodeVLQ(0) +
+      encodeVLQ(index - previousSource) +
+      encodeVLQ(originalLine - previousLine) +
+      encodeVLQ(0);
+    
+    previousSource = index;
+    previousLine = originalLine;
+    return segment;
+  });
+  
+  return {
+    version: 3,
+    file,
+    sourceRoot: '',
+    sources,
+    sourcesContent: sources.map(source => sourcesContent[source] ?? null),
+    names: [],
+    mappings: mappings.join(';')
+  };
+}
+
+/**
+ * Find the original location of a generated line (1-based)
+ * 
+ * @returns {{source: string, line: number, content: string|null}|null}
+ *   null when the line is generated code (header, banners)
+ * @throws {RangeError} When the line is not in the monolith
+ */
+export function lookupSourceLine(map, generatedLine) {
+  const lines = map.mappings.split(';');
+  
+  if (!Number.isInteger(generatedLine) || generatedLine < 1) {
+    throw new RangeError(`Invalid line number: ${generatedLine}`);
+  }
+  if (generatedLine > lines.length) {
+    throw new RangeError(`Line ${generatedLine} is beyond the end of the monolith (${lines.length} lines)`);
+  }
+  
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let found = null;
+  
+  for (let i = 0; i < generatedLine; i++) {
+    const segments = lines[i] ? lines[i].split(',') : [];
+    
+    segments.forEach((segment, position) => {
+      const fields = decodeVLQ(segment);
+      if (fields.length < 4) {
+        return;
+      }
+      
+      sourceIndex += fields[1];
+      originalLine += fields[2];
+      
+      if (i === generatedLine - 1 && position === 0) {
+        found = { sourceIndex, line: originalLine };
+      }
+    });
+  }
+  
+  if (!found) {
+    return null;
+  }
+  
+  const content = map.sourcesContent && map.sourcesContent[found.sourceIndex];
+  
+  return {
+    source: map.sources[found.sourceIndex],
+    line: found.line + 1,
+    content: content ? content.split(/\r?\n/)[found.line] ?? null : null
+  };
+}
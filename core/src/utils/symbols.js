@@ -0,0 +1,321 @@
+/**
+ * Symbol Checker - Globals across the files of a project
+ * 
+ * Vocalls runs the environment section, globalCode.js, globalVariables.js,
+ * the libraries and a call script in one global scope. This module builds a
+ * symbol table of that scope in load order and reports:
+ * 
+ * - undefined: identifiers no project file declares and the runtime
+ *   profile does not provide
+ * - implicit-global: assignments to undeclared names, which create a
+ *   global instead of failing
+ * - shadowed-builtin: top-level declarations replacing a Vocalls API or
+ *   built-in of the runtime profile, e.g. `function nowUTC() {}`
+ * - duplicate-declaration: a global declared again by a later file
+ * 
+ * Uses at load time of globals declared by a later file are reported by
+ * the library ordering in dependencies.js, which checkProjectSymbols runs
+ * as well.
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { parse } from 'acorn';
+import { recursive as walkRecursive, base } from 'acorn-walk';
+import { resolveLibraryOrder, LIBRARIES_DIR } from './dependencies.js';
+import { generateEnvironmentSection } from './environment.js';
+import { getAvailableGlobals, getProjectRuntimeProfile } from './runtime-profile.js';
+
+const CALL_SCRIPTS_DIR = 'src/callScripts';
+
+// Value properties of the global object, not variables of any file
+const GLOBAL_VALUES = new Set(['undefined', 'NaN', 'Infinity']);
+
+/**
+ * Check the symbols of a project in Vocalls load order, once per call script
+ * 
+ * @param {string} projectPath
+ * @param {object} config - Project configuration
+ * @param {object} [options]
+ * @param {string} [options.script] - Only this call script (default: all)
+ * @returns {Promise<{files: string[], issues: Array<{type, file, line, column, name, message}>}>}
+ *   Files in load order and the problems found, including the issues of
+ *   the library order (cycle, use-before-definition, order, unlisted)
+ */
+export async function checkProjectSymbols(projectPath, config, options = {}) {
+  const files = [];
+  
+  const environmentSection = generateEnvironmentSection(config);
+  if (environmentSection) {
+    files.push({ path: 'project.json (environments)', code: environmentSection });
+  }
+  
+  const { libraries, issues } = await resolveLibraryOrder(projectPath, config);
+  const shared = ['src/globalCode.js', 'src/globalVariables.js', ...libraries.map(name => `${LIBRARIES_DIR}/${name}`)];
+  for (const path of shared) {
+    const code = await readOptional(join(projectPath, path));
+    if (code !== null) {
+      files.push({ path, code });
+    }
+  }
+  
+  const scripts = options.script ? [`${options.script}.js`] : await listScripts(join(projectPath, CALL_SCRIPTS_DIR));
+  for (const name of scripts) {
+    const path = `${CALL_SCRIPTS_DIR}/${name}`;
+    const code = await readOptional(join(projectPath, path));
+    if (code === null) {
+      throw new Error(`Call script not found: ${path}`);
+    }
+    files.push({ path, code, entry: true });
+  }
+  
+  return {
+    files: files.map(file => file.path),
+    issues: [...issues, ...checkSymbols(files, getProjectRuntimeProfile(config))]
+  };
+}
+
+/**
+ * Check files that share one global scope
+ * 
+ * @param {Array<{path: string, code: string, entry?: boolean}>} files - In
+ *   load order; entry files (call scripts) each run after all other files,
+ *   never together
+ * @param {object} profile - Runtime profile, see runtime-profile.js
+ * @returns {Array<{type, file, line, column, name, message}>}
+ */
+export function checkSymbols(files, profile) {
+  const available = getAvailableGlobals(profile);
+  const apis = new Set(['context', ...profile.globals.map(api => api.name.split('.')[0])]);
+  const analyzed = files.map(file => ({ ...file, ...analyzeSymbols(file.code) }));
+  const issues = [];
+  const report = (type, file, position, name, message) => issues.push({
+    type,
+    file: file.path,
+    line: position.line,
+    column: position.column + 1,
+    name,
+    message: `${file.path}:${position.line} ${message}`
+  });
+  
+  // Globals of the files every call script runs after
+  const declared = new Map();
+  for (const file of analyzed) {
+    for (const [name, position] of file.declarations) {
+      if (available.has(name)) {
+        report('shadowed-builtin', file, position, name,
+          `declares ${name}, which replaces the ${apis.has(name) ? 'Vocalls API' : 'built-in'} of runtime profile ${profile.id}`);
+      }
+      
+      const previous = declared.get(name);
+      if (previous) {
+        report('duplicate-declaration', file, position, name,
+          `declares ${name} again, ${previous.file.path}:${previous.line} declares it first`);
+      } else if (!file.entry) {
+        declared.set(name, { file, line: position.line });
+      }
+    }
+  }
+  
+  const isDeclared = (file, name) => declared.has(name) || file.declarations.has(name) || available.has(name);
+  
+  // Assignments create the global, so later reads are not undefined
+  const implicit = new Set();
+  for (const file of analyzed) {
+    for (const { name, position } of file.writes) {
+      if (!isDeclared(file, name) && !implicit.has(name)) {
+        implicit.add(name);
+        report('implicit-global', file, position, name,
+          `assigns ${name} without declaring it, which creates an implicit global (declare it with var)`);
+      }
+    }
+  }
+  
+  for (const file of analyzed) {
+    const reported = new Set();
+    for (const { name, position } of file.reads) {
+      if (!isDeclared(file, name) && !implicit.has(name) && !GLOBAL_VALUES.has(name) && !file.optional.has(name) && !reported.has(name)) {
+        reported.add(name);
+        report('undefined', file, position, name,
+          `uses ${name}, which no project file declares and runtime profile ${profile.id} does not provide`);
+      }
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Top-level declarations of a script and its uses of globals: reads and
+ * assignments of names no enclosing function declares. `typeof name` is
+ * not a read, and marks the name optional for the whole script.
+ * 
+ * @returns {{declarations: Map<string, {line, column}>, reads: Array<{name, position}>,
+ *   writes: Array<{name, position}>, optional: Set<string>}} Empty when the
+ *   code does not parse
+ */
+export function analyzeSymbols(code) {
+  const declarations = new Map();
+  const reads = [];
+  const writes = [];
+  const optional = new Set();
+  let ast;
+  
+  try {
+    ast = parse(code, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+  } catch {
+    // Syntax errors are reported by the ES5.1 validation
+    return { declarations, reads, writes, optional };
+  }
+  
+  collectDeclarations(ast, declarations);
+  
+  // Scopes of enclosing functions and catch clauses, innermost last
+  const isLocal = (scopes, name) => scopes.some(scope => scope.has(name));
+  const read = (node, scopes) => {
+    if (!isLocal(scopes, node.name)) {
+      reads.push({ name: node.name, position: node.loc.start });
+    }
+  };
+  const write = (node, scopes) => {
+    if (!isLocal(scopes, node.name)) {
+      writes.push({ name: node.name, position: node.loc.start });
+    }
+  };
+  
+  const forIn = (node, scopes, c) => {
+    if (node.left.type === 'Identifier') {
+      write(node.left, scopes);
+    } else {
+      c(node.left, scopes, 'ForInit');
+    }
+    c(node.right, scopes, 'Expression');
+    c(node.body, scopes, 'Statement');
+  };
+  
+  walkRecursive(ast, [], {
+    Function(node, scopes, c) {
+      const locals = new Map();
+      node.params.forEach(param => patternNames(param).forEach(name => locals.set(name, null)));
+      if (node.type !== 'ArrowFunctionExpression') {
+        locals.set('arguments', null);
+      }
+      if (node.type === 'FunctionExpression' && node.id) {
+        locals.set(node.id.name, null);
+      }
+      if (node.body.type === 'BlockStatement') {
+        collectDeclarations(node.body, locals);
+      }
+      
+      const inner = [...scopes, locals];
+      node.params.forEach(param => c(param, inner, 'Pattern'));
+      c(node.body, inner, node.expression ? 'Expression' : 'Statement');
+    },
+    
+    CatchClause(node, scopes, c) {
+      const locals = new Map(node.param ? patternNames(node.param).map(name => [name, null]) : []);
+      const inner = [...scopes, locals];
+      if (node.param) {
+        c(node.param, inner, 'Pattern');
+      }
+      c(node.body, inner, 'Statement');
+    },
+    
+    AssignmentExpression(node, scopes, c) {
+      if (node.left.type === 'Identifier') {
+        write(node.left, scopes);
+        if (node.operator !== '=') {
+          read(node.left, scopes);
+        }
+      } else {
+        c(node.left, scopes, 'Pattern');
+      }
+      c(node.right, scopes, 'Expression');
+    },
+    
+    ForInStatement: forIn,
+    ForOfStatement: forIn,
+    
+    UnaryExpression(node, scopes, c) {
+      if (node.operator === 'typeof' && node.argument.type === 'Identifier') {
+        optional.add(node.argument.name);
+      } else {
+        c(node.argument, scopes, 'Expression');
+      }
+    },
+    
+    Identifier: read
+  }, base);
+  
+  return { declarations, reads, writes, optional };
+}
+
+/**
+ * Declarations of a function body or script, without those of nested
+ * functions: var and function declarations, and let, const and class
+ * (block scopes count as the function's, ES5.1 code has none)
+ */
+function collectDeclarations(root, names) {
+  const add = (name, node) => {
+    if (!names.has(name)) {
+      names.set(name, node.loc.start);
+    }
+  };
+  
+  walkRecursive(root, null, {
+    FunctionDeclaration(node) {
+      add(node.id.name, node);
+    },
+    FunctionExpression() {},
+    ArrowFunctionExpression() {},
+    ClassDeclaration(node) {
+      add(node.id.name, node);
+    },
+    ClassExpression() {},
+    CatchClause(node, state, c) {
+      c(node.body, state, 'Statement');
+    },
+    VariableDeclaration(node, state, c) {
+      for (const decl of node.declarations) {
+        patternNames(decl.id).forEach(name => add(name, decl));
+        if (decl.init) {
+          c(decl.init, state, 'Expression');
+        }
+      }
+    }
+  }, base);
+}
+
+function patternNames(pattern) {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property => patternNames(property.type === 'RestElement' ? property : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.filter(Boolean).flatMap(patternNames);
+    case 'AssignmentPattern':
+      return patternNames(pattern.left);
+    case 'RestElement':
+      return patternNames(pattern.argument);
+    default:
+      return [];
+  }
+}
+
+async function listScripts(dir) {
+  try {
+    const files = await fs.readdir(dir);
+    return files.filter(file => file.endsWith('.js')).sort();
+  } catch {
+    return [];
+  }
+}
+
+async function readOptional(path) {
+  try {
+    return await fs.readFile(path, 'utf8');
+  } catch {
+    return null;
+  }
+}
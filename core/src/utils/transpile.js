@@ -0,0 +1,1063 @@
+/**
+ * Transpiler - Lowers modern syntax in src/ to Vocalls ES5.1 (opt-in)
+ * 
+ * Used by `voc build --transpile` and projects with "transpile": true.
+ * Only the constructs it lowers are rewritten; everything else is copied as
+ * written, and every piece of code stays on its original line, so the
+ * source map, voc trace and compliance violations still point into src/:
+ * - let/const → var, renaming block-scoped names that would collide
+ * - arrow functions → functions (bound to this when they use it)
+ * - template literals → string concatenation
+ * - shorthand properties and methods, default and rest parameters, spread
+ *   in calls and arrays, destructuring in declarations and parameters
+ * - **, ??, ?., logical assignment, catch without a binding, ES6 numerals
+ * - classes with methods and static methods → constructor functions, with
+ *   the parent's static methods copied onto subclasses (subclasses of
+ *   built-ins such as Error or Array are reported, not lowered)
+ * 
+ * What the runtime has no equivalent for (async/await, generators,
+ * for...of, Promise.all, .catch()) is left as written for the compliance
+ * check of the output to reject. What would change meaning when lowered,
+ * such as a let captured by a function created in a loop, is reported as an
+ * issue with the rule id of the construct.
+ */
+
+import { parse } from 'acorn';
+import { ES51_RULES } from './validation.js';
+
+const SLICE = 'Array.prototype.slice.call';
+
+// Constructors that ignore `this` when called, so Parent.call(this) cannot stand in for super()
+const BUILTIN_CLASSES = [
+  'Error', 'TypeError', 'RangeError', 'ReferenceError', 'SyntaxError', 'EvalError', 'URIError',
+  'Array', 'Map', 'Set', 'WeakMap', 'WeakSet', 'RegExp', 'Date', 'Promise',
+  'String', 'Number', 'Boolean', 'Function'
+];
+
+const ESCAPES = {
+  '\\': '\\\\',
+  '\'': '\\\'',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029'
+};
+
+// Parents in which string concatenation needs no parentheses
+const LOOSE_PARENTS = [
+  'VariableDeclarator', 'AssignmentExpression', 'ArrowFunctionExpression', 'ReturnStatement', 'ThrowStatement', 'ExpressionStatement',
+  'ArrayExpression', 'Property', 'SequenceExpression', 'ConditionalExpression', 'SwitchCase'
+];
+
+/**
+ * Lower a source file to ES5.1
+ * 
+ * @param {string} code - Source code of a single file
+ * @param {object} [options]
+ * @param {string} [options.filename] - File name reported with each issue
+ * @returns {{code: string, issues: Array<{file, line, column, rule, message, snippet}>}}
+ *   The lowered code (the source as written when it does not parse; the
+ *   compliance check reports the syntax error) and the constructs that
+ *   could not be lowered
+ */
+export function transpileToES5(code, options = {}) {
+  let ast;
+  
+  try {
+    ast = parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      locations: true,
+      allowReturnOutsideFunction: true,
+      allowHashBang: true
+    });
+  } catch {
+    return { code, issues: [] };
+  }
+  
+  const context = {
+    code,
+    lines: code.split(/\r?\n/),
+    filename: options.filename || null,
+    issues: [],
+    names: new Set(),
+    renames: new Map(),
+    loopLets: new Set(),
+    functions: [],
+    classes: []
+  };
+  
+  analyze(ast, context);
+  
+  context.functions.push({ temps: [] });
+  const body = emitDefault(ast, context);
+  const { temps } = context.functions.pop();
+  
+  return {
+    code: insertStatements(body, prologueOffset(ast), temps.length > 0 ? [`var ${temps.join(', ')};`] : []),
+    issues: context.issues.sort((a, b) => a.line - b.line || a.column - b.column)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Scope analysis: which block-scoped names must be renamed to become var,
+// and which cannot become var at all
+// ---------------------------------------------------------------------------
+
+function analyze(ast, context) {
+  const state = { bindings: [], occurrences: [] };
+  const root = createScope('function', null, false);
+  
+  hoistVars(ast, root, state);
+  declareLexical(ast.body, root, state, context);
+  visit(ast, null, null, root, false, state, context);
+  
+  for (const occurrence of state.occurrences) {
+    if (occurrence.binding) {
+      occurrence.binding.occurrences.push(occurrence);
+    }
+  }
+  
+  for (const binding of state.bindings) {
+    if (binding.scope.kind !== 'block' || !['let', 'const', 'class'].includes(binding.kind)) {
+      continue;
+    }
+    
+    const owner = binding.scope.functionScope;
+    const collides = state.bindings.some(other => other !== binding && other.name === binding.name && other.scope.functionScope === owner) ||
+      state.occurrences.some(occurrence => occurrence.node.name === binding.name && occurrence.binding !== binding &&
+        isWithin(occurrence.scope, owner) && (!occurrence.binding || !isWithin(occurrence.binding.scope, owner)));
+    
+    if (collides) {
+      const name = unique(context, binding.name);
+      binding.occurrences.forEach(occurrence => context.renames.set(occurrence.node, name));
+    }
+    
+    const captured = binding.kind !== 'class' && binding.scope.inLoop &&
+      binding.occurrences.find(occurrence => occurrence.scope.functionScope !== owner);
+    if (captured) {
+      report(context, binding.occurrences[0].node, 'no-let-const',
+        `'${binding.name}' is declared in a loop and used by a function created there; as a var every call would see its last value`);
+    }
+  }
+}
+
+function createScope(kind, parent, inLoop) {
+  const scope = { kind, parent, inLoop, bindings: new Map() };
+  scope.functionScope = kind === 'function' ? scope : parent.functionScope;
+  return scope;
+}
+
+function declare(scope, name, kind, state) {
+  if (!scope.bindings.has(name)) {
+    const binding = { name, kind, scope, occurrences: [] };
+    scope.bindings.set(name, binding);
+    state.bindings.push(binding);
+  }
+}
+
+function resolve(scope, name) {
+  for (let target = scope; target; target = target.parent) {
+    if (target.bindings.has(name)) {
+      return target.bindings.get(name);
+    }
+  }
+  return null;
+}
+
+function isWithin(scope, ancestor) {
+  for (let target = scope; target; target = target.parent) {
+    if (target === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Declare the var and function declarations of a function body, without
+ * entering nested functions
+ */
+function hoistVars(node, scope, state) {
+  if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+    node.declarations.forEach(declarator => patternNames(declarator.id).forEach(name => declare(scope, name, 'var', state)));
+  } else if (node.type === 'FunctionDeclaration') {
+    declare(scope, node.id.name, 'function', state);
+    return;
+  }
+  
+  if (isFunction(node) || node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+    return;
+  }
+  
+  childNodes(node).forEach(({ child }) => hoistVars(child, scope, state));
+}
+
+/**
+ * Declare the let, const and class declarations directly in a block
+ */
+function declareLexical(statements, scope, state, context) {
+  for (const statement of statements) {
+    if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+      patternNames(statement.declarations.map(declarator => declarator.id)).forEach(name => declare(scope, name, statement.kind, state));
+      if (scope.inLoop) {
+        context.loopLets.add(statement);
+      }
+    } else if (statement.type === 'ClassDeclaration') {
+      declare(scope, statement.id.name, 'class', state);
+    }
+  }
+}
+
+function visit(node, parent, key, scope, inLoop, state, context) {
+  switch (node.type) {
+    case 'Identifier':
+      context.names.add(node.name);
+      if (isReference(node, parent, key)) {
+        state.occurrences.push({ node, scope, binding: resolve(scope, node.name) });
+      }
+      return;
+    
+    case 'BlockStatement':
+    case 'StaticBlock':
+      if (!isFunction(parent)) {
+        scope = createScope('block', scope, inLoop);
+        declareLexical(node.body, scope, state, context);
+      }
+      break;
+    
+    case 'SwitchStatement': {
+      visit(node.discriminant, node, 'discriminant', scope, inLoop, state, context);
+      const inner = createScope('block', scope, inLoop);
+      node.cases.forEach(switchCase => declareLexical(switchCase.consequent, inner, state, context));
+      node.cases.forEach(switchCase => visit(switchCase, node, 'cases', inner, inLoop, state, context));
+      return;
+    }
+    
+    case 'ForStatement':
+    case 'ForInStatement':
+    case 'ForOfStatement': {
+      const head = node.type === 'ForStatement' ? node.init : node.left;
+      const inner = createScope('block', scope, true);
+      if (head && head.type === 'VariableDeclaration' && head.kind !== 'var') {
+        patternNames(head.declarations.map(declarator => declarator.id)).forEach(name => declare(inner, name, head.kind, state));
+      }
+      visitChildren(node, inner, true, state, context);
+      return;
+    }
+    
+    case 'WhileStatement':
+    case 'DoWhileStatement':
+      inLoop = true;
+      break;
+    
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression': {
+      const inner = createScope('function', scope, false);
+      if (node.id) {
+        if (node.type === 'FunctionExpression') {
+          declare(inner, node.id.name, 'function', state);
+        }
+        visit(node.id, node, 'id', node.type === 'FunctionExpression' ? inner : scope, inLoop, state, context);
+      }
+      patternNames(node.params).forEach(name => declare(inner, name, 'param', state));
+      hoistVars(node.body, inner, state);
+      if (node.body.type === 'BlockStatement') {
+        declareLexical(node.body.body, inner, state, context);
+      }
+      node.params.forEach(param => visit(param, node, 'params', inner, false, state, context));
+      visit(node.body, node, 'body', inner, false, state, context);
+      return;
+    }
+    
+    case 'ClassExpression':
+      if (node.id) {
+        scope = createScope('block', scope, inLoop);
+        declare(scope, node.id.name, 'class', state);
+      }
+      break;
+    
+    case 'CatchClause': {
+      const inner = createScope('block', scope, inLoop);
+      if (node.param) {
+        patternNames(node.param).forEach(name => declare(inner, name, 'catch', state));
+      }
+      visitChildren(node, inner, inLoop, state, context);
+      return;
+    }
+  }
+  
+  visitChildren(node, scope, inLoop, state, context);
+}
+
+function visitChildren(node, scope, inLoop, state, context) {
+  childNodes(node).forEach(({ child, key }) => visit(child, node, key, scope, inLoop, state, context));
+}
+
+function isReference(node, parent, key) {
+  if (!parent) {
+    return true;
+  }
+  if (['MemberExpression', 'Property', 'MethodDefinition', 'PropertyDefinition'].includes(parent.type) &&
+      (key === 'property' || key === 'key') && !parent.computed) {
+    return false;
+  }
+  return parent.type !== 'MetaProperty' &&
+    !(key === 'label' && ['LabeledStatement', 'BreakStatement', 'ContinueStatement'].includes(parent.type));
+}
+
+function patternNames(patterns, names = []) {
+  for (const pattern of Array.isArray(patterns) ? patterns : [patterns]) {
+    if (!pattern) {
+      continue;
+    }
+    switch (pattern.type) {
+      case 'Identifier':
+        names.push(pattern.name);
+        break;
+      case 'AssignmentPattern':
+        patternNames(pattern.left, names);
+        break;
+      case 'RestElement':
+        patternNames(pattern.argument, names);
+        break;
+      case 'ArrayPattern':
+        patternNames(pattern.elements, names);
+        break;
+      case 'ObjectPattern':
+        patternNames(pattern.properties.map(property => property.type === 'RestElement' ? property : property.value), names);
+        break;
+    }
+  }
+  return names;
+}
+
+// ---------------------------------------------------------------------------
+// Emission: the source as written, with lowered nodes spliced in
+// ---------------------------------------------------------------------------
+
+function emit(node, context, parent) {
+  const { code } = context;
+  
+  switch (node.type) {
+    case 'Identifier':
+      return context.renames.get(node) || code.slice(node.start, node.end);
+    
+    case 'VariableDeclaration':
+      return emitVariableDeclaration(node, context, parent);
+    
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return emitFunction(node, context, parent);
+    
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return emitClass(node, context);
+    
+    case 'TemplateLiteral':
+      return emitTemplate(node, context, parent);
+    
+    case 'TaggedTemplateExpression':
+      report(context, node, 'no-template-literal', 'Tagged templates cannot be lowered to ES5.1');
+      return code.slice(node.start, node.end);
+    
+    case 'Property':
+      if (parent && parent.type === 'ObjectExpression' && !node.computed) {
+        if (node.shorthand) {
+          return `${node.key.name}: ${emit(node.value, context, node)}`;
+        }
+        if (node.method) {
+          if (containsSuper(node.value)) {
+            report(context, node, 'no-method-shorthand', 'super in object literal methods cannot be lowered to ES5.1');
+            break;
+          }
+          return `${emit(node.key, context, node)}: ${functionKeyword(node.value)} ${emitFunction(node.value, context, node)}`;
+        }
+      }
+      break;
+    
+    case 'ObjectExpression':
+      if (node.properties.some(property => property.type === 'SpreadElement')) {
+        report(context, node, 'no-spread', 'Object spread cannot be lowered to ES5.1; copy the properties in a loop');
+      }
+      break;
+    
+    case 'ArrayExpression':
+      if (node.elements.some(element => element && element.type === 'SpreadElement')) {
+        return keepLines(node, emitSpreadArray(node.elements, context), context);
+      }
+      break;
+    
+    case 'CallExpression':
+      return emitCall(node, context);
+    
+    case 'NewExpression':
+      if (node.arguments.some(argument => argument.type === 'SpreadElement')) {
+        report(context, node, 'no-spread', 'Spread arguments of new cannot be lowered to ES5.1');
+      }
+      return withoutTrailingComma(node, node.arguments, emitDefault(node, context), context);
+    
+    case 'MemberExpression':
+      if (node.object.type === 'Super' && currentClass(context)) {
+        return `${superTarget(context)}${memberSuffix(node, context)}`;
+      }
+      break;
+    
+    case 'ChainExpression':
+      return keepLines(node, emitChain(node, context), context);
+    
+    case 'BinaryExpression':
+      if (node.operator === '**') {
+        return keepLines(node, `Math.pow(${emit(node.left, context, node)}, ${emit(node.right, context, node)})`, context);
+      }
+      break;
+    
+    case 'LogicalExpression':
+      if (node.operator === '??') {
+        const value = emit(node.right, context, node);
+        const [test, result] = reusable(node.left, context);
+        return keepLines(node, `(${test} != null ? ${result} : ${value})`, context);
+      }
+      break;
+    
+    case 'AssignmentExpression':
+      return emitAssignment(node, context);
+    
+    case 'CatchClause':
+      if (!node.param) {
+        return `${code.slice(node.start, node.body.start).trimEnd()} (${unique(context, 'error')}) ${emit(node.body, context, node)}`;
+      }
+      break;
+    
+    case 'Literal':
+      if (typeof node.value === 'number' && /^0[bo]|_/i.test(node.raw)) {
+        const value = String(node.value);
+        return parent && parent.type === 'MemberExpression' && parent.object === node ? `(${value})` : value;
+      }
+      break;
+  }
+  
+  return emitDefault(node, context);
+}
+
+function emitDefault(node, context) {
+  const { code } = context;
+  let text = '';
+  let position = node.start;
+  
+  for (const { child } of childNodes(node)) {
+    // Shorthand properties repeat the key as value
+    if (child.start < position) {
+      continue;
+    }
+    text += code.slice(position, child.start) + emit(child, context, node);
+    position = child.end;
+  }
+  
+  return text + code.slice(position, node.end);
+}
+
+function childNodes(node) {
+  const children = [];
+  
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc') {
+      continue;
+    }
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (child && typeof child.type === 'string') {
+        children.push({ child, key });
+      }
+    }
+  }
+  
+  return children.sort((a, b) => a.child.start - b.child.start || b.child.end - a.child.end);
+}
+
+function emitVariableDeclaration(node, context, parent) {
+  const { code } = context;
+  const inLoopHead = parent && ['ForInStatement', 'ForOfStatement'].includes(parent.type);
+  const declarations = node.declarations;
+  let text = `var${code.slice(node.start + node.kind.length, declarations[0].start)}`;
+  
+  declarations.forEach((declarator, index) => {
+    if (index > 0) {
+      text += code.slice(declarations[index - 1].end, declarator.start);
+    }
+    
+    if (declarator.id.type === 'Identifier') {
+      // A let without initializer starts every loop iteration undefined
+      const reset = !declarator.init && context.loopLets.has(node) ? ' = void 0' : '';
+      text += emitDefault(declarator, context) + reset;
+    } else {
+      const lowered = !inLoopHead && declarator.init ? destructure(declarator.id, declarator.init, context) : null;
+      text += lowered ? keepLines(declarator, lowered.join(', '), context) : emitDefault(declarator, context);
+    }
+  });
+  
+  return text + code.slice(declarations[declarations.length - 1].end, node.end);
+}
+
+/**
+ * Function, method or arrow function from its parameter list on: lowered
+ * parameters become statements at the start of the body, next to the
+ * temporaries the body needs
+ */
+function emitFunction(node, context, parent) {
+  const { code } = context;
+  const isArrow = node.type === 'ArrowFunctionExpression';
+  const first = node.params[0];
+  const last = node.params[node.params.length - 1];
+  
+  if (isArrow && usesArguments(node)) {
+    report(context, node, 'no-arrow-function', 'Arrow functions that use arguments cannot be lowered to ES5.1');
+    return code.slice(node.start, node.end);
+  }
+  
+  let head;
+  let open;
+  let tail;
+  let arrow;
+  
+  if (isArrow) {
+    arrow = code.indexOf('=>', last ? last.end : node.start);
+    const paren = code.slice(node.start, first ? first.start : arrow).indexOf('(');
+    open = paren === -1 ? -1 : node.start + paren;
+    head = `${node.async ? 'async ' : ''}function `;
+    tail = `${open === -1 ? ')' : ''}${code.slice(last ? last.end : open + 1, arrow)}`.replace(/[ \t]+$/, '');
+  } else {
+    open = code.indexOf('(', node.id ? node.id.end : node.start);
+    head = code.slice(node.start, open);
+    tail = code.slice(last ? last.end : open + 1, node.body.start);
+  }
+  
+  context.functions.push({ temps: [] });
+  
+  const prologue = [];
+  let params = first && open !== -1 ? code.slice(open + 1, first.start) : '';
+  node.params.forEach((param, index) => {
+    const separator = index > 0 ? code.slice(node.params[index - 1].end, param.start) : '';
+    const lowered = lowerParam(param, index, context, prologue);
+    params += lowered === null ? separator.replace(/[^\n]/g, '') : separator + lowered;
+  });
+  tail = tail.replace(/^(\s*),/, '$1');
+  
+  let body;
+  let offset = 1;
+  if (node.body.type === 'BlockStatement') {
+    const lead = isArrow ? code.slice(arrow + 2, node.body.start) : '';
+    body = lead + emitDefault(node.body, context);
+    offset = lead.length + prologueOffset(node.body);
+  } else {
+    const lead = code.slice(arrow + 2, node.body.start);
+    const value = lead + emit(node.body, context, node) + code.slice(node.body.end, node.end);
+    body = /\n/.test(lead) ? ` { return (${value}); }` : ` { return ${value.trimStart()}; }`;
+    offset = 2;
+  }
+  
+  const { temps } = context.functions.pop();
+  const statements = [...(temps.length > 0 ? [`var ${temps.join(', ')};`] : []), ...prologue];
+  const text = `${head}(${params}${tail}${insertStatements(body, offset, statements)}`;
+  
+  if (isArrow && usesThis(node)) {
+    return `(${text}).bind(this)`;
+  }
+  return isArrow && parent && parent.type === 'ExpressionStatement' ? `(${text})` : text;
+}
+
+/**
+ * @returns {string|null} The parameter as it stays in the list, null when it
+ *   is removed (rest parameter)
+ */
+function lowerParam(param, index, context, prologue) {
+  switch (param.type) {
+    case 'AssignmentPattern': {
+      const name = param.left.type === 'Identifier' ? emit(param.left, context, param) : unique(context, 'ref');
+      const declarations = param.left.type === 'Identifier' ? [] : lowerPattern(param.left, name, context, []);
+      if (!declarations) {
+        return emitDefault(param, context);
+      }
+      prologue.push(`if (${name} === void 0) { ${name} = ${emit(param.right, context, param)}; }`);
+      if (declarations.length > 0) {
+        prologue.push(`var ${declarations.join(', ')};`);
+      }
+      return name;
+    }
+    
+    case 'RestElement': {
+      const rest = `${SLICE}(arguments, ${index})`;
+      const declarations = param.argument.type === 'Identifier'
+        ? [`${emit(param.argument, context, param)} = ${rest}`]
+        : destructureValue(param.argument, rest, context);
+      if (!declarations) {
+        return emitDefault(param, context);
+      }
+      prologue.push(`var ${declarations.join(', ')};`);
+      return null;
+    }
+    
+    case 'ObjectPattern':
+    case 'ArrayPattern': {
+      const name = unique(context, 'ref');
+      const declarations = lowerPattern(param, name, context, []);
+      if (!declarations) {
+        return emitDefault(param, context);
+      }
+      if (declarations.length > 0) {
+        prologue.push(`var ${declarations.join(', ')};`);
+      }
+      return name;
+    }
+  }
+  
+  return emit(param, context, null);
+}
+
+/**
+ * Declarators that destructure an initializer
+ * 
+ * @returns {string[]|null} null when the pattern cannot be lowered
+ */
+function destructure(pattern, init, context) {
+  const source = emit(init, context, null);
+  return init.type === 'Identifier' && pattern.type !== 'AssignmentPattern'
+    ? lowerPattern(pattern, source, context, [])
+    : destructureValue(pattern, source, context);
+}
+
+function destructureValue(pattern, source, context) {
+  const name = unique(context, 'ref');
+  const declarations = lowerPattern(pattern, name, context, [`${name} = ${source}`]);
+  return declarations;
+}
+
+function lowerPattern(pattern, source, context, declarations) {
+  switch (pattern.type) {
+    case 'Identifier':
+      declarations.push(`${emit(pattern, context, null)} = ${source}`);
+      return declarations;
+    
+    case 'AssignmentPattern': {
+      const name = unique(context, 'ref');
+      declarations.push(`${name} = ${source}`);
+      return lowerPattern(pattern.left, `${name} === void 0 ? ${emit(pattern.right, context, pattern)} : ${name}`, context, declarations);
+    }
+    
+    case 'ObjectPattern': {
+      const base = plainSource(source, context, declarations);
+      for (const property of pattern.properties) {
+        if (property.type === 'RestElement') {
+          report(context, property, 'no-destructuring', 'Object rest in destructuring cannot be lowered to ES5.1');
+          return null;
+        }
+        if (!lowerPattern(property.value, base + propertyAccess(property, context), context, declarations)) {
+          return null;
+        }
+      }
+      return declarations;
+    }
+    
+    case 'ArrayPattern': {
+      const base = plainSource(source, context, declarations);
+      for (const [index, element] of pattern.elements.entries()) {
+        if (!element) {
+          continue;
+        }
+        const lowered = element.type === 'RestElement'
+          ? lowerPattern(element.argument, `${SLICE}(${base}, ${index})`, context, declarations)
+          : lowerPattern(element, `${base}[${index}]`, context, declarations);
+        if (!lowered) {
+          return null;
+        }
+      }
+      return declarations;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * A name holding the source, so its parts can be read one by one
+ */
+function plainSource(source, context, declarations) {
+  if (/^[\w$]+$/.test(source)) {
+    return source;
+  }
+  const name = unique(context, 'ref');
+  declarations.push(`${name} = ${source}`);
+  return name;
+}
+
+function propertyAccess(property, context) {
+  if (property.computed) {
+    return `[${emit(property.key, context, property)}]`;
+  }
+  return property.key.type === 'Identifier' ? `.${property.key.name}` : `[${property.key.raw}]`;
+}
+
+function emitClass(node, context) {
+  const { code } = context;
+  const members = node.body.body;
+  const unsupported = members.find(member => member.type !== 'MethodDefinition' || member.computed ||
+    member.key.type === 'PrivateIdentifier' || member.kind === 'get' || member.kind === 'set');
+  
+  if (unsupported) {
+    report(context, unsupported, 'no-class', 'Class fields, getters, setters and computed or private members cannot be lowered to ES5.1');
+    return code.slice(node.start, node.end);
+  }
+  if (containsMetaProperty(node.body)) {
+    report(context, node, 'no-meta-property', 'new.target cannot be lowered to ES5.1');
+    return code.slice(node.start, node.end);
+  }
+  if (node.superClass && node.superClass.type === 'Identifier' && BUILTIN_CLASSES.includes(node.superClass.name)) {
+    report(context, node.superClass, 'no-class',
+      `Subclasses of ${node.superClass.name} cannot be lowered to ES5.1: calling a built-in constructor does not initialize this`);
+    return code.slice(node.start, node.end);
+  }
+  
+  const name = node.id ? node.id.name : unique(context, 'class');
+  const parentName = node.superClass ? unique(context, 'super') : '';
+  const headerLines = '\n'.repeat(countLines(code.slice(node.start, node.body.start)));
+  
+  context.classes.push({ parentName, isStatic: false });
+  
+  let text = `(function (${parentName}) {${headerLines}`;
+  if (!members.some(member => member.kind === 'constructor')) {
+    text += ` function ${name}() {${node.superClass ? ` ${parentName}.apply(this, arguments);` : ''} }`;
+  }
+  if (node.superClass) {
+    // Static methods are inherited too: copy the parent's own properties, as they are when the class is defined
+    const key = unique(context, 'key');
+    text += ` ${name}.prototype = Object.create(${parentName}.prototype, { constructor: { value: ${name}, writable: true, configurable: true } });`;
+    text += ` Object.getOwnPropertyNames(${parentName}).forEach(function (${key}) { if (!Object.prototype.hasOwnProperty.call(${name}, ${key})) {` +
+      ` Object.defineProperty(${name}, ${key}, Object.getOwnPropertyDescriptor(${parentName}, ${key})); } });`;
+  }
+  
+  let position = node.body.start + 1;
+  for (const member of members) {
+    text += code.slice(position, member.start);
+    currentClass(context).isStatic = member.static;
+    
+    const method = emitFunction(member.value, context, member);
+    if (member.kind === 'constructor') {
+      text += `function ${name}${method}`;
+    } else {
+      const target = member.static ? name : `${name}.prototype`;
+      const key = member.key.type === 'Identifier' ? quote(member.key.name) : member.key.raw;
+      text += `Object.defineProperty(${target}, ${key}, { value: ${functionKeyword(member.value)} ${method}, writable: true, configurable: true });`;
+    }
+    position = member.end;
+  }
+  
+  context.classes.pop();
+  
+  text += `${code.slice(position, node.body.end - 1)} return ${name}; })(${node.superClass ? emit(node.superClass, context, node) : ''})`;
+  return node.type === 'ClassDeclaration' ? `var ${emit(node.id, context, node)} = ${text};` : text;
+}
+
+function emitTemplate(node, context, parent) {
+  const parts = [];
+  
+  node.quasis.forEach((quasi, index) => {
+    // The leading '' makes the first + a concatenation when no text follows
+    const needed = index === 0 ? quasi.value.cooked !== '' || node.expressions.length === 0 || node.quasis[1].value.cooked === '' : quasi.value.cooked !== '';
+    if (needed) {
+      parts.push(quote(quasi.value.cooked));
+    }
+    if (index < node.expressions.length) {
+      const expression = node.expressions[index];
+      const text = emit(expression, context, node);
+      parts.push(['Identifier', 'Literal', 'MemberExpression', 'CallExpression', 'ThisExpression'].includes(expression.type) ? text : `(${text})`);
+    }
+  });
+  
+  const loose = parts.length === 1 || !parent || LOOSE_PARENTS.includes(parent.type) ||
+    (['CallExpression', 'NewExpression'].includes(parent.type) && parent.callee !== node);
+  const text = loose ? parts.join(' + ') : `(${parts.join(' + ')})`;
+  return keepLines(node, text, context);
+}
+
+function emitCall(node, context) {
+  const callee = node.callee;
+  const parentClass = currentClass(context);
+  const spread = node.arguments.some(argument => argument.type === 'SpreadElement');
+  
+  if (callee.type === 'Super' && parentClass) {
+    return keepLines(node, spread
+      ? `${parentClass.parentName}.apply(this, ${emitSpreadArray(node.arguments, context)})`
+      : `${parentClass.parentName}.call(${['this', ...emitArguments(node, context)].join(', ')})`, context);
+  }
+  if (callee.type === 'MemberExpression' && callee.object.type === 'Super' && parentClass) {
+    const method = `${superTarget(context)}${memberSuffix(callee, context)}`;
+    return keepLines(node, spread
+      ? `${method}.apply(this, ${emitSpreadArray(node.arguments, context)})`
+      : `${method}.call(${['this', ...emitArguments(node, context)].join(', ')})`, context);
+  }
+  if (!spread) {
+    return withoutTrailingComma(node, node.arguments, emitDefault(node, context), context);
+  }
+  
+  const args = emitSpreadArray(node.arguments, context);
+  if (callee.type === 'MemberExpression') {
+    const [object, self] = reusable(callee.object, context);
+    return keepLines(node, `${object}${memberSuffix(callee, context)}.apply(${self}, ${args})`, context);
+  }
+  
+  const fn = emit(callee, context, node);
+  return keepLines(node, `${callee.type === 'Identifier' ? fn : `(${fn})`}.apply(void 0, ${args})`, context);
+}
+
+function emitArguments(node, context) {
+  return node.arguments.map(argument => emit(argument, context, node));
+}
+
+/**
+ * [a, ...list, b] → [a].concat(Array.prototype.slice.call(list), [b])
+ */
+function emitSpreadArray(elements, context) {
+  const parts = [];
+  let group = null;
+  
+  for (const element of elements) {
+    if (element && element.type === 'SpreadElement') {
+      group = null;
+      parts.push(`${SLICE}(${emit(element.argument, context, element)})`);
+    } else {
+      if (!group) {
+        group = [];
+        parts.push(group);
+      }
+      group.push(element ? emit(element, context, null) : 'void 0');
+    }
+  }
+  
+  const texts = parts.map(part => Array.isArray(part) ? `[${part.join(', ')}]` : part);
+  return texts.length === 1 ? texts[0] : `${texts[0]}.concat(${texts.slice(1).join(', ')})`;
+}
+
+/**
+ * a?.b.c → (a == null ? void 0 : a.b.c); every optional link adds a test,
+ * on a temporary when the value before it is not a plain name
+ */
+function emitChain(node, context) {
+  const guards = [];
+  
+  const link = element => {
+    if (!['MemberExpression', 'CallExpression'].includes(element.type)) {
+      return emit(element, context, null);
+    }
+    
+    const isCall = element.type === 'CallExpression';
+    const target = isCall ? element.callee : element.object;
+    let base = link(target);
+    
+    if (element.optional) {
+      if (isCall ? !/^[\w$.]+$/.test(base) : !/^[\w$]+$/.test(base)) {
+        if (isCall) {
+          report(context, element, 'no-optional-chaining', 'Optional calls can only be lowered on a plain function or method name');
+        }
+        const name = allocateTemp(context);
+        guards.push(`(${name} = ${base}) == null`);
+        base = name;
+      } else {
+        guards.push(`${base} == null`);
+      }
+    }
+    
+    return isCall
+      ? `${base}(${emitArguments(element, context).join(', ')})`
+      : `${base}${memberSuffix(element, context)}`;
+  };
+  
+  const text = link(node.expression);
+  return guards.length > 0 ? `(${guards.join(' || ')} ? void 0 : ${text})` : text;
+}
+
+function emitAssignment(node, context) {
+  const { left, operator } = node;
+  const simpleTarget = left.type === 'Identifier' ||
+    (left.type === 'MemberExpression' && isPlain(left.object) && (!left.computed || left.property.type === 'Literal'));
+  
+  if (!simpleTarget || !['&&=', '||=', '??=', '**='].includes(operator)) {
+    return emitDefault(node, context);
+  }
+  
+  const target = emit(left, context, node);
+  const value = emit(node.right, context, node);
+  let text;
+  
+  switch (operator) {
+    case '&&=':
+      text = `(${target} && (${target} = ${value}))`;
+      break;
+    case '||=':
+      text = `(${target} || (${target} = ${value}))`;
+      break;
+    case '??=':
+      text = `(${target} != null ? ${target} : (${target} = ${value}))`;
+      break;
+    default:
+      text = `(${target} = Math.pow(${target}, ${value}))`;
+  }
+  
+  return keepLines(node, text, context);
+}
+
+/**
+ * A value that is used twice: plain names as they are, anything else
+ * through a temporary
+ * 
+ * @returns {[string, string]} Text of the first use, text of the second
+ */
+function reusable(node, context) {
+  const text = emit(node, context, null);
+  if (isPlain(node)) {
+    return [text, text];
+  }
+  const name = allocateTemp(context);
+  return [`(${name} = ${text})`, name];
+}
+
+function isPlain(node) {
+  return node.type === 'Identifier' || node.type === 'ThisExpression';
+}
+
+function memberSuffix(member, context) {
+  return member.computed ? `[${emit(member.property, context, member)}]` : `.${member.property.name}`;
+}
+
+function currentClass(context) {
+  return context.classes[context.classes.length - 1] || null;
+}
+
+function superTarget(context) {
+  const parentClass = currentClass(context);
+  return parentClass.isStatic ? parentClass.parentName : `${parentClass.parentName}.prototype`;
+}
+
+function functionKeyword(fn) {
+  return `${fn.async ? 'async ' : ''}function${fn.generator ? '*' : ''}`;
+}
+
+/**
+ * ES5.1 does not accept a comma after the last argument
+ */
+function withoutTrailingComma(node, items, text, context) {
+  if (items.length === 0) {
+    return text;
+  }
+  const rest = context.code.slice(items[items.length - 1].end, node.end);
+  return /^\s*,/.test(rest) ? text.slice(0, text.length - rest.length) + rest.replace(',', '') : text;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Generated text spans fewer lines than the source it replaces; pad it with
+ * the missing line breaks so the code after it keeps its line
+ */
+function keepLines(node, text, context) {
+  const missing = countLines(context.code.slice(node.start, node.end)) - countLines(text);
+  return missing > 0 ? text + '\n'.repeat(missing) : text;
+}
+
+function countLines(text) {
+  return (text.match(/\n/g) || []).length;
+}
+
+/**
+ * Where statements added to a body go: after its opening brace and
+ * directives ('use strict')
+ */
+function prologueOffset(body) {
+  let offset = body.type === 'Program' ? 0 : 1;
+  for (const statement of body.body) {
+    if (!statement.directive) {
+      break;
+    }
+    offset = statement.end - body.start;
+  }
+  return offset;
+}
+
+function insertStatements(text, offset, statements) {
+  if (statements.length === 0) {
+    return text;
+  }
+  return offset === 0
+    ? `${statements.join(' ')} ${text}`
+    : `${text.slice(0, offset)} ${statements.join(' ')}${text.slice(offset)}`;
+}
+
+function allocateTemp(context) {
+  const name = unique(context, 'ref');
+  context.functions[context.functions.length - 1].temps.push(name);
+  return name;
+}
+
+function unique(context, base) {
+  let name = `_${base}`;
+  for (let index = 2; context.names.has(name); index++) {
+    name = `_${base}${index}`;
+  }
+  context.names.add(name);
+  return name;
+}
+
+function quote(value) {
+  const escaped = value.replace(/[\\'\u2028\u2029]|[^ -~\u00a0-\uffff]/g, char =>
+    ESCAPES[char] || `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+  return `'${escaped}'`;
+}
+
+function isFunction(node) {
+  return Boolean(node) && ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+}
+
+/**
+ * Whether a node uses something of its function that an arrow function
+ * shares with the function around it
+ */
+function findInArrow(node, predicate) {
+  if (predicate(node)) {
+    return true;
+  }
+  if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression') {
+    return false;
+  }
+  return childNodes(node).some(({ child }) => findInArrow(child, predicate));
+}
+
+function usesThis(node) {
+  return findInArrow(node.body, child => child.type === 'ThisExpression' || child.type === 'Super');
+}
+
+function usesArguments(node) {
+  return findInArrow(node.body, child => child.type === 'Identifier' && child.name === 'arguments');
+}
+
+function containsSuper(fn) {
+  return findInArrow(fn.body, child => child.type === 'Super');
+}
+
+function containsMetaProperty(node) {
+  return node.type === 'MetaProperty' || childNodes(node).some(({ child }) => containsMetaProperty(child));
+}
+
+function report(context, node, rule, message) {
+  const { line, column } = node.loc.start;
+  context.issues.push({
+    file: context.filename,
+    line,
+    column: column + 1,
+    rule,
+    message: `${ES51_RULES[rule]}: ${message}`,
+    snippet: (context.lines[line - 1] || '').trim()
+  });
+}
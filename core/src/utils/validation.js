@@ -1,89 +1,353 @@
 /**
  * ES5.1 Compliance Validation for Vocalls
  * 
- * Checks for forbidden patterns according to Vocalls ES5.1 restrictions
+ * Parses each source file into a syntax tree and reports every construct
+ * that the Vocalls ES5.1 runtime does not support. Because the checks run
+ * on AST nodes, strings, regex literals and comments never produce false
+ * positives. Code without violations must also parse as ES5; syntax no rule
+ * names is reported as es5-syntax.
  */
 
-export function validateES51Compliance(code) {
-  const forbiddenPatterns = [
-    { pattern: /\basync\b|\bawait\b/, message: 'async/await not allowed in Vocalls ES5.1' },
-    { pattern: /\bclass\s+[\w$]+/, message: 'ES6 classes not allowed in Vocalls' },
-    { pattern: /\bimport\s|export\s+/, message: 'import/export not allowed in Vocalls' },
-    { pattern: /\brequire\s*\(/, message: 'require() not allowed in Vocalls runtime' },
-    { pattern: /\b(let|const)\s+/, message: 'let/const not allowed, use var in Vocalls ES5.1' },
-    { pattern: /\.catch\s*\(/, message: '.catch() not supported in Vocalls (use .then(success, error))' },
-    { pattern: /\?\?/, message: 'nullish coalescing (??) not allowed in ES5.1' },
-    { pattern: /\?\./, message: 'optional chaining (?.) not allowed in ES5.1' },
-    { pattern: /\beval\s*\(|new\s+Function\s*\(/, message: 'eval/Function constructor not allowed in Vocalls' },
-    { pattern: /\bconsole\.(log|info|warn|error)\s*\(/, message: 'console.* not allowed, use logInfo/logWarn/logError' },
-    { pattern: /\bsetTimeout\s*\(|\bsetInterval\s*\(/, message: 'setTimeout/setInterval not available in Vocalls' },
-    { pattern: /\bPromise\.all\s*\(|\bPromise\.race\s*\(/, message: 'Promise.all/race not supported in Vocalls ES5.1' },
-    { pattern: /`[^`]*`/, message: 'Template literals not allowed in ES5.1' },
-    { pattern: /=\s*>/, message: 'Arrow functions not allowed in ES5.1' },
-    { pattern: /\bfor\s*\(\s*(?:let|const)/, message: 'for...of/for...in with let/const not allowed in ES5.1' },
-    { pattern: /\.\.\./, message: 'Spread operator not allowed in ES5.1' },
-    { pattern: /\{[^}]*:\s*[^}]*\}\s*=/, message: 'Destructuring assignment not allowed in ES5.1' },
-    { pattern: /\[[^\]]*\]\s*=/, message: 'Array destructuring not allowed in ES5.1' }
-  ];
+import { parse } from 'acorn';
+import { full as walkFull } from 'acorn-walk';
+import { getRuntimeProfile } from './runtime-profile.js';
+import { checkSymbols } from './symbols.js';
 
+/**
+ * Rule ids and messages reported by validateES51Compliance
+ */
+export const ES51_RULES = {
+  'syntax-error': 'Source could not be parsed',
+  'no-let-const': 'let/const not allowed, use var in Vocalls ES5.1',
+  'no-arrow-function': 'Arrow functions not allowed in ES5.1',
+  'no-template-literal': 'Template literals not allowed in ES5.1',
+  'no-class': 'ES6 classes not allowed in Vocalls',
+  'no-async-await': 'async/await not allowed in Vocalls ES5.1',
+  'no-generator': 'Generators (function*/yield) not allowed in ES5.1',
+  'no-import-export': 'import/export not allowed in Vocalls',
+  'no-destructuring': 'Destructuring not allowed in ES5.1',
+  'no-spread': 'Spread operator not allowed in ES5.1',
+  'no-rest-parameters': 'Rest parameters not allowed in ES5.1',
+  'no-default-parameters': 'Default parameter values not allowed in ES5.1',
+  'no-for-of': 'for...of loops not allowed in ES5.1',
+  'no-shorthand-property': 'Shorthand properties not allowed in ES5.1',
+  'no-method-shorthand': 'Method shorthand not allowed in ES5.1',
+  'no-computed-property': 'Computed property names not allowed in ES5.1',
+  'no-optional-chaining': 'optional chaining (?.) not allowed in ES5.1',
+  'no-nullish-coalescing': 'nullish coalescing (??) not allowed in ES5.1',
+  'no-logical-assignment': 'Logical assignment (&&=, ||=, ??=) not allowed in ES5.1',
+  'no-exponentiation': 'Exponentiation operator (**) not allowed in ES5.1, use Math.pow',
+  'no-meta-property': 'new.target/import.meta not allowed in ES5.1',
+  'no-optional-catch-binding': 'catch without a binding not allowed in ES5.1',
+  'no-es6-literal': 'Binary/octal literals, numeric separators and BigInt not allowed in ES5.1',
+  'no-es6-regex-flags': 'Regex flags other than g, i and m not allowed in ES5.1',
+  'no-es2018-regex': 'Regex named groups and lookbehind not allowed in ES5.1',
+  'no-unicode-code-point-escape': 'Code point escapes (\\u{...}) not allowed in ES5.1, use \\uXXXX',
+  'no-trailing-comma': 'Trailing commas in parameter and argument lists not allowed in ES5.1',
+  'es5-syntax': 'Syntax not valid in ES5.1',
+  'no-require': 'require() not allowed in Vocalls runtime',
+  'no-eval': 'eval/Function constructor not allowed in Vocalls',
+  'no-console': 'console.* not allowed, use logInfo/logWarn/logError',
+  'no-timers': 'setTimeout/setInterval not available in Vocalls',
+  'no-promise-combinators': 'Promise.all/race not supported in Vocalls ES5.1',
+  'no-promise-catch': '.catch() not supported in Vocalls (use .then(success, error))'
+};
+
+const ES51_REGEX_FLAGS = /^[gim]*$/;
+const TIMER_FUNCTIONS = ['setTimeout', 'setInterval', 'setImmediate'];
+const PROMISE_COMBINATORS = ['all', 'race', 'allSettled', 'any'];
+
+// \u{...} not preceded by an escaped backslash
+const CODE_POINT_ESCAPE = /(^|[^\\])(\\\\)*\\u\{/;
+
+// Whitespace and comments, then a comma
+const TRAILING_COMMA = /^(?:\s|\/\*[\s\S]*?\*\/|\/\/[^\n]*\n)*,/;
+
+/**
+ * Validate source code against the Vocalls ES5.1 restrictions
+ * 
+ * @param {string} code - Source code of a single file
+ * @param {object} [options]
+ * @param {string} [options.filename] - File name reported with each violation
+ * @returns {Array<{file, line, column, rule, message, snippet}>} Violations
+ *   sorted by position; line and column are 1-based
+ */
+export function validateES51Compliance(code, options = {}) {
+  const filename = options.filename || null;
+  const lines = code.split(/\r?\n/);
   const violations = [];
-  const lines = code.split('\n');
   
-  lines.forEach((line, index) => {
-    // Skip comments and strings to reduce false positives
-    const cleanLine = line.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/, '');
-    
-    forbiddenPatterns.forEach(({ pattern, message }) => {
-      if (pattern.test(cleanLine)) {
-        violations.push({
-          line: index + 1,
-          message,
-          snippet: line.trim()
-        });
-      }
+  const report = (rule, loc, message = ES51_RULES[rule]) => {
+    violations.push({
+      file: filename,
+      line: loc.line,
+      column: loc.column + 1,
+      rule,
+      message,
+      snippet: (lines[loc.line - 1] || '').trim()
+    });
+  };
+  
+  let ast;
+  try {
+    ast = parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      locations: true,
+      allowImportExportEverywhere: true,
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true,
+      allowHashBang: true
     });
+  } catch (err) {
+    const loc = err.loc || { line: 1, column: 0 };
+    report('syntax-error', loc, `${ES51_RULES['syntax-error']}: ${err.message}`);
+    return violations;
+  }
+  
+  const hasTrailingComma = (items, end) =>
+    items.length > 0 && TRAILING_COMMA.test(code.slice(items[items.length - 1].end, end));
+  
+  walkFull(ast, node => {
+    const loc = node.loc.start;
+    
+    switch (node.type) {
+      case 'VariableDeclaration':
+        if (node.kind !== 'var') {
+          report('no-let-const', loc);
+        }
+        break;
+        
+      case 'ArrowFunctionExpression':
+        report('no-arrow-function', loc);
+        checkFunction(node, report);
+        break;
+        
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+        checkFunction(node, report);
+        if (hasTrailingComma(node.params, node.body.start)) {
+          report('no-trailing-comma', node.params[node.params.length - 1].loc.end);
+        }
+        break;
+        
+      case 'Identifier':
+        if (node.end - node.start !== node.name.length && CODE_POINT_ESCAPE.test(code.slice(node.start, node.end))) {
+          report('no-unicode-code-point-escape', loc);
+        }
+        break;
+        
+      case 'TemplateLiteral':
+        report('no-template-literal', loc);
+        break;
+        
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        report('no-class', loc);
+        break;
+        
+      case 'AwaitExpression':
+        report('no-async-await', loc);
+        break;
+        
+      case 'YieldExpression':
+        report('no-generator', loc);
+        break;
+        
+      case 'ImportDeclaration':
+      case 'ImportExpression':
+      case 'ExportNamedDeclaration':
+      case 'ExportDefaultDeclaration':
+      case 'ExportAllDeclaration':
+        report('no-import-export', loc);
+        break;
+        
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+        report('no-destructuring', loc);
+        break;
+        
+      case 'SpreadElement':
+        report('no-spread', loc);
+        break;
+        
+      case 'ForOfStatement':
+        report('no-for-of', loc);
+        break;
+        
+      case 'Property':
+        if (node.shorthand) {
+          report('no-shorthand-property', loc);
+        } else if (node.method) {
+          report('no-method-shorthand', loc);
+        }
+        if (node.computed) {
+          report('no-computed-property', loc);
+        }
+        break;
+        
+      case 'ChainExpression':
+        report('no-optional-chaining', loc);
+        break;
+        
+      case 'LogicalExpression':
+        if (node.operator === '??') {
+          report('no-nullish-coalescing', loc);
+        }
+        break;
+        
+      case 'BinaryExpression':
+        if (node.operator === '**') {
+          report('no-exponentiation', loc);
+        }
+        break;
+        
+      case 'AssignmentExpression':
+        if (['&&=', '||=', '??='].includes(node.operator)) {
+          report('no-logical-assignment', loc);
+        } else if (node.operator === '**=') {
+          report('no-exponentiation', loc);
+        }
+        break;
+        
+      case 'MetaProperty':
+        report('no-meta-property', loc);
+        break;
+        
+      case 'CatchClause':
+        if (!node.param) {
+          report('no-optional-catch-binding', loc);
+        }
+        break;
+        
+      case 'Literal':
+        checkLiteral(node, report);
+        break;
+        
+      case 'CallExpression':
+      case 'NewExpression':
+        checkCall(node, report);
+        if (hasTrailingComma(node.arguments, node.end)) {
+          report('no-trailing-comma', node.arguments[node.arguments.length - 1].loc.end);
+        }
+        break;
+    }
   });
-
-  return violations;
+  
+  // Syntax the rules above do not name: the code must still parse as ES5
+  if (violations.length === 0) {
+    try {
+      parse(code, { ecmaVersion: 5, sourceType: 'script', allowReturnOutsideFunction: true, allowHashBang: true });
+    } catch (err) {
+      report('es5-syntax', err.loc || { line: 1, column: 0 }, `${ES51_RULES['es5-syntax']}: ${err.message.replace(/ \(\d+:\d+\)$/, '')}`);
+    }
+  }
+  
+  return violations.sort((a, b) => a.line - b.line || a.column - b.column);
 }
 
-export function validateVocallsGlobals(code) {
-  const requiredGlobals = [
-    'context',
-    'jsonHttpRequest',
-    'Storage'
-  ];
+function checkFunction(node, report) {
+  if (node.async) {
+    report('no-async-await', node.loc.start);
+  }
+  if (node.generator) {
+    report('no-generator', node.loc.start);
+  }
   
-  const availableGlobals = [
-    'context.callInfo',
-    'context.session.variables',
-    'jsonHttpRequest',
-    'httpRequest', 
-    'Storage',
-    'logInfo',
-    'logWarn', 
-    'logError',
-    'log_debug',
-    'nowUTC'
-  ];
+  for (const param of node.params) {
+    if (param.type === 'RestElement') {
+      report('no-rest-parameters', param.loc.start);
+    } else if (param.type === 'AssignmentPattern') {
+      report('no-default-parameters', param.loc.start);
+    }
+  }
+}
+
+function checkLiteral(node, report) {
+  if (node.regex) {
+    if (!ES51_REGEX_FLAGS.test(node.regex.flags)) {
+      report('no-es6-regex-flags', node.loc.start);
+    }
+    if (hasES2018Groups(node.regex.pattern)) {
+      report('no-es2018-regex', node.loc.start);
+    }
+  } else if (typeof node.value === 'string' && CODE_POINT_ESCAPE.test(node.raw)) {
+    report('no-unicode-code-point-escape', node.loc.start);
+  } else if (node.bigint !== undefined) {
+    report('no-es6-literal', node.loc.start);
+  } else if (typeof node.value === 'number' && /^0[bBoO]|_/.test(node.raw)) {
+    report('no-es6-literal', node.loc.start);
+  }
+}
+
+/**
+ * Named groups (?<name>...), named backreferences \k<name> and lookbehind
+ * (?<=...), (?<!...) outside character classes
+ */
+function hasES2018Groups(pattern) {
+  let inClass = false;
   
-  const warnings = [];
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      if (!inClass && pattern[index + 1] === 'k' && pattern[index + 2] === '<') {
+        return true;
+      }
+      index++;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === ']') {
+      inClass = false;
+    } else if (!inClass && pattern.startsWith('(?<', index)) {
+      return true;
+    }
+  }
   
-  // Check for usage of undefined globals (basic check)
-  const globalPattern = /\b([a-zA-Z_$][a-zA-Z0-9_$]*)\s*[.(]/g;
-  let match;
+  return false;
+}
+
+function checkCall(node, report) {
+  const callee = node.callee;
+  const loc = node.loc.start;
   
-  while ((match = globalPattern.exec(code)) !== null) {
-    const globalName = match[1];
-    
-    if (!availableGlobals.some(g => g.startsWith(globalName)) && 
-        !['var', 'function', 'if', 'for', 'while', 'return', 'new'].includes(globalName)) {
-      warnings.push({
-        global: globalName,
-        message: `Potentially undefined global: ${globalName}`
-      });
+  if (callee.type === 'Identifier') {
+    if (callee.name === 'require' && node.type === 'CallExpression') {
+      report('no-require', loc);
+    } else if (callee.name === 'eval' || callee.name === 'Function') {
+      report('no-eval', loc);
+    } else if (TIMER_FUNCTIONS.includes(callee.name)) {
+      report('no-timers', loc);
     }
+    return;
   }
   
-  return warnings;
-}
\ No newline at end of file
+  if (callee.type !== 'MemberExpression' || callee.computed) {
+    return;
+  }
+  
+  const objectName = callee.object.type === 'Identifier' ? callee.object.name : null;
+  const propertyName = callee.property.name;
+  
+  if (objectName === 'console') {
+    report('no-console', loc);
+  } else if (objectName === 'Promise' && PROMISE_COMBINATORS.includes(propertyName)) {
+    report('no-promise-combinators', loc);
+  } else if (propertyName === 'catch' && node.type === 'CallExpression') {
+    report('no-promise-catch', callee.property.loc.start);
+  }
+}
+
+/**
+ * Globals a single script uses that it does not declare and the runtime
+ * profile does not provide; `voc lint` checks the files of a project
+ * together, see symbols.js
+ * 
+ * @param {string} code - Source code of a single file
+ * @param {object} [profile] - Runtime profile, see runtime-profile.js
+ * @returns {Array<{global, line, message}>}
+ */
+export function validateVocallsGlobals(code, profile = getRuntimeProfile()) {
+  return checkSymbols([{ path: 'script', code }], profile)
+    .filter(issue => issue.type === 'undefined')
+    .map(issue => ({ global: issue.name, line: issue.line, message: `Undefined global: ${issue.name}` }));
+}
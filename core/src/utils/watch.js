@@ -0,0 +1,96 @@
+/**
+ * File Watching
+ * 
+ * Watches a project's src/ tree and project.json, batching change events
+ * so one save triggers one rebuild
+ */
+
+import fs from 'fs';
+import { join, relative } from 'path';
+
+const DEBOUNCE_MS = 100;
+
+/**
+ * Watch a project for source and configuration changes
+ * 
+ * @param {string} projectPath
+ * @param {Function} onChange - Called with the changed paths, relative to
+ *   the project ("src/callScripts/main.js", "project.json"). May return a
+ *   promise; changes arriving while it runs are batched into the next call,
+ *   so it should report its own errors.
+ * @returns {{close: Function}}
+ */
+export function watchProject(projectPath, onChange) {
+  const srcDir = join(projectPath, 'src');
+  const watchers = [];
+  const changed = new Set();
+  let timer = null;
+  let running = false;
+  
+  const flush = () => {
+    if (running || changed.size === 0) {
+      return;
+    }
+    
+    const files = [...changed].sort();
+    changed.clear();
+    running = true;
+    
+    Promise.resolve()
+      .then(() => onChange(files))
+      .catch(() => {})
+      .finally(() => {
+        running = false;
+        flush();
+      });
+  };
+  
+  const schedule = filePath => {
+    changed.add(relative(projectPath, filePath).replace(/\\/g, '/'));
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  };
+  
+  try {
+    watchers.push(fs.watch(srcDir, { recursive: true }, (event, filename) => {
+      if (filename) {
+        schedule(join(srcDir, filename));
+      }
+    }));
+  } catch {
+    // Recursive watching is unavailable on some platforms (Linux before
+    // Node 20): watch every directory instead
+    for (const dir of listDirectories(srcDir)) {
+      watchers.push(fs.watch(dir, (event, filename) => {
+        if (filename) {
+          schedule(join(dir, filename));
+        }
+      }));
+    }
+  }
+  
+  watchers.push(fs.watch(projectPath, (event, filename) => {
+    if (filename === 'project.json') {
+      schedule(join(projectPath, filename));
+    }
+  }));
+  
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    }
+  };
+}
+
+function listDirectories(dir) {
+  const dirs = [dir];
+  
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      dirs.push(...listDirectories(join(dir, entry.name)));
+    }
+  }
+  
+  return dirs;
+}
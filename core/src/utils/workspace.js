@@ -7,6 +7,7 @@
 import { promises as fs } from 'fs';
 import { join, resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { loadProjectConfig } from './config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -64,21 +65,7 @@ export async function listAllProjects() {
 
 export async function getProjectInfo(projectName) {
   const projectPath = await findProject(projectName);
-  const configPath = join(projectPath, 'project.json');
-  
-  let config = {
-    name: projectName,
-    customer: 'Unknown',
-    description: '',
-    version: '1.0.0'
-  };
-  
-  try {
-    const content = await fs.readFile(configPath, 'utf8');
-    config = { ...config, ...JSON.parse(content) };
-  } catch {
-    // Use defaults if config doesn't exist
-  }
+  const config = await loadProjectConfig(projectPath);
   
   return {
     ...config,
@@ -28,8 +28,9 @@ if (isValidObject(lineData)) {
     customerName = lineData.customerName;
     customerProject = lineData.customerProject;
     
-    // Initialize segment state if needed
-    if (!isValidObject(segmentState.currentSegment)) {
+    // Start the flow at WELCOME on a new call, later turns continue
+    // from the segment stored in the session
+    if (!segmentState.currentSegment || segmentState.currentSegment === 'INIT') {
         segmentState.currentSegment = 'WELCOME';
         segmentState.segmentResult = '';
     }
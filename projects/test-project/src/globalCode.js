@@ -5,8 +5,8 @@
  * Loaded first in the Vocalls runtime
  */
 
-// Vocalls environment detection
-var environment = context.session.variables.VOCALLS_ENV || 'acc';
+// Environment from the generated configuration section (project.json)
+var environment = BUILD_ENVIRONMENT;
 var lineIdentificator = context.settings.lineIdentificator;
 var moduleName = context.settings.moduleName;
 var language = context.language.substring(0, 2).toUpperCase() || 'NL';
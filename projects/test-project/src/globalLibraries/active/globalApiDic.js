@@ -24,4 +24,13 @@ apiConfigMap.set('scheduleCallback', {
     }
 });
 
+apiConfigMap.set('llmIntent', {
+    endpoint: API_BASE_URL + '/llm/intent',
+    method: 'POST',
+    timeout: 5000,
+    headers: {
+        'Content-Type': 'application/json'
+    }
+});
+
 logInfo('API configuration loaded, endpoints:', apiConfigMap.size);
\ No newline at end of file
@@ -5,9 +5,9 @@
  * Loaded after globalCode.js
  */
 
-// Environment configuration
-var API_BASE_URL = environment === 'prd' ? 'https://api.example.com' : 'https://api-acc.example.com';
-var SCHEDULER_ID = null; // Set based on environment
+// Environment configuration from project.json
+var API_BASE_URL = ENVIRONMENT_CONFIG.apiBase;
+var SCHEDULER_ID = ENVIRONMENT_CONFIG.schedulerId;
 
 // Line configuration maps
 var lineMap = new Map();
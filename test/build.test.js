@@ -0,0 +1,310 @@
+/**
+ * Tests for monolith minification, manifests, diffs and transpilation
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import vm from 'vm';
+import { validateES51Compliance } from '../core/src/utils/validation.js';
+import { loadProjectConfig } from '../core/src/utils/config.js';
+import { minifySections } from '../core/src/utils/minify.js';
+import { sectionBanner, parseMonolith } from '../core/src/utils/monolith.js';
+import { VocallsProjectBuilder } from '../core/src/commands/build.js';
+import { compareMonoliths } from '../core/src/commands/verify.js';
+import { diffMonoliths } from '../core/src/utils/monolith-diff.js';
+import { archiveBuild, listHistory } from '../core/src/utils/history.js';
+import { transpileToES5 } from '../core/src/utils/transpile.js';
+import { withFixtureProject } from './helpers.js';
+
+describe('Minifier', () => {
+  const section = (name, source, filePath = `/project/src/${name}.js`) => ({
+    name,
+    source,
+    filePath,
+    lines: source.split('\n').map((text, index) => ({ text, line: index + 1 }))
+  });
+  
+  test('removes comments without touching strings and mangles local names only', () => {
+    const source = [
+      "var API = 'https://api.example.com'; // endpoint",
+      '/* block',
+      '   comment */',
+      'function buildUrl(path, query) {',
+      "  var separator = query ? '?' : ''; // not a // comment in a string",
+      "  return API + '/' + path + separator + (query || '');",
+      '}',
+      "var total = 1 + +'2';",
+      "var result = buildUrl('lookup', 'a=1') + total;"
+    ].join('\n');
+    
+    const { sections, report } = minifySections([section('globalCode', source)]);
+    assert.deepStrictEqual(sections[0].lines, [
+      { text: "var API='https://api.example.com';", line: 1 },
+      { text: 'function buildUrl(b,a){', line: 4 },
+      { text: "var c=a?'?':'';", line: 5 },
+      { text: "return API+'/'+b+c+(a||'');", line: 6 },
+      { text: '}', line: 7 },
+      { text: "var total=1+ +'2';", line: 8 },
+      { text: "var result=buildUrl('lookup','a=1')+total;", line: 9 }
+    ]);
+    assert.ok(report.after < report.before);
+    
+    const run = code => vm.runInNewContext(`${code}\nresult;`);
+    assert.strictEqual(run(sections[0].lines.map(line => line.text).join('\n')), run(source));
+  });
+  
+  test('drops functions no section refers to, unless code is dynamic', () => {
+    const globalCode = section('globalCode', [
+      'function used() { return helper(); }',
+      'function helper() { return 1; }',
+      'function unused() { return helper(); }',
+      'function playWelcome() {}'
+    ].join('\n'));
+    const main = section('main', "var segmentDic = { WELCOME: { actions: ['playWelcome'] } };\nused();");
+    
+    const { sections, report } = minifySections([globalCode, main]);
+    assert.deepStrictEqual(report.dropped, [{ name: 'unused', section: 'globalCode', file: '/project/src/globalCode.js', line: 3 }]);
+    assert.deepStrictEqual(sections[0].lines.map(line => line.line), [1, 2, 4]);
+    
+    const dynamic = section('main', "eval('unused()'); function local(value) { return value; }");
+    const kept = minifySections([globalCode, dynamic]);
+    assert.deepStrictEqual(kept.report.dropped, []);
+    assert.strictEqual(kept.sections[1].lines[0].text, "eval('unused()');function local(value){return value;}");
+  });
+});
+
+describe('Build Manifest', () => {
+  test('parses monolith sections back from their banners', () => {
+    const code = [
+      '// ========================================',
+      '// Project: demo',
+      '// Environment: acc',
+      '// Built: 1970-01-01T00:00:00.000Z',
+      '// ========================================',
+      '',
+      sectionBanner('Global Code', 'src/globalCode.js'),
+      'var a = 1;',
+      '',
+      'var b = 2;',
+      '',
+      sectionBanner('Environment Configuration (acc)', null),
+      'var BUILD_ENVIRONMENT = "acc";'
+    ].join('\r\n');
+    
+    const parsed = parseMonolith(code);
+    assert.deepStrictEqual(parsed.header, { project: 'demo', environment: 'acc', built: '1970-01-01T00:00:00.000Z' });
+    assert.deepStrictEqual(parsed.sections, [
+      { name: 'Global Code', source: 'src/globalCode.js', line: 11, lines: ['var a = 1;', '', 'var b = 2;'] },
+      { name: 'Environment Configuration (acc)', source: null, line: 19, lines: ['var BUILD_ENVIRONMENT = "acc";'] }
+    ]);
+  });
+  
+  test('reproducible builds are identical and verify against the sources', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo', environments: { acc: { apiBase: 'https://api-acc.example.com' } } }),
+      'src/globalCode.js': '// Helpers\nfunction greet(name) {\n  return "Hello " + name;\n}\n',
+      'src/callScripts/main.js': "logInfo(greet('caller'));\n"
+    }, async projectPath => {
+      const build = async () => {
+        const builder = new VocallsProjectBuilder(projectPath, await loadProjectConfig(projectPath), { env: 'acc', prod: true, reproducible: true });
+        const result = await builder.build();
+        return {
+          monolith: await fs.readFile(result.monolithPath, 'utf8'),
+          manifest: JSON.parse(await fs.readFile(result.manifestPath, 'utf8'))
+        };
+      };
+      
+      const first = await build();
+      const second = await build();
+      assert.strictEqual(first.monolith, second.monolith);
+      assert.deepStrictEqual(first.manifest, second.manifest);
+      assert.match(first.monolith, /\/\/ Built: 1970-01-01T00:00:00.000Z\n/);
+      
+      const entry = first.manifest.monoliths['demo.acc.monolith.js'];
+      assert.strictEqual(entry.mode, 'production (minified)');
+      assert.deepStrictEqual(entry.files.map(file => file.path), ['src/globalCode.js', 'src/callScripts/main.js']);
+      const [start, end] = entry.files[0].lines;
+      assert.deepStrictEqual(first.monolith.split('\n').slice(start - 1, end), ['function greet(a){', 'return"Hello "+a;', '}']);
+      
+      const deployed = parseMonolith(first.monolith.replace(/\n/g, '\r\n'));
+      assert.deepStrictEqual(compareMonoliths(deployed, deployed), []);
+      
+      await fs.writeFile(join(projectPath, 'src/callScripts/main.js'), "logInfo(greet('agent'));\n", 'utf8');
+      const builder = new VocallsProjectBuilder(projectPath, await loadProjectConfig(projectPath), { env: 'acc', prod: true });
+      const current = parseMonolith((await builder.assemble()).code);
+      assert.deepStrictEqual(compareMonoliths(deployed, current).map(difference => [difference.type, difference.section]), [
+        ['changed', 'Main Script']
+      ]);
+    });
+  });
+});
+
+describe('Monolith Diff', () => {
+  const monolith = (built, sections) => [
+    '// Project: demo',
+    `// Built: ${built}`,
+    ...Object.entries(sections).flatMap(([name, lines]) => ['', sectionBanner(name, `src/${name}.js`), ...lines])
+  ].join('\n');
+  
+  test('groups line changes by section and summarizes registries', () => {
+    const before = monolith('2025-01-01T00:00:00.000Z', {
+      globalVariables: ['var segmentDic = new Map();', 'var lineMap = {};', 'var apiConfigMap = new Map();'],
+      globalSegmentConfig: [
+        "segmentDic.set('WELCOME', { actions: ['playWelcome'], nextSegments: {} });",
+        "segmentDic.set('OLD', { actions: [] });",
+        "lineMap.MAIN = { routingId: 1 };"
+      ]
+    });
+    const after = monolith('2025-02-01T00:00:00.000Z', {
+      globalVariables: ['var segmentDic = new Map();', 'var lineMap = {};', 'var apiConfigMap = new Map();'],
+      globalSegmentConfig: [
+        "segmentDic.set('WELCOME', { actions: ['playWelcome', 'detectIntent'], nextSegments: {} });",
+        "lineMap.MAIN = { routingId: 1 };",
+        "segmentDic.set('MENU', { actions: [] });"
+      ],
+      globalApiDic: ["apiConfigMap.set('lookup', { endpoint: '/customer', method: 'POST' });"]
+    });
+    
+    const result = diffMonoliths(before, after);
+    assert.deepStrictEqual(result.header, [{ field: 'built', before: '2025-01-01T00:00:00.000Z', after: '2025-02-01T00:00:00.000Z' }]);
+    assert.deepStrictEqual(result.sections.map(section => [section.name, section.status, section.added, section.removed]), [
+      ['globalSegmentConfig', 'changed', 2, 2],
+      ['globalApiDic', 'added', 1, 0]
+    ]);
+    assert.deepStrictEqual(result.sections[0].hunks.map(hunk => [hunk.before, hunk.after, hunk.lines.map(line => line.type).join('')]), [
+      [16, 16, '--+ +']
+    ]);
+    assert.deepStrictEqual(result.registries, {
+      segmentDic: [
+        { type: 'changed', key: 'WELCOME', properties: ['actions'] },
+        { type: 'added', key: 'MENU' },
+        { type: 'removed', key: 'OLD' }
+      ],
+      lineMap: [],
+      apiConfigMap: [{ type: 'added', key: 'lookup' }]
+    });
+  });
+  
+  test('keeps earlier monoliths in dist/history when the code changes', async () => {
+    const buildDir = await fs.mkdtemp(join(tmpdir(), 'voc-history-'));
+    const first = monolith('2025-01-01T00:00:00.000Z', { main: ['logInfo(1);'] });
+    
+    try {
+      assert.strictEqual(await archiveBuild(buildDir, 'demo.monolith.js', first), null);
+      await fs.writeFile(join(buildDir, 'demo.monolith.js'), first, 'utf8');
+      
+      const rebuilt = first.replace('2025-01-01', '2025-01-02');
+      assert.strictEqual(await archiveBuild(buildDir, 'demo.monolith.js', rebuilt), null);
+      
+      const archived = await archiveBuild(buildDir, 'demo.monolith.js', rebuilt.replace('logInfo(1)', 'logInfo(2)'));
+      assert.match(archived, /history[\\/]demo\.monolith\.\d{8}T\d{9}Z\.js$/);
+      assert.strictEqual(await fs.readFile(archived, 'utf8'), first);
+      assert.deepStrictEqual((await listHistory(buildDir, 'demo.monolith.js')).map(entry => entry.path), [archived]);
+      assert.deepStrictEqual(await listHistory(buildDir, 'demo.acc.monolith.js'), []);
+    } finally {
+      await fs.rm(buildDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Transpiler', () => {
+  test('lowers modern syntax to ES5.1 line for line', () => {
+    const source = [
+      "const greet = (name, punct = '!') => `Hello ${name}${punct}`;",
+      'class Counter {',
+      '  constructor(start = 0) { this.count = start; }',
+      '  add(...values) { values.forEach(value => { this.count += value ** 2; }); return this; }',
+      '}',
+      'class Named extends Counter {',
+      '  add(value) { return super.add(value, 1); }',
+      '}',
+      'let total = 0;',
+      'if (true) { const total = 5; var inner = total; }',
+      'const { a, b: [c, d = 4] } = { a: 1, b: [2] };',
+      'const options = { greet, missing: null };',
+      'var result = [greet(`caller`), new Named(1).add(2).count, total, inner, a + c + d,',
+      '  options.missing ?? options?.greet?.(`x`, `?`), Math.max(...[1, 5], 3)];'
+    ].join('\n');
+    
+    const { code, issues } = transpileToES5(source, { filename: 'src/globalCode.js' });
+    assert.deepStrictEqual(issues, []);
+    assert.deepStrictEqual(validateES51Compliance(code), []);
+    assert.strictEqual(code.split('\n').length, source.split('\n').length);
+    assert.match(code.split('\n')[9], /var _total = 5; var inner = _total;/);
+    
+    const expected = vm.runInNewContext(`${source}\nJSON.stringify(result);`);
+    const actual = vm.runInNewContext(`${code}\nJSON.stringify(result);`);
+    assert.strictEqual(actual, expected);
+    assert.deepStrictEqual(JSON.parse(actual), ['Hello caller!', 6, 0, 5, 7, 'Hello x?', 5]);
+  });
+  
+  test('transpiled builds validate the output and refuse what cannot be lowered', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo', transpile: true }),
+      'src/globalCode.js': 'const greet = name => `Hello ${name}`;\n',
+      'src/callScripts/main.js': "let handlers = [];\nfor (let i = 0; i < 3; i++) {\n  handlers.push(() => i);\n}\nlogInfo(greet('caller'));\n"
+    }, async projectPath => {
+      const build = async options => new VocallsProjectBuilder(projectPath, await loadProjectConfig(projectPath), options).assemble();
+      
+      await assert.rejects(build({ prod: true }), /compliance violations/);
+      const { issues } = transpileToES5(await fs.readFile(join(projectPath, 'src/callScripts/main.js'), 'utf8'), { filename: 'main.js' });
+      assert.deepStrictEqual(issues.map(issue => [issue.file, issue.line, issue.rule]), [['main.js', 2, 'no-let-const']]);
+      
+      await fs.writeFile(join(projectPath, 'src/callScripts/main.js'), "logInfo(greet('caller'));\n", 'utf8');
+      const { code } = await build({ prod: true, minify: false });
+      assert.match(code, /\/\/ Mode: production \(transpiled\)/);
+      assert.match(code, /var greet = function \(name\) \{ return 'Hello ' \+ name; \};/);
+      
+      const untranspiled = await build({ transpile: false });
+      assert.match(untranspiled.code, /const greet = name => `Hello \$\{name\}`;/);
+    });
+  });
+  
+  test('subclasses inherit the static methods of their parent', () => {
+    const source = [
+      "class Base { static create(value) { return new this(value); } static label() { return 'base'; } }",
+      'class Child extends Base {',
+      '  constructor(value) { super(); this.value = value; }',
+      "  static label() { return 'child of ' + super.label(); }",
+      '}',
+      'var result = [Child.create(3).value, Child.create(3) instanceof Child, Child.label(), Child.name];'
+    ].join('\n');
+    
+    const { code, issues } = transpileToES5(source);
+    assert.deepStrictEqual(issues, []);
+    assert.deepStrictEqual(validateES51Compliance(code), []);
+    assert.strictEqual(vm.runInNewContext(`${code}\nJSON.stringify(result);`), '[3,true,"child of base","Child"]');
+  });
+  
+  test('reports subclasses of built-ins instead of lowering them', () => {
+    const source = [
+      'class NotFound extends Error {',
+      "  constructor(message) { super(message); this.name = 'NotFound'; }",
+      '}',
+      'class Local extends NotFound {}'
+    ].join('\n');
+    
+    const { code, issues } = transpileToES5(source, { filename: 'src/globalCode.js' });
+    assert.deepStrictEqual(issues.map(issue => [issue.line, issue.rule]), [[1, 'no-class']]);
+    assert.match(issues[0].message, /Subclasses of Error cannot be lowered/);
+    assert.match(code.split('\n')[0], /^class NotFound extends Error \{/);
+    assert.match(code.split('\n')[3], /^var Local = \(function \(_super\)/);
+  });
+  
+  test('minifies the transpiled output in production builds', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo' }),
+      'src/globalCode.js': 'const format = (a, b = 2) => `${a}-${b}`;\n',
+      'src/callScripts/main.js': 'logInfo(format(1));\n'
+    }, async projectPath => {
+      const builder = new VocallsProjectBuilder(projectPath, await loadProjectConfig(projectPath), { prod: true, transpile: true });
+      const { code } = await builder.assemble();
+      assert.match(code, /\/\/ Mode: production \(minified, transpiled\)/);
+      assert.doesNotMatch(code, /const |=>|`/);
+      assert.deepStrictEqual(validateES51Compliance(code), []);
+    });
+  });
+});
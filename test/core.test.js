@@ -7,13 +7,8 @@ import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import { promises as fs } from 'fs';
 import { join } from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-
-// Get current directory
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const workspaceRoot = join(__dirname, '..');
+import { validateES51Compliance } from '../core/src/utils/validation.js';
+import { workspaceRoot } from './helpers.js';
 
 describe('Vocalls Development Environment', () => {
   test('workspace structure exists', async () => {
@@ -154,6 +149,54 @@ describe('Build System', () => {
     const goodViolations = validateES51Compliance(goodCode);
     assert.strictEqual(goodViolations.length, 0, 'should not detect violations in good code');
   });
+  
+  test('ES5.1 validation ignores strings, regex literals and comments', async () => {
+    const code = `
+      var label = 'a => b';
+      var url = 'https://api.example.com';
+      var pattern = /\`=>/g;
+      arr[0] = x;
+      var obj = { a: 1 };
+      obj = { b: 2 };
+      // let commented = () => 1;
+      /* const block = \`x\`; */
+    `;
+    
+    assert.deepStrictEqual(validateES51Compliance(code), []);
+  });
+  
+  test('ES5.1 validation reports file, line, column and rule id', async () => {
+    const code = [
+      'var message = `multi',
+      'line`;',
+      'var {',
+      '  a,',
+      '  b',
+      '} = obj;'
+    ].join('\n');
+    
+    const violations = validateES51Compliance(code, { filename: 'src/main.js' });
+    assert.deepStrictEqual(
+      violations.map(v => [v.file, v.line, v.column, v.rule]),
+      [
+        ['src/main.js', 1, 15, 'no-template-literal'],
+        ['src/main.js', 3, 5, 'no-destructuring']
+      ]
+    );
+  });
+  
+  test('ES5.1 validation reports ES2017+ syntax that parses as modern JavaScript', () => {
+    const rules = code => validateES51Compliance(code).map(v => v.rule);
+    
+    assert.deepStrictEqual(rules('function f(a, b,) {}'), ['no-trailing-comma']);
+    assert.deepStrictEqual(rules('var x = f(1, 2,);\nvar y = new F(1, /* last */ );'), ['no-trailing-comma', 'no-trailing-comma']);
+    assert.deepStrictEqual(rules('var smile = "\\u{1F600}";\nvar \\u{61}b = 1;'), ['no-unicode-code-point-escape', 'no-unicode-code-point-escape']);
+    assert.deepStrictEqual(rules('var date = /(?<year>\\d{4})-\\k<year>/;\nvar price = /(?<=\\$)\\d+/;\nvar other = /(?<!x)y/;'),
+      ['no-es2018-regex', 'no-es2018-regex', 'no-es2018-regex']);
+    
+    // ES5.1 trailing commas, escaped backslashes and brackets in classes stay allowed
+    assert.deepStrictEqual(rules('var o = { a: 1, };\nvar a = [1, 2,];\nvar text = "\\\\u{1F600}";\nvar set = /[(?<]x/;\nf(1 /* , */);'), []);
+  });
 });
 
 describe('Project Templates', () => {
@@ -165,4 +208,4 @@ describe('Project Templates', () => {
     const content = await fs.readFile(migrationPath, 'utf8');
     assert.ok(content.includes('migrateEngieProject'), 'should have migration function');
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the step debugger
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import vm from 'vm';
+import { VocallsDebugger, instrumentSource } from '../core/src/debugger/index.js';
+import { withFixtureProject } from './helpers.js';
+
+describe('Debugger', () => {
+  const files = {
+    'src/globalCode.js': [
+      'var counter = 0;',
+      'function increment(step) {',
+      '  var next = counter + step;',
+      '  counter = next;',
+      '  return next;',
+      '}'
+    ].join('\n'),
+    'src/callScripts/main.js': [
+      "var segmentState = { currentSegment: 'INIT' };",
+      'increment(2);',
+      "if (counter > 1) segmentState.currentSegment = 'WELCOME';",
+      "context.session.variables.segmentState = segmentState;"
+    ].join('\n')
+  };
+  
+  test('instrumentation keeps line numbers and behavior', () => {
+    const code = 'var a = 1;\nif (a) a++; else a--;\nfunction f(x) {\n  return x * 2;\n}\nvar b = f(a);';
+    const result = instrumentSource(code, 0);
+    
+    assert.strictEqual(result.code.split('\n').length, code.split('\n').length);
+    assert.deepStrictEqual(result.statementLines, [1, 2, 4, 6]);
+    
+    const hits = [];
+    const sandbox = {
+      __vocallsDebug: {
+        hook: (fileIndex, line) => hits.push(line),
+        enter: () => {},
+        exit: () => {}
+      }
+    };
+    vm.runInNewContext(result.code, sandbox);
+    
+    assert.strictEqual(sandbox.b, 4);
+    assert.deepStrictEqual(hits, [1, 2, 2, 6, 4]);
+  });
+  
+  test('pauses on breakpoints, steps and evaluates in the paused scope', async () => {
+    await withFixtureProject(files, async projectPath => {
+      const commands = ['s', 'bt', 'p step', 'n', 'p next', 'o', 'p counter', 'c'];
+      const output = [];
+      
+      const debugSession = new VocallsDebugger({
+        projectPath,
+        silent: true,
+        breakpoints: ['main.js:2'],
+        input: () => commands.shift() ?? null,
+        output: text => output.push(text)
+      });
+      
+      const result = await debugSession.run();
+      const pauses = output.filter(line => line.startsWith('⏸'));
+      
+      assert.deepStrictEqual(pauses, [
+        '⏸  Paused at src/callScripts/main.js:2 (breakpoint)',
+        '⏸  Paused at src/globalCode.js:3 (step)',
+        '⏸  Paused at src/globalCode.js:4 (step)',
+        '⏸  Paused at src/callScripts/main.js:3 (step)'
+      ]);
+      assert.ok(output.includes('  #0 increment at src/globalCode.js:3\n  #1 <top-level> at src/callScripts/main.js:2'));
+      assert.ok(output.includes('2'), 'should evaluate the step argument');
+      assert.strictEqual(result.sessionState.variables.segmentState.currentSegment, 'WELCOME');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for the segment graph
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildSegmentGraph } from '../core/src/graph/segment-graph.js';
+import { toMermaid, toDot, toHtml } from '../core/src/graph/render.js';
+
+describe('Segment Graph', () => {
+  const segmentDic = new Map([
+    ['INIT', { nextSegments: { START: 'MENU' }, actions: [] }],
+    ['MENU', { nextSegments: { HELP: 'HELP', AGAIN: 'REPEAT', END: 'GOODBYE' }, actions: [] }],
+    ['REPEAT', { nextSegments: { NEXT: 'LOOP' }, actions: [] }],
+    ['LOOP', { nextSegments: { BACK: 'REPEAT' }, actions: [] }],
+    ['GOODBYE', { nextSegments: {}, actions: ['endCall'] }],
+    ['TRANSFER', { nextSegments: {}, actions: ['transfer'] }]
+  ]);
+  
+  test('reports dangling targets, unreachable segments, dead ends and closed cycles', () => {
+    const graph = buildSegmentGraph(segmentDic);
+    
+    assert.strictEqual(graph.entry, 'INIT');
+    assert.deepStrictEqual(graph.issues.map(issue => `${issue.type}: ${issue.message}`), [
+      'dangling: MENU --HELP--> HELP (not defined)',
+      'unreachable: TRANSFER is not reachable from INIT',
+      'dead-end: TRANSFER has no next segments and does not endCall',
+      'cycle: REPEAT → LOOP → REPEAT has no exit'
+    ]);
+    
+    const fromMenu = buildSegmentGraph(segmentDic, { entry: 'MENU' });
+    assert.ok(fromMenu.issues.some(issue => issue.message === 'INIT is not reachable from MENU'));
+    assert.throws(() => buildSegmentGraph(segmentDic, { entry: 'NOPE' }), /Entry segment not found/);
+  });
+  
+  test('exports Mermaid, DOT and standalone HTML', () => {
+    const graph = buildSegmentGraph(segmentDic);
+    const mermaid = toMermaid(graph);
+    const dot = toDot(graph, 'demo');
+    const html = toHtml(graph, 'demo <flow>');
+    
+    assert.ok(mermaid.startsWith('flowchart TD\n'));
+    assert.ok(mermaid.includes('  s1 -->|HELP| s6\n'));
+    assert.ok(mermaid.includes('  s6["HELP (undefined)"]\n'));
+    assert.ok(dot.includes('  "MENU" -> "GOODBYE" [label="END"];\n'));
+    assert.ok(dot.includes('label="HELP\\n(undefined)"'));
+    assert.ok(html.includes('<title>demo &lt;flow&gt; - call flow</title>'));
+    assert.ok(html.includes('<svg'));
+    assert.ok(!/<script/.test(html), 'HTML should not need scripts');
+  });
+});
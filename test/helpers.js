@@ -0,0 +1,38 @@
+/**
+ * Shared fixtures for the test suites
+ */
+
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+
+export const workspaceRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Create a throwaway project directory from a map of relative paths to content
+ */
+async function createFixtureProject(files) {
+  const projectPath = await fs.mkdtemp(join(tmpdir(), 'voc-test-'));
+  
+  for (const [relativePath, content] of Object.entries(files)) {
+    const fullPath = join(projectPath, relativePath);
+    await fs.mkdir(dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, content, 'utf8');
+  }
+  
+  return projectPath;
+}
+
+/**
+ * Run a test body against a fixture project and remove the project afterwards
+ */
+export async function withFixtureProject(files, run) {
+  const projectPath = await createFixtureProject(files);
+  
+  try {
+    return await run(projectPath);
+  } finally {
+    await fs.rm(projectPath, { recursive: true, force: true });
+  }
+}
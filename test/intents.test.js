@@ -0,0 +1,132 @@
+/**
+ * Tests for intent recognition
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { VocallsSimulator } from '../core/src/simulator/engine.js';
+import { recognizeIntent, scoreIntentResults } from '../core/src/simulator/intents.js';
+import { parseCsv } from '../core/src/utils/csv.js';
+import { detectIntents } from '../core/src/commands/intents.js';
+import { withFixtureProject } from './helpers.js';
+
+describe('Intent Recognition', () => {
+  const intentDefinitions = {
+    greeting: { patterns: ['hello', 'good morning'], confidence: 0.8 },
+    help: { patterns: ['help', 'support'], confidence: 0.9 },
+    billing: { patterns: { nl: ['factuur'], en: ['invoice'] } }
+  };
+  
+  test('matches exact, normalized and fuzzy patterns per language', () => {
+    const recognize = (utterance, language = 'nl-NL') => {
+      const result = recognizeIntent(intentDefinitions, utterance, { language });
+      return [result.intent, result.match, result.confidence];
+    };
+    
+    assert.deepStrictEqual(recognize('Hello there'), ['greeting', 'exact', 0.8]);
+    assert.deepStrictEqual(recognize('good-morning!'), ['greeting', 'normalized', 0.72]);
+    assert.deepStrictEqual(recognize('héllo'), ['greeting', 'normalized', 0.72]);
+    assert.deepStrictEqual(recognize('I need suport'), ['help', 'fuzzy', 0.617]);
+    assert.deepStrictEqual(recognize('Een vraag over mijn factuur'), ['billing', 'exact', 1]);
+    assert.deepStrictEqual(recognize('Een vraag over mijn factuur', 'en-GB'), [null, null, 0]);
+    assert.deepStrictEqual(recognize('hiking'), [null, null, 0]);
+  });
+  
+  test('voc intents rejects thresholds outside 0 to 1', async () => {
+    for (const threshold of ['abc', '', '1.5', '-0.1', 'Infinity']) {
+      await assert.rejects(detectIntents('test-project', { utterance: 'hello', threshold }), /Invalid --threshold .* \(use a number from 0 to 1\)/);
+    }
+  });
+  
+  test('scores labelled utterances with precision, recall and a confusion matrix', () => {
+    const score = scoreIntentResults([
+      { expected: 'help', predicted: 'help' },
+      { expected: 'help', predicted: null },
+      { expected: 'greeting', predicted: 'help' },
+      { expected: null, predicted: null }
+    ]);
+    
+    assert.strictEqual(score.accuracy, 0.5);
+    assert.deepStrictEqual(score.perIntent.help, { support: 2, precision: 0.5, recall: 0.5, f1: 0.5 });
+    assert.deepStrictEqual(score.confusion, {
+      labels: ['greeting', 'help', null],
+      matrix: [[0, 1, 0], [0, 1, 1], [0, 0, 1]]
+    });
+    assert.deepStrictEqual(parseCsv('utterance,intent\n"Hi, ""you""",greeting\r\n\nbye;x,\n'), [
+      ['utterance', 'intent'], ['Hi, "you"', 'greeting'], ['bye;x', '']
+    ]);
+  });
+});
+
+describe('LLM Intents', () => {
+  const detectionScript = [
+    'var utterances = ["Ik heb een vraag", "that was everything", "help me please", "hiking"];',
+    'context.session.variables.detected = {};',
+    'utterances.forEach(function (utterance) {',
+    "  jsonHttpRequest({ method: 'POST', url: 'https://api.example.com/llm/intent', body: { utterance: utterance } })",
+    "    .then(function (r) { context.session.variables.detected[utterance] = r.data.intent + '/' + r.data.source; });",
+    '});'
+  ].join('\n');
+  
+  test('stand-in answers from responses, rules and the intent patterns', async () => {
+    await withFixtureProject({
+      'src/globalVariables.js': "var intentDefinitions = { help: { patterns: ['help'] } };",
+      'src/callScripts/main.js': detectionScript
+    }, async projectPath => {
+      const simulator = new VocallsSimulator({
+        projectPath,
+        silent: true,
+        llm: {
+          responses: { 'That was everything!': 'goodbye' },
+          rules: [{ contains: 'vraag', intent: 'question', confidence: 0.8 }]
+        }
+      });
+      const result = await simulator.execute();
+      
+      assert.deepStrictEqual({ ...result.sessionState.variables.detected }, {
+        'Ik heb een vraag': 'question/rule',
+        'that was everything': 'goodbye/fixture',
+        'help me please': 'help/patterns',
+        'hiking': 'null/patterns'
+      });
+      assert.strictEqual(result.httpRequests, 4);
+    });
+  });
+  
+  test('forwards requests to a local HTTP stand-in', async () => {
+    const received = [];
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ intent: 'billing', confidence: 0.7 }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    try {
+      await withFixtureProject({
+        'src/globalVariables.js': "var intentDefinitions = { billing: { patterns: ['invoice'] } };",
+        'src/callScripts/main.js': detectionScript
+      }, async projectPath => {
+        const simulator = new VocallsSimulator({
+          projectPath,
+          silent: true,
+          llm: `http://127.0.0.1:${server.address().port}/detect`
+        });
+        const result = await simulator.execute();
+        
+        assert.strictEqual(result.sessionState.variables.detected.hiking, 'billing/http');
+        assert.deepStrictEqual(received[0], { utterance: 'Ik heb een vraag', language: 'nl-NL', intents: ['billing'] });
+        
+        const remote = new VocallsSimulator({ projectPath, silent: true, llm: 'https://llm.example.com/detect' });
+        await assert.rejects(remote.execute(), /must run on this machine/);
+      });
+    } finally {
+      server.close();
+    }
+  });
+});
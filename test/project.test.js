@@ -0,0 +1,223 @@
+/**
+ * Tests for project configuration, library order and symbol checks
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { validateVocallsGlobals } from '../core/src/utils/validation.js';
+import { VocallsSimulator } from '../core/src/simulator/engine.js';
+import {
+  loadProjectConfig,
+  readProjectConfig,
+  validateProjectConfig,
+  getConfigValue,
+  setConfigValue,
+  ProjectConfigError
+} from '../core/src/utils/config.js';
+import { orderFiles, resolveLibraryOrder } from '../core/src/utils/dependencies.js';
+import { VocallsProjectBuilder } from '../core/src/commands/build.js';
+import { getRuntimeProfile } from '../core/src/utils/runtime-profile.js';
+import { checkSymbols, checkProjectSymbols } from '../core/src/utils/symbols.js';
+import { withFixtureProject } from './helpers.js';
+
+describe('Project Configuration', () => {
+  test('reports schema errors and missing libraries with their paths', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({
+        name: 'config-project',
+        libraryOrder: ['globalApiDic.js', 'globalApiDc.js', 'globalApiDic.js'],
+        environments: { acc: 'https://api-acc.example.com' },
+        features: { intentDetection: 'yes' },
+        libaryOrder: []
+      }),
+      'src/globalLibraries/active/globalApiDic.js': 'var apiConfigMap = new Map();',
+      'src/callScripts/main.js': ''
+    }, async projectPath => {
+      const errors = await validateProjectConfig(await readProjectConfig(projectPath), projectPath);
+      assert.deepStrictEqual(errors.map(err => err.path), [
+        'libraryOrder',
+        'environments.acc',
+        'features.intentDetection',
+        'libaryOrder',
+        'libraryOrder[1]'
+      ]);
+      assert.match(errors[0].message, /duplicate entry "globalApiDic.js" at \[0\] and \[2\]/);
+      assert.strictEqual(errors[4].message, 'library not found: src/globalLibraries/active/globalApiDc.js');
+      
+      const simulator = new VocallsSimulator({ projectPath, silent: true });
+      await assert.rejects(simulator.execute(), err => err instanceof ProjectConfigError && err.errors.length === 5);
+      
+      await fs.writeFile(join(projectPath, 'project.json'), '{\n  "name": "config-project",\n}');
+      await assert.rejects(loadProjectConfig(projectPath), /not valid JSON: .*\(line 3, column 1\)/);
+    });
+  });
+  
+  test('gets and sets values by key path and defaults a missing project.json', async () => {
+    const config = { name: 'x', libraryOrder: ['a.js'] };
+    const updated = setConfigValue(config, 'environments.acc.schedulerId', 42);
+    
+    assert.strictEqual(getConfigValue(updated, 'environments.acc.schedulerId'), 42);
+    assert.strictEqual(getConfigValue(updated, 'libraryOrder[0]'), 'a.js');
+    assert.strictEqual(getConfigValue(updated, 'environments.prd.apiBase'), undefined);
+    assert.strictEqual(config.environments, undefined);
+    assert.throws(() => setConfigValue(config, 'name.first', 'y'), /name is not an object/);
+    
+    await withFixtureProject({ 'src/callScripts/main.js': '' }, async projectPath => {
+      assert.deepStrictEqual(await loadProjectConfig(projectPath), {
+        name: projectPath.split(/[\\/]/).pop(),
+        customer: 'Unknown',
+        description: '',
+        version: '1.0.0'
+      });
+    });
+  });
+});
+
+describe('Library Dependencies', () => {
+  const library = (name, code) => ({ path: `src/globalLibraries/active/${name}`, name, code, library: true });
+  
+  test('orders libraries by load-time dependencies and reports cycles', () => {
+    const files = [
+      { path: 'src/globalVariables.js', code: 'var apiConfigMap = new Map(); var early = LATE;' },
+      library('aLines.js', "lineMap.set('MAIN', { api: apiConfigMap.get('lookup') });"),
+      library('bSetup.js', 'var lineMap = new Map(); function later() { return aLines; }'),
+      library('cApi.js', '(function (map) { var base = BASE; map.set("lookup", base); })(apiConfigMap);'),
+      library('dBase.js', "var BASE = 'https://api.example.com'; var LATE = 1;"),
+      library('eOne.js', 'var one = two;'),
+      library('fTwo.js', 'var two = one;')
+    ];
+    
+    const result = orderFiles(files);
+    assert.deepStrictEqual(result.libraries, ['bSetup.js', 'aLines.js', 'dBase.js', 'cApi.js', 'eOne.js', 'fTwo.js']);
+    assert.deepStrictEqual(result.issues.map(issue => issue.message), [
+      'Dependency cycle: eOne.js uses two from fTwo.js, fTwo.js uses one from eOne.js',
+      'src/globalVariables.js:1 uses LATE at load time, but src/globalLibraries/active/dBase.js declares it and loads later'
+    ]);
+    
+    const explicit = orderFiles(files.slice(0, 5), { explicit: true });
+    assert.deepStrictEqual(explicit.libraries, ['aLines.js', 'bSetup.js', 'cApi.js', 'dBase.js']);
+    assert.deepStrictEqual(explicit.issues.map(issue => [issue.type, issue.line]), [
+      ['use-before-definition', 1],
+      ['order', 1],
+      ['order', 1]
+    ]);
+    assert.match(explicit.issues[1].message, /libraryOrder loads aLines.js before bSetup.js, but aLines.js:1 uses lineMap/);
+  });
+  
+  test('simulator loads libraries in dependency order and warns about unlisted files', async () => {
+    await withFixtureProject({
+      'src/globalVariables.js': 'var lookup = null;',
+      'src/globalLibraries/active/apiUser.js': "lookup = apiConfigMap.get('lookup');",
+      'src/globalLibraries/active/zApiDic.js': "var apiConfigMap = new Map(); apiConfigMap.set('lookup', '/customer');",
+      'src/callScripts/main.js': 'context.session.variables.lookup = lookup;'
+    }, async projectPath => {
+      const result = await new VocallsSimulator({ projectPath, silent: true }).execute();
+      assert.strictEqual(result.sessionState.variables.lookup, '/customer');
+      
+      const { libraries, issues } = await resolveLibraryOrder(projectPath, { libraryOrder: ['zApiDic.js'] });
+      assert.deepStrictEqual(libraries, ['zApiDic.js']);
+      assert.deepStrictEqual(issues.map(issue => issue.type), ['unlisted']);
+    });
+  });
+});
+
+describe('Runtime Profiles', () => {
+  test('resolves profiles by id or name and rejects unknown ones', () => {
+    const profile = getRuntimeProfile('vocalls-es5.1');
+    assert.strictEqual(profile.id, 'vocalls-es5.1@2');
+    assert.strictEqual(getRuntimeProfile('vocalls-es5.1@2'), profile);
+    assert.strictEqual(getRuntimeProfile(), profile);
+    assert.deepStrictEqual(getRuntimeProfile('vocalls-es5.1@1').context.callInfo, ['callId', 'startTime', 'direction']);
+    assert.throws(() => getRuntimeProfile('vocalls-es5.1@9'), /Unknown runtime profile "vocalls-es5.1@9" \(available: vocalls-es5.1@1, vocalls-es5.1@2\)/);
+    
+    const warnings = validateVocallsGlobals('logInfo(nowUTC()); Storage.readFile; sendSms("x");', profile);
+    assert.deepStrictEqual(warnings.map(warning => warning.global), ['sendSms']);
+    
+    // v1 stays as released: the ES5.1 global functions came with v2
+    assert.deepStrictEqual(validateVocallsGlobals('parseInt("1");', getRuntimeProfile('vocalls-es5.1@1')).map(warning => warning.global), ['parseInt']);
+    assert.deepStrictEqual(validateVocallsGlobals('parseInt("1");', profile), []);
+  });
+  
+  test('simulator and builder follow the profile selected in project.json', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo', runtime: { profile: 'vocalls-es5.1@1' } }),
+      'src/callScripts/main.js': [
+        'var vars = context.session.variables;',
+        'vars.apis = [typeof logInfo, typeof Storage.writeFile, typeof jsonHttpRequest, typeof console].join();',
+        'vars.context = Object.keys(context).join();',
+        'vars.callInfo = Object.keys(context.callInfo).join();'
+      ].join('\n')
+    }, async projectPath => {
+      const result = await new VocallsSimulator({ projectPath, silent: true }).execute();
+      assert.strictEqual(result.sessionState.variables.apis, 'function,function,function,undefined');
+      assert.strictEqual(result.sessionState.variables.context, Object.keys(getRuntimeProfile().context).join());
+      assert.strictEqual(result.sessionState.variables.callInfo, 'callId,startTime,direction');
+      
+      const builder = new VocallsProjectBuilder(projectPath, { name: 'demo', runtime: { profile: 'vocalls-es5.1@1' } });
+      const header = builder.generateHeader();
+      assert.match(header, /\/\/ Runtime: vocalls-es5.1@1/);
+      assert.match(header, /Storage.readFile\(path\), Storage.writeFile\(path, content\)/);
+      
+      const unknown = new VocallsSimulator({ projectPath, silent: true, runtimeProfile: 'vocalls-es3' });
+      await assert.rejects(unknown.execute(), /Unknown runtime profile "vocalls-es3"/);
+    });
+  });
+});
+
+describe('Symbol Checker', () => {
+  test('reports undefined, implicit, shadowed and duplicate globals', () => {
+    const files = [
+      {
+        path: 'src/globalCode.js',
+        code: [
+          'var lineMap = new Map();',
+          'function nowUTC() { return new Date().toISOString(); }',
+          'function lookup(key) { var entry = lineMap.get(key); try { return entry.id; } catch (e) { logError(e.message); } }',
+          "if (typeof optionalHook === 'function') { optionalHook(); }"
+        ].join('\n')
+      },
+      { path: 'src/globalLibraries/active/a.js', code: 'var lineMap = {};\nfunction count() { for (i = 0; i < 3; i++) {} return i; }' },
+      { path: 'src/callScripts/main.js', code: 'var result = lookup(lineIdentificator);\nlogInfo(parseInt(result, 10));', entry: true }
+    ];
+    
+    const issues = checkSymbols(files, getRuntimeProfile());
+    assert.deepStrictEqual(issues.map(issue => [issue.type, issue.file, issue.line, issue.name]), [
+      ['shadowed-builtin', 'src/globalCode.js', 2, 'nowUTC'],
+      ['duplicate-declaration', 'src/globalLibraries/active/a.js', 1, 'lineMap'],
+      ['implicit-global', 'src/globalLibraries/active/a.js', 2, 'i'],
+      ['undefined', 'src/callScripts/main.js', 1, 'lineIdentificator']
+    ]);
+    assert.match(issues[1].message, /declares lineMap again, src\/globalCode.js:1 declares it first/);
+    
+    assert.deepStrictEqual(validateVocallsGlobals('var lineMap = new Map();\nlineMap.get(segmentDic);').map(warning => warning.global), ['segmentDic']);
+  });
+  
+  test('checks a project in load order, each call script on its own', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo', environments: { acc: { apiBase: 'https://acc' } } }),
+      'src/globalCode.js': 'var baseUrl = ENVIRONMENT_CONFIG.apiBase;\nvar timeout = DEFAULT_TIMEOUT;\n',
+      'src/globalVariables.js': 'var DEFAULT_TIMEOUT = 5000;\n',
+      'src/callScripts/main.js': 'var step = baseUrl;\n',
+      'src/callScripts/transfer.js': 'var step = timeout;\n'
+    }, async projectPath => {
+      const config = await loadProjectConfig(projectPath);
+      const { files, issues } = await checkProjectSymbols(projectPath, config);
+      assert.deepStrictEqual(files, [
+        'project.json (environments)',
+        'src/globalCode.js',
+        'src/globalVariables.js',
+        'src/callScripts/main.js',
+        'src/callScripts/transfer.js'
+      ]);
+      assert.deepStrictEqual(issues.map(issue => [issue.type, issue.file, issue.line]), [
+        ['use-before-definition', 'src/globalCode.js', 2]
+      ]);
+      
+      const single = await checkProjectSymbols(projectPath, config, { script: 'transfer' });
+      assert.strictEqual(single.files[single.files.length - 1], 'src/callScripts/transfer.js');
+      await assert.rejects(checkProjectSymbols(projectPath, config, { script: 'missing' }), /Call script not found: src\/callScripts\/missing.js/);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the scenario runner and JUnit reports
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { runScenario } from '../core/src/simulator/scenario.js';
+import { createJUnitReport } from '../core/src/utils/junit.js';
+import { runProjectScenarios } from '../core/src/commands/test.js';
+import { withFixtureProject } from './helpers.js';
+
+describe('Scenario Runner', () => {
+  const files = {
+    'src/globalCode.js': 'var lineId = context.settings.lineIdentificator;',
+    'src/callScripts/main.js': [
+      "var response = null;",
+      "jsonHttpRequest({ method: 'POST', url: 'https://api.example.com/customer/lookup' }).then(function (r) { response = r; });",
+      "logInfo('Line:', lineId);",
+      "context.session.variables.segmentState = { currentSegment: lineId === 'MAIN' ? 'WELCOME' : 'ERROR', segmentResult: '' };"
+    ].join('\n')
+  };
+  
+  test('passes when all expectations hold', async () => {
+    await withFixtureProject(files, async projectPath => {
+      const result = await runScenario(projectPath, {
+        name: 'main line',
+        line: 'MAIN',
+        expect: {
+          currentSegment: 'WELCOME',
+          variables: { 'segmentState.segmentResult': '' },
+          httpCalls: [{ method: 'POST', url: '*/customer/lookup' }],
+          httpCallCount: 1,
+          logs: ['Line: MAIN', { level: 'INFO', contains: 'MAIN' }]
+        }
+      });
+      
+      assert.deepStrictEqual(result.failures, []);
+      assert.strictEqual(result.passed, true);
+    });
+  });
+  
+  test('reports every failed expectation', async () => {
+    await withFixtureProject(files, async projectPath => {
+      const result = await runScenario(projectPath, {
+        name: 'unknown line',
+        line: 'OTHER',
+        expect: {
+          currentSegment: 'WELCOME',
+          httpCalls: [{ method: 'GET', url: '*/customer/lookup' }],
+          logs: [{ level: 'ERROR', contains: 'Line' }]
+        }
+      });
+      
+      assert.strictEqual(result.passed, false);
+      assert.strictEqual(result.failures.length, 3);
+      assert.match(result.failures[0], /expected currentSegment "WELCOME", got "ERROR"/);
+    });
+  });
+  
+  test('JUnit report lists failures with escaped messages', () => {
+    const xml = createJUnitReport('demo', [
+      { name: 'ok', file: 'a.json', passed: true, failures: [], duration: 5 },
+      { name: 'broken <line>', file: 'b.json', passed: false, failures: ['expected "A" & got "B"'], duration: 10 }
+    ]);
+    
+    assert.match(xml, /<testsuite name="demo" tests="2" failures="1"/);
+    assert.match(xml, /<testcase name="broken &lt;line&gt;" classname="demo.b.json"/);
+    assert.match(xml, /<failure message="expected &quot;A&quot; &amp; got &quot;B&quot;">/);
+  });
+  
+  test('a scenario file that does not load fails on its own, naming the file', async () => {
+    await withFixtureProject({
+      ...files,
+      'tests/broken.json': '{ "name": "broken", ',
+      'tests/main.json': JSON.stringify({ name: 'main line', line: 'MAIN', expect: { currentSegment: 'WELCOME' } })
+    }, async projectPath => {
+      const testFiles = ['broken.json', 'main.json'].map(file => join(projectPath, 'tests', file));
+      const results = await runProjectScenarios(projectPath, testFiles);
+      
+      assert.deepStrictEqual(results.map(result => [result.name, result.passed]), [['broken.json', false], ['main line', true]]);
+      assert.match(results[0].failures[0], /^Cannot load broken\.json: /);
+      assert.match(createJUnitReport('demo', results), /<testcase name="broken.json" classname="demo.broken.json" time="0">/);
+    });
+  });
+});
@@ -0,0 +1,478 @@
+/**
+ * Tests for the call script simulator and its sandbox
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { createServer } from 'http';
+import vm from 'vm';
+import { VocallsSimulator, normalizeTurn } from '../core/src/simulator/engine.js';
+import { findHttpFixture, matchUrl } from '../core/src/simulator/http-fixtures.js';
+import { DiskStorage, resolveStorageDir } from '../core/src/simulator/storage.js';
+import { generateEnvironmentSection } from '../core/src/utils/environment.js';
+import { StrictModeError } from '../core/src/simulator/strict-sandbox.js';
+import { SimulatedClock, createRandom, parseDuration } from '../core/src/simulator/clock.js';
+import { simulateLines } from '../core/src/commands/simulate.js';
+import { withFixtureProject } from './helpers.js';
+
+describe('Simulator', () => {
+  test('caller turns are normalized into context.input', () => {
+    assert.deepStrictEqual(normalizeTurn({ say: 'hello' }, 1), { turn: 1, type: 'utterance', text: 'hello', dtmf: '' });
+    assert.deepStrictEqual(normalizeTurn({ dtmf: 12 }, 2), { turn: 2, type: 'dtmf', text: '', dtmf: '12' });
+    assert.strictEqual(normalizeTurn({ event: 'silence' }, 3).type, 'noInput');
+    assert.throws(() => normalizeTurn({ foo: 'bar' }, 4), /Invalid caller input in turn 4/);
+    assert.throws(() => normalizeTurn(null, 5), /Invalid caller input in turn 5: null/);
+    assert.throws(() => normalizeTurn('hello', 6), /Invalid caller input in turn 6/);
+    assert.throws(() => normalizeTurn({ type: 'dtmf' }, 7), /Invalid caller input in turn 7: \{"type":"dtmf"\}/);
+  });
+  
+  test('conversation mode re-runs the call script and carries the session forward', async () => {
+    await withFixtureProject({
+      'src/globalCode.js': 'var turns = context.session.variables.turns || [];',
+      'src/callScripts/main.js': [
+        "var input = context.input || { type: 'start', text: '', dtmf: '' };",
+        'turns.push(input.type + ":" + (input.text || input.dtmf));',
+        'context.session.variables.turns = turns;',
+        "context.session.variables.segmentState = { currentSegment: 'TURN_' + turns.length, segmentResult: '' };"
+      ].join('\n')
+    }, async projectPath => {
+      const simulator = new VocallsSimulator({ projectPath });
+      const result = await simulator.converse([{ say: 'hello' }, { dtmf: '1' }, { event: 'noInput' }]);
+      
+      assert.deepStrictEqual(result.sessionState.variables.turns, ['start:', 'utterance:hello', 'dtmf:1', 'noInput:']);
+      assert.deepStrictEqual(
+        result.turns.map(turn => [turn.turn, turn.before.currentSegment, turn.after.currentSegment]),
+        [[0, null, 'TURN_1'], [1, 'TURN_1', 'TURN_2'], [2, 'TURN_2', 'TURN_3'], [3, 'TURN_3', 'TURN_4']]
+      );
+    });
+  });
+  
+  test('environment values from project.json are loaded before globalCode.js', async () => {
+    const config = {
+      name: 'env-project',
+      environments: {
+        acc: { apiBase: 'https://api-acc.example.com' },
+        prd: { apiBase: 'https://api.example.com' }
+      }
+    };
+    await withFixtureProject({
+      'project.json': JSON.stringify(config),
+      'src/globalCode.js': 'var environment = BUILD_ENVIRONMENT;',
+      'src/callScripts/main.js': 'context.session.variables.apiBase = environment + ":" + ENVIRONMENT_CONFIG.apiBase;'
+    }, async projectPath => {
+      const result = await new VocallsSimulator({ projectPath, environment: 'prd', silent: true }).execute();
+      assert.strictEqual(result.sessionState.variables.apiBase, 'prd:https://api.example.com');
+      
+      await assert.rejects(
+        new VocallsSimulator({ projectPath, environment: 'dvp', silent: true }).execute(),
+        /Environment 'dvp' is not defined in project\.json \(available: acc, prd\)/
+      );
+      
+      // Builds without --env pick the values at runtime
+      const sandbox = { context: { session: { variables: { VOCALLS_ENV: 'acc' } } } };
+      vm.runInNewContext(generateEnvironmentSection(config, null), sandbox);
+      assert.strictEqual(sandbox.ENVIRONMENT_CONFIG.apiBase, 'https://api-acc.example.com');
+      assert.throws(() => vm.runInNewContext(generateEnvironmentSection(config, null), { context: { session: { variables: {} } } }),
+        /VOCALLS_ENV is not set in context\.session\.variables \(available: acc, prd\)/);
+      assert.throws(() => vm.runInNewContext(generateEnvironmentSection(config, null), { context: { session: { variables: { VOCALLS_ENV: 'tst' } } } }),
+        /Environment 'tst' \(VOCALLS_ENV\) is not defined in project\.json/);
+      assert.strictEqual(generateEnvironmentSection({ name: 'legacy' }, 'prd'), null);
+    });
+  });
+});
+
+describe('Segment Runner', () => {
+  const files = {
+    'src/globalCode.js': [
+      "var segmentDic = new Map();",
+      "context.session.variables.segmentState = context.session.variables.segmentState || { currentSegment: 'START', segmentResult: '', log: [] };",
+      "function lookupCustomer(state, input) { state.customer = 'known'; return 'FOUND'; }",
+      "function chooseOption(state, input) { if (input) { state.segmentResult = 'OPTION_' + input.dtmf; } }"
+    ].join('\n'),
+    'src/globalVariables.js': [
+      "segmentDic.set('START', { nextSegments: { FOUND: 'MENU' }, actions: ['logError', 'lookupCustomer'] });",
+      "segmentDic.set('MENU', { nextSegments: { OPTION_1: 'PING', OPTION_2: 'BYE' }, actions: ['playMenu', 'chooseOption'] });",
+      "segmentDic.set('PING', { nextSegments: { AGAIN: 'PONG' }, actions: ['retry'] });",
+      "segmentDic.set('PONG', { nextSegments: { AGAIN: 'PING' }, actions: ['retry'] });",
+      "segmentDic.set('BYE', { nextSegments: {}, actions: ['endCall'] });"
+    ].join('\n'),
+    'src/callScripts/main.js': '// flow runs after the call script'
+  };
+  
+  test('walks segmentDic with project handlers and waits for caller input', async () => {
+    await withFixtureProject(files, async projectPath => {
+      const simulator = new VocallsSimulator({ projectPath, runSegments: true, silent: true });
+      const result = await simulator.converse([{ dtmf: '2' }, { dtmf: '1' }]);
+      const state = result.sessionState.variables.segmentState;
+      
+      assert.deepStrictEqual(result.turns.map(turn => [turn.segmentRun.path.join('>'), turn.segmentRun.stop]), [
+        ['START>MENU', 'waiting'],
+        ['MENU>BYE', 'ended'],
+        ['', 'ended']
+      ]);
+      assert.strictEqual(state.customer, 'known');
+      assert.deepStrictEqual(state.log.map(entry => `${entry.segment}:${entry.result}:${entry.nextSegment}`), [
+        'START:FOUND:MENU', 'MENU::null', 'MENU:OPTION_2:BYE', 'BYE::null'
+      ]);
+      assert.ok(!result.logs.some(entry => entry.level === 'ERROR'), 'simulator built-ins are not actions');
+    });
+  });
+  
+  test('configured mocks override handlers and loops are cut off', async () => {
+    await withFixtureProject(files, async projectPath => {
+      const simulator = new VocallsSimulator({
+        projectPath,
+        runSegments: true,
+        silent: true,
+        actions: { lookupCustomer: ['FOUND'], chooseOption: { 1: 'OPTION_1' }, retry: 'AGAIN' }
+      });
+      const result = await simulator.converse([{ dtmf: '1' }]);
+      
+      assert.strictEqual(result.sessionState.variables.segmentState.customer, undefined);
+      assert.strictEqual(result.turns[1].segmentRun.stop, 'max-transitions');
+      assert.ok(result.logs.some(entry => entry.level === 'ERROR' && entry.message.includes('stopped after 50 transitions')));
+    });
+  });
+  
+  test('detectIntent recognizes the utterance in intentDefinitions unless mocked', async () => {
+    await withFixtureProject({
+      'src/globalCode.js': [
+        'var segmentDic = new Map();',
+        "var intentDefinitions = { help: { patterns: ['help', 'hulp nodig'] }, goodbye: { patterns: ['bye', 'tot ziens'] } };",
+        "context.session.variables.segmentState = context.session.variables.segmentState || { currentSegment: 'ASK', segmentResult: '', log: [] };",
+        "segmentDic.set('ASK', { nextSegments: { help: 'HELP', NO_MATCH: 'ASK_AGAIN' }, actions: ['detectIntent'] });",
+        "segmentDic.set('ASK_AGAIN', { nextSegments: { help: 'HELP' }, actions: ['detectIntent'] });",
+        "segmentDic.set('HELP', { nextSegments: {}, actions: ['endCall'] });"
+      ].join('\n'),
+      'src/callScripts/main.js': '// flow runs after the call script'
+    }, async projectPath => {
+      const simulator = new VocallsSimulator({ projectPath, runSegments: true, silent: true });
+      const result = await simulator.converse([{ say: 'de pizza is koud' }, { say: 'ik heb hulp nodig' }]);
+      const state = result.sessionState.variables.segmentState;
+      
+      assert.deepStrictEqual(result.turns.map(turn => turn.segmentRun.path.join('>')), ['ASK', 'ASK>ASK_AGAIN', 'ASK_AGAIN>HELP']);
+      assert.deepStrictEqual(state.log.map(entry => entry.result), ['', 'NO_MATCH', '', 'help', '']);
+      assert.strictEqual(state.detectedIntent.intent, 'help');
+      assert.strictEqual(state.detectedIntent.utterance, 'ik heb hulp nodig');
+      
+      const mocked = new VocallsSimulator({ projectPath, runSegments: true, silent: true, actions: { detectIntent: 'help' } });
+      const mockedResult = await mocked.converse([{ say: 'de pizza is koud' }]);
+      assert.deepStrictEqual(mockedResult.turns[0].segmentRun.path, ['ASK', 'HELP']);
+    });
+  });
+});
+
+describe('HTTP Fixtures', () => {
+  const fixtures = [
+    {
+      name: 'not found',
+      request: { method: 'POST', url: '*/customer/lookup', body: { phone: '+32470000000' } },
+      response: { status: 404, body: { error: 'customer_not_found' } }
+    },
+    {
+      name: 'json lookup',
+      request: { method: 'POST', urlRegex: '/customer/\\w+$', headers: { 'content-type': 'application/json' } },
+      response: { status: 200, body: { customerId: 42 } }
+    }
+  ];
+  
+  test('requests match on method, url, headers and partial body', () => {
+    const match = config => (findHttpFixture(fixtures, config) || {}).name;
+    
+    assert.strictEqual(match({ method: 'post', url: 'https://x/customer/lookup', body: '{"phone":"+32470000000","lang":"nl"}' }), 'not found');
+    assert.strictEqual(match({ method: 'POST', url: 'https://x/customer/lookup', headers: { 'Content-Type': 'application/json' }, body: {} }), 'json lookup');
+    assert.strictEqual(match({ method: 'GET', url: 'https://x/customer/lookup' }), undefined);
+    assert.ok(matchUrl('https://*.example.com/*', 'https://api.example.com/a?b=1'));
+    assert.ok(!matchUrl('https://api.example.com/a', 'https://api.example.com/a/b'));
+  });
+  
+  test('simulator serves fixtures with latency, timeouts and loud failures', async () => {
+    await withFixtureProject({
+      'fixtures/http/api.json': JSON.stringify([
+        { request: { url: '*/slow' }, response: { delay: 20, body: { ok: true } } },
+        { request: { url: '*/timeout' }, response: { delay: 50 } },
+        { request: { url: '*/down' }, response: { status: 500, body: { error: 'boom' } } }
+      ]),
+      'src/callScripts/main.js': [
+        'var results = context.session.variables.results = {};',
+        'function record(name) {',
+        '  return [function (r) { results[name] = r.status + ":" + JSON.stringify(r.data); },',
+        '          function (e) { results[name] = "failed:" + e.message; }];',
+        '}',
+        "var names = ['slow', 'timeout', 'down', 'unknown'];",
+        'for (var i = 0; i < names.length; i++) {',
+        '  var callbacks = record(names[i]);',
+        "  jsonHttpRequest({ url: 'https://api.example.com/' + names[i], timeout: 30 }).then(callbacks[0], callbacks[1]);",
+        '}'
+      ].join('\n')
+    }, async projectPath => {
+      const simulator = new VocallsSimulator({ projectPath, httpUnmatched: 'error', silent: true });
+      const result = await simulator.execute();
+      const results = result.sessionState.variables.results;
+      
+      assert.strictEqual(results.slow, '200:{"ok":true}');
+      assert.match(results.timeout, /^failed:Request timeout after 30ms/);
+      assert.strictEqual(results.down, '500:{"error":"boom"}');
+      assert.match(results.unknown, /^failed:No HTTP fixture matches GET/);
+      assert.strictEqual(result.unmatchedHttpRequests, 1);
+    });
+  });
+});
+
+describe('Record and Replay', () => {
+  test('record stores real traffic in a cassette that replay serves offline', async () => {
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ method: req.method, path: req.url, received: JSON.parse(body || 'null') }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    
+    const fixture = {
+      'src/callScripts/main.js': [
+        'jsonHttpRequest({',
+        "  method: 'POST',",
+        `  url: '${baseUrl}/customer/lookup',`,
+        "  headers: { Authorization: 'Bearer secret' },",
+        "  body: { phone: '+32470000000' }",
+        '}).then(function (r) { context.session.variables.lookup = r.data; }, function (e) { context.session.variables.lookup = e.message; });'
+      ].join('\n')
+    };
+    
+    try {
+      await withFixtureProject(fixture, async projectPath => {
+        const recorder = new VocallsSimulator({ projectPath, httpMode: 'record', silent: true });
+        const recorded = await recorder.execute();
+        assert.deepStrictEqual(recorded.sessionState.variables.lookup, {
+          method: 'POST',
+          path: '/customer/lookup',
+          received: { phone: '+32470000000' }
+        });
+        
+        const cassette = JSON.parse(await fs.readFile(join(projectPath, 'fixtures', 'cassettes', 'default.json'), 'utf8'));
+        assert.strictEqual(cassette.interactions.length, 1);
+        assert.strictEqual(cassette.interactions[0].request.headers.Authorization, '[REDACTED]');
+        
+        await new Promise(resolve => server.close(resolve));
+        
+        const replayer = new VocallsSimulator({ projectPath, httpMode: 'replay', silent: true });
+        const replayed = await replayer.execute();
+        assert.deepStrictEqual(replayed.sessionState.variables.lookup, recorded.sessionState.variables.lookup);
+      });
+    } finally {
+      server.close();
+    }
+  });
+  
+  test('replay fails on requests missing from the cassette', async () => {
+    await withFixtureProject({
+      'fixtures/cassettes/default.json': JSON.stringify({ version: 1, interactions: [] }),
+      'src/callScripts/main.js': "httpRequest({ url: 'https://api.example.com/x' }).then(null, function (e) { context.session.variables.error = e.message; });"
+    }, async projectPath => {
+      const simulator = new VocallsSimulator({ projectPath, httpMode: 'replay', silent: true });
+      const result = await simulator.execute();
+      assert.strictEqual(result.sessionState.variables.error, 'No cassette interaction matches GET https://api.example.com/x');
+    });
+  });
+});
+
+describe('Disk Storage', () => {
+  test('stored files survive runs and stay inside the sandbox', async () => {
+    await withFixtureProject({
+      'src/callScripts/main.js': [
+        "var previous = Storage.readFile('cdb/calls.json');",
+        'var calls = previous.success ? JSON.parse(previous.text) : [];',
+        "calls.push('call');",
+        "Storage.writeFile('cdb/calls.json', JSON.stringify(calls));",
+        "context.session.variables.escape = Storage.writeFile('../../escape.txt', 'x').error;",
+        "context.session.variables.absolute = Storage.readFile('/etc/passwd').error;"
+      ].join('\n')
+    }, async projectPath => {
+      await new VocallsSimulator({ projectPath, storageMode: 'disk', silent: true }).execute();
+      const result = await new VocallsSimulator({ projectPath, storageMode: 'disk', silent: true }).execute();
+      
+      assert.strictEqual(result.sessionState.variables.escape, 'path_outside_storage');
+      assert.strictEqual(result.sessionState.variables.absolute, 'path_outside_storage');
+      
+      const storage = new DiskStorage(join(projectPath, 'workfiles', 'storage'));
+      assert.deepStrictEqual(storage.list().map(file => file.path), ['cdb/calls.json']);
+      assert.strictEqual(storage.readFile('cdb/calls.json'), '["call","call"]');
+      
+      storage.reset();
+      assert.deepStrictEqual(storage.list(), []);
+      
+      assert.strictEqual(resolveStorageDir(projectPath, 'tmp/store'), join(projectPath, 'tmp', 'store'));
+      for (const dir of ['../..', '.', '/tmp']) {
+        assert.throws(() => resolveStorageDir(projectPath, dir), /Storage directory outside the project/);
+      }
+      assert.throws(() => new VocallsSimulator({ projectPath, storageMode: 'disk', storageDir: '..' }), /Storage directory outside the project: \.\./);
+    });
+  });
+});
+
+describe('Strict Sandbox', () => {
+  test('runs scripts with context-local Vocalls built-ins', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo', runtime: { strict: true, builtins: ['Object.assign'] } }),
+      'src/callScripts/main.js': [
+        'Array.prototype.leaked = true;',
+        'var vars = context.session.variables;',
+        "vars.hidden = [typeof Symbol, typeof Reflect, typeof Array.from, typeof ''.includes].join();",
+        'vars.declared = typeof Object.assign;',
+        "var name = 'all';",
+        'try { Promise[name]([]); } catch (e) { vars.promise = e.message; }'
+      ].join('\n')
+    }, async projectPath => {
+      const simulator = new VocallsSimulator({ projectPath, silent: true });
+      const result = await simulator.execute();
+      const vars = result.sessionState.variables;
+      assert.strictEqual(vars.hidden, 'undefined,undefined,undefined,undefined');
+      assert.strictEqual(vars.declared, 'function');
+      assert.strictEqual(vars.promise, 'Promise.all() not supported in Vocalls ES5.1');
+      assert.strictEqual([].leaked, undefined);
+    });
+  });
+  
+  test('rejects non-ES5.1 files at load time with the validator rule ids', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo' }),
+      'src/globalCode.js': 'var ok = true;\n',
+      'src/callScripts/main.js': 'var total = 0;\nlet items = [1, 2].map(x => x * 2);\n',
+      'src/callScripts/modern.js': 'var when = /(?<day>\\d+)/.exec(logInfo("\\u{1F600}", 1,));\n'
+    }, async projectPath => {
+      const relaxed = await new VocallsSimulator({ projectPath, silent: true }).execute();
+      assert.strictEqual(relaxed.filesLoaded, 2);
+      
+      const strict = new VocallsSimulator({ projectPath, silent: true, strict: true });
+      await assert.rejects(strict.execute(), err => {
+        assert.ok(err instanceof StrictModeError);
+        assert.strictEqual(err.file, 'src/callScripts/main.js');
+        assert.deepStrictEqual(err.violations.map(v => [v.line, v.rule]), [[2, 'no-let-const'], [2, 'no-arrow-function']]);
+        return true;
+      });
+      await assert.rejects(new VocallsSimulator({ projectPath, silent: true, strict: true }).execute('modern'), err => {
+        assert.deepStrictEqual(err.violations.map(v => v.rule), ['no-es2018-regex', 'no-unicode-code-point-escape', 'no-trailing-comma']);
+        return true;
+      });
+    });
+  });
+});
+
+describe('Simulated Clock', () => {
+  test('freezes time in a timezone and advances it, across DST', () => {
+    const clock = new SimulatedClock({ time: '2025-03-30T00:30:00Z', freeze: true, timezone: 'Europe/Amsterdam' });
+    const ClockDate = clock.createDate();
+    
+    const before = new ClockDate();
+    assert.strictEqual(ClockDate.now(), Date.parse('2025-03-30T00:30:00Z'));
+    assert.deepStrictEqual([before.getHours(), before.getTimezoneOffset(), before.getDay()], [1, -60, 0]);
+    assert.strictEqual(before.toString(), 'Sun Mar 30 2025 01:30:00 GMT+0100 (Europe/Amsterdam)');
+    assert.ok(before instanceof Date);
+    
+    clock.advance('2h');
+    assert.deepStrictEqual([new ClockDate().getHours(), new ClockDate().getTimezoneOffset()], [4, -120]);
+    
+    const closing = new ClockDate(2025, 11, 24, 17, 5);
+    assert.strictEqual(closing.toISOString(), '2025-12-24T16:05:00.000Z');
+    closing.setHours(9, 0);
+    assert.strictEqual(closing.toISOString(), '2025-12-24T08:00:00.000Z');
+    
+    assert.strictEqual(parseDuration('1.5m'), 90000);
+    assert.throws(() => parseDuration('soon'), /Invalid duration: soon/);
+    assert.throws(() => new SimulatedClock({ timezone: 'Mars/Olympus' }), /Unknown timezone: Mars\/Olympus/);
+    
+    const random = createRandom('seed');
+    const again = createRandom('seed');
+    assert.deepStrictEqual([random(), random()], [again(), again()]);
+  });
+  
+  test('gives Date, nowUTC, Math.random and callId the same values on every run', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo' }),
+      'src/callScripts/main.js': [
+        'var vars = context.session.variables;',
+        'vars.seen = (vars.seen || []).concat([[new Date().getHours(), nowUTC(), Math.random(), context.callInfo.callId]]);'
+      ].join('\n')
+    }, async projectPath => {
+      const simulate = async strict => {
+        const simulator = new VocallsSimulator({
+          projectPath,
+          silent: true,
+          strict,
+          clock: { time: '2025-12-24T16:55:00+01:00', freeze: true, timezone: 'Europe/Amsterdam', advance: '1m' },
+          seed: 7
+        });
+        const result = await simulator.converse([{ say: 'hello', after: '2h' }, { say: 'bye' }]);
+        return result.sessionState.variables.seen;
+      };
+      
+      const seen = await simulate(false);
+      assert.deepStrictEqual(seen.map(([hours, now]) => [hours, now]), [
+        [16, '2025-12-24T15:55:00.000Z'],
+        [18, '2025-12-24T17:55:00.000Z'],
+        [18, '2025-12-24T17:56:00.000Z']
+      ]);
+      assert.match(seen[0][3], /^CALL_[0-9A-F]{16}$/);
+      assert.notStrictEqual(seen[0][2], seen[1][2]);
+      
+      assert.deepStrictEqual(await simulate(false), seen);
+      assert.deepStrictEqual(await simulate(true), seen);
+    });
+  });
+});
+
+describe('Call Context', () => {
+  test('sets line, numbers, direction, language and initial variables', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo' }),
+      'src/callScripts/main.js': [
+        'var vars = context.session.variables;',
+        'vars.seen = [context.settings.lineIdentificator, context.settings.moduleName, context.language,',
+        '  context.callInfo.direction, context.callInfo.ani, context.callInfo.dnis, vars.customer.tier];'
+      ].join('\n')
+    }, async projectPath => {
+      const simulator = new VocallsSimulator({
+        projectPath,
+        silent: true,
+        lineIdentificator: 'DEMO_VIP',
+        moduleName: 'ivr-main',
+        language: 'en-GB',
+        direction: 'outbound',
+        ani: '+31201234567',
+        dnis: '+31881234567',
+        variables: { customer: { tier: 'gold' } }
+      });
+      const { sessionState } = await simulator.execute();
+      assert.deepStrictEqual([...sessionState.variables.seen],
+        ['DEMO_VIP', 'ivr-main', 'en-GB', 'outbound', '+31201234567', '+31881234567', 'gold']);
+      assert.strictEqual(sessionState.variables.VOCALLS_ENV, 'acc');
+      
+      assert.throws(() => new VocallsSimulator({ projectPath, direction: 'sideways' }), /Invalid call direction: sideways/);
+    });
+  });
+  
+  test('simulates every line of lineMap with --line all', async () => {
+    await withFixtureProject({
+      'project.json': JSON.stringify({ name: 'demo' }),
+      'src/globalVariables.js': 'var lineMap = new Map();\nlineMap.set("DEMO_MAIN", "MAIN");\nlineMap.set("DEMO_BROKEN", "NONE");\n',
+      'src/callScripts/main.js': [
+        'var target = lineMap.get(context.settings.lineIdentificator);',
+        'if (target === "NONE") { throw new Error("No segment for " + context.settings.lineIdentificator); }',
+        'context.session.variables.target = target + ":" + context.session.variables.mode;'
+      ].join('\n')
+    }, async projectPath => {
+      const outcomes = await simulateLines(projectPath, { script: 'main', var: ['mode="test"'] });
+      assert.deepStrictEqual(outcomes.map(outcome => outcome.line), ['DEMO_MAIN', 'DEMO_BROKEN']);
+      assert.strictEqual(outcomes[0].result.sessionState.variables.target, 'MAIN:test');
+      assert.match(outcomes[1].error, /No segment for DEMO_BROKEN/);
+      
+      await assert.rejects(simulateLines(projectPath, { script: 'main', var: ['mode'] }), /Invalid --var mode/);
+    });
+  });
+});
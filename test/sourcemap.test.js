@@ -0,0 +1,43 @@
+/**
+ * Tests for monolith source maps
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createSourceMap, lookupSourceLine, encodeVLQ, decodeVLQ } from '../core/src/utils/sourcemap.js';
+import { traceLine } from '../core/src/commands/trace.js';
+
+describe('Source Maps', () => {
+  test('VLQ encoding round-trips signed values', () => {
+    const values = [0, 1, -1, 15, -16, 1000, -123456];
+    const segment = values.map(encodeVLQ).join('');
+    assert.deepStrictEqual(decodeVLQ(segment), values);
+  });
+  
+  test('monolith lines resolve to their original file and line', async () => {
+    const map = createSourceMap('demo.monolith.js', [
+      null,
+      { source: '../src/globalCode.js', line: 3 },
+      { source: '../src/globalCode.js', line: 7 },
+      null,
+      { source: '../src/callScripts/main.js', line: 1 }
+    ], {
+      '../src/globalCode.js': 'a\nb\nvar environment;\nd\ne\nf\nfunction init() {}',
+      '../src/callScripts/main.js': "logInfo('start');"
+    });
+    
+    assert.strictEqual(lookupSourceLine(map, 1), null);
+    assert.deepStrictEqual(lookupSourceLine(map, 3), {
+      source: '../src/globalCode.js',
+      line: 7,
+      content: 'function init() {}'
+    });
+    assert.strictEqual(lookupSourceLine(map, 5).source, '../src/callScripts/main.js');
+    assert.throws(() => lookupSourceLine(map, 6), /Line 6 is beyond the end of the monolith \(5 lines\)/);
+    assert.throws(() => lookupSourceLine(map, 0), /Invalid line number: 0/);
+    
+    for (const line of ['12abc', '1.5', '0']) {
+      await assert.rejects(traceLine('test-project', line), new RegExp(`Invalid line number: ${line.replace('.', '\\.')}`));
+    }
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for watch mode
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { diffObjects, formatChanges } from '../core/src/utils/diff.js';
+import { watchProject } from '../core/src/utils/watch.js';
+import { withFixtureProject } from './helpers.js';
+
+describe('Watch Mode', () => {
+  test('session diff lists added, removed and changed paths', () => {
+    const before = { variables: { segmentState: { currentSegment: 'WELCOME' }, retries: 1, tags: ['a'] } };
+    const after = { variables: { segmentState: { currentSegment: 'MAIN_MENU' }, tags: ['a'], language: 'nl' } };
+    
+    assert.deepStrictEqual(formatChanges(diffObjects(before, after)), [
+      '+ variables.language: "nl"',
+      '- variables.retries: 1',
+      '~ variables.segmentState.currentSegment: "WELCOME" → "MAIN_MENU"'
+    ]);
+    assert.deepStrictEqual(diffObjects(before, before), []);
+  });
+  
+  test('watcher batches source and project.json changes', async () => {
+    await withFixtureProject({
+      'project.json': '{"name": "watched"}',
+      'src/callScripts/main.js': 'var a = 1;'
+    }, async projectPath => {
+      let watcher;
+      try {
+        const changed = new Promise(resolve => {
+          watcher = watchProject(projectPath, resolve);
+        });
+        
+        await fs.writeFile(join(projectPath, 'src', 'callScripts', 'main.js'), 'var a = 2;');
+        await fs.writeFile(join(projectPath, 'project.json'), '{"name": "watched", "customer": "x"}');
+        
+        assert.deepStrictEqual(await changed, ['project.json', 'src/callScripts/main.js']);
+      } finally {
+        watcher.close();
+      }
+    });
+  });
+});